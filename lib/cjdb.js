@@ -14,6 +14,8 @@ const validate = validateParams.validateJS();
 const path = require('path');
 const fs = require('fs-extra');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const util = require('util');
 const moment = require('moment');
 
 //
@@ -76,6 +78,30 @@ const moment = require('moment');
  * @see {@link https://en.wikipedia.org/wiki/ISO_8601}
  */
 
+/**
+ * A length of time, e.g. a cache TTL. Can be a number of minutes, an ISO 8601
+ * duration string like `PT30S` or `P1D`, or a plain object of units to
+ * amounts like `{ seconds: 15 }`, where the supported units are
+ * `milliseconds`, `seconds`, `minutes`, `hours`, `days`, and `weeks`.
+ * @global
+ * @typedef {(number|string|PlainObject)} Duration
+ * @see {@link https://en.wikipedia.org/wiki/ISO_8601#Durations}
+ */
+
+/**
+ * A calendar-aligned expiry schedule for cached data. Can be a cron-style
+ * expression with five space-separated fields (minute, hour, day of month,
+ * month, and day of week, supporting `*`, lists, ranges, and steps) or one of
+ * the shortcuts `@yearly`, `@monthly`, `@weekly`, `@daily`, and `@hourly`,
+ * in which case cached data expires at the first matching time in local time
+ * after it was written, or an {@link ExpiresAtCallback}.
+ * @global
+ * @typedef {(string|ExpiresAtCallback)} ExpirySchedule
+ * @example
+ * '0 6 * * *' // expire daily at 06:00
+ * '0,30 9-17 * * 1-5' // expire on the hour and half hour during office hours
+ */
+
 /**
  * A valid name for databridge resources like sources and streams. Specifically,
  * a string of three or more characters starting with a letter and containing
@@ -102,6 +128,118 @@ const moment = require('moment');
  * @see DatabridgeName
  */
 
+/**
+ * A description of a single value held in a [cache store]{@link CacheStore}.
+ * @global
+ * @typedef {Object} CacheStoreRecordInfo
+ * @property {string} key - the key the value is stored with.
+ * @property {string} location - the location the value is stored at, e.g. a
+ * file path.
+ * @property {number} size - the size of the stored value in bytes.
+ * @property {ISO8601} [lastModified] - the time the value was last written,
+ * by the store's clock.
+ * @property {ISO8601} [lastAccessed] - the time the value was last read, or
+ * written if it has not been read since, by the store's clock.
+ * @property {PlainObject} [meta] - the metadata stored alongside the value,
+ * if any, so it can be inspected without reading the value itself.
+ */
+
+/**
+ * A retry policy for a datasource's data fetcher calls. The delay before
+ * each retry grows exponentially from `initialDelay` by `factor` up to
+ * `maxDelay`, and if `jitter` is enabled, a random delay between zero and
+ * that value is used instead so concurrent callers don't retry in lockstep.
+ * Delays are measured on the datasource's clock, and are cut short if the
+ * call times out or is aborted.
+ * @global
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] - the maximum number of attempts,
+ * including the first.
+ * @property {Duration} [initialDelay={milliseconds: 100}] - the delay before
+ * the first retry.
+ * @property {Duration} [maxDelay={seconds: 30}] - the maximum delay between
+ * attempts.
+ * @property {number} [factor=2] - the multiplier applied to the delay after
+ * each retry.
+ * @property {boolean} [jitter=true] - whether or not to randomise delays.
+ * @property {RetryablePredicate} [retryable] - decides which errors are
+ * retried. By default all errors are retried except
+ * {@link RateLimitError}s and {@link QueueFullError}s.
+ */
+
+/**
+ * A circuit breaker configuration for a datasource.
+ * @global
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [failureThreshold=5] - the number of consecutive failed
+ * data fetcher attempts after which the circuit opens. If the datasource has
+ * a retry policy, each failed retry counts as an attempt.
+ * @property {Duration} [cooldown={seconds: 30}] - the time the circuit stays
+ * open before half-opening to let a single probe call through.
+ */
+
+/**
+ * A description of the state of a datasource's circuit breaker.
+ * @global
+ * @typedef {Object} CircuitBreakerState
+ * @property {string} state - `closed` if calls are allowed, `open` if calls
+ * are being short-circuited, or `half-open` if the cooldown has passed and
+ * the next call will probe the upstream.
+ * @property {number} failures - the number of consecutive failed attempts.
+ * @property {ISO8601} [openedAt] - the time the circuit last opened, if it's
+ * not closed.
+ */
+
+/**
+ * A description of a stream registered for background refreshing with
+ * [Databridge#scheduleRefresh()]{@link Databridge#scheduleRefresh}.
+ * @global
+ * @typedef {Object} ScheduledRefresh
+ * @property {string} id - the ID returned when the refresh was scheduled.
+ * @property {DatabridgeName[]} datasourcePath - the datasource name followed
+ * by the path to the data fetcher within the datasource.
+ * @property {DatabridgeName} streamName - the name of the stream.
+ * @property {Array} fetcherArgs - the arguments passed to the data fetcher.
+ * @property {Duration} interval - the time between refreshes.
+ * @property {number} refreshes - the number of successful refreshes.
+ * @property {number} failures - the number of failed refreshes.
+ * @property {ISO8601} [lastRefreshed] - the time of the last successful
+ * refresh.
+ * @property {Error} [lastError] - the error the last refresh failed with, if
+ * it failed.
+ */
+
+/**
+ * A summary of a cache warming run, as returned by
+ * [Databridge#warm()]{@link Databridge#warm}.
+ * @global
+ * @typedef {Object} WarmSummary
+ * @property {number} total - the number of argument sets.
+ * @property {number} hits - the number of streams that were already fresh.
+ * @property {number} refreshed - the number of streams fetched from the
+ * datasource by the warming run.
+ * @property {number} joined - the number of streams whose data was fetched by
+ * a fetch already in flight, which the warming run joined.
+ * @property {number} stale - the number of streams that were not fetched
+ * because the datasource's rate limit was exhausted or its circuit was open,
+ * so expired cached data was served instead.
+ * @property {number} failed - the number of streams that could not be
+ * fetched.
+ * @property {Object[]} failures - a description of each failure, with the
+ * arguments as `fetcherArgs`, the stream name, if known, as `streamName`,
+ * and the error as `error`.
+ */
+
+/**
+ * A description of a stream removed from a databridge's cache.
+ * @global
+ * @typedef {Object} CacheInvalidation
+ * @property {DatabridgeName[]} datasourcePath - the datasource name followed
+ * by the path to the data fetcher within the datasource.
+ * @property {DatabridgeName} streamName - the name of the stream.
+ * @property {string} path - the location the cached data was removed from.
+ */
+
 //
 //--- JSDoc Callback Definitions -----------------------------------------------
 //
@@ -121,13 +259,55 @@ const moment = require('moment');
  * callback will be mapped to the {@link Datasource} object
  * the callback belongs to.
  *
+ * A callback can carry a custom [stream name generator]{@link StreamNameGenerator}
+ * as its `streamNameGenerator` property, a cache TTL for its data as a
+ * {@link Duration} in its `cacheTTL` property, and an
+ * {@link ExpirySchedule} in its `expirySchedule` property. A callback's TTL
+ * or schedule takes precedence over its datasource's `cacheTTL` and
+ * `expirySchedule` options.
+ *
+ * If a timeout applies to the call, or it was made with an abort signal, an
+ * `AbortSignal` is passed as an extra argument after the fetcher parameters.
+ * The callback can pass it on to its own I/O (e.g. `fetch()`) so it's
+ * cancelled when the call times out or is aborted.
+ *
  * @global
  * @callback DataFetcherCallback
  * @this Datasource
  * @params {...*} [fetcherParam] - data fetcher can accept any number of
  * parameters of any kind.
- * @returns {(PlainObject|Promise)} must return a plain object that can be
- * serialised as a JSON string, or, a promise that resolves to same.
+ * @params {AbortSignal} [signal] - the signal the call is aborted with, if a
+ * timeout applies or an abort signal was passed.
+ * @returns {(PlainObject|CacheDirectives|Promise)} must return a plain object
+ * that can be serialised as a JSON string, optionally wrapped in a
+ * {@link CacheDirectives} object, or, a promise that resolves to same.
+ */
+
+/**
+ * An encryption key provider callback should return the AES-256 key to use
+ * when encrypting or decrypting the cached data for a given stream. This
+ * allows keys to be fetched from a key management service, or different keys
+ * to be used for different datasources.
+ *
+ * @global
+ * @callback EncryptionKeyProvider
+ * @param {DatabridgeName[]} datasourcePath - the datasource name followed by
+ * the path to the data fetcher within the datasource.
+ * @param {DatabridgeName} streamName - the name of the data stream.
+ * @returns {(Buffer|Promise)} a 32 byte buffer, or a promise that resolves to
+ * same.
+ */
+
+/**
+ * An expires at callback should return the time at which cached data written
+ * at a given time expires.
+ *
+ * @global
+ * @callback ExpiresAtCallback
+ * @this Datasource
+ * @param {ISO8601} timestamp - the time the data was written to the cache.
+ * @returns {(Date|ISO8601|number)} the expiry time as a date, an ISO8601
+ * string, or a number of milliseconds since the epoch.
  */
 
 /**
@@ -157,6 +337,29 @@ const moment = require('moment');
  * @see Datasource.defaultStreamNameGenerator
  */
 
+/**
+ * A refresh error handler callback is notified when a scheduled background
+ * refresh fails. Errors thrown by the handler are logged as warnings.
+ *
+ * @global
+ * @callback RefreshErrorHandler
+ * @param {Error} err - the error the refresh failed with.
+ * @param {ScheduledRefresh} refresh - a description of the scheduled refresh.
+ */
+
+/**
+ * A retryable predicate callback should decide whether or not a failed data
+ * fetcher call should be retried.
+ *
+ * @global
+ * @callback RetryablePredicate
+ * @this Datasource
+ * @param {Error} err - the error the attempt failed with.
+ * @param {number} attempt - the number of the attempt that failed, starting
+ * at 1.
+ * @returns {boolean} `true` if the call should be retried.
+ */
+
 //
 //=== Define Globals ===========================================================
 //
@@ -175,7 +378,13 @@ const vpCons = {
     databridgeName: {
         hasTypeof: 'string',
         format: /[a-zA-Z][a-zA-Z0-9_]{2,}/
-    }
+    },
+    
+    /**
+     * A constraint for `AbortSignal` parameters. Versions of Node.js before
+     * 15 have no global `AbortSignal`, so any object is accepted on those.
+     */
+    abortSignal: typeof AbortSignal === 'undefined' ? { hasTypeof: 'object' } : { isInstanceof: [AbortSignal] }
 };
 
 //
@@ -295,12 +504,18 @@ const customValidators = {
 		// implicitly pass empty values
         if(validate.isEmpty(val)) return undefined;
 		
-		// if we just got a callback, pass it
-		if(validate.isFunction(val)) return undefined;
-		
 		// determine the error message to use
 		let msg = validateParams.extractValidatorMessage(this, opts) || 'is not an valid data fetcher definition';
 		
+		// callbacks may specify their own cache TTL and expiry schedule
+		let ttlChecker = function(fn){
+			if(validate.isDefined(fn.cacheTTL) && validate.single(fn.cacheTTL, { duration: { positive: true } })) return false;
+			return !validate.single(fn.expirySchedule, { expirySchedule: true });
+		};
+		
+		// if we just got a callback, pass it if its TTL is valid
+		if(validate.isFunction(val)) return ttlChecker(val) ? undefined : msg;
+		
 		// if the value is not a plain object, it can't be valid
 		if(!validateParams.isPlainObject(val)) return msg;
 		
@@ -314,12 +529,87 @@ const customValidators = {
 					// BEWARE - recursive call!
 					if(!checker(obj[k])) return false;
 				}else{
-					if(!validate.isFunction(obj[k])) return false;
+					if(!validate.isFunction(obj[k]) || !ttlChecker(obj[k])) return false;
 				}
 			}
 			return true;
 		};
 		return checker(val) ? undefined : msg;
+	},
+	
+	/**
+	 * A validator that tests if the given value is a valid AES-256 key, i.e. a
+	 * buffer of exactly 32 bytes. Undefined values are implicitly passed.
+	 * @member
+	 * @type {ValidateJSValidator}
+	 */
+	encryptionKey: function(val, opts){
+		// implicitly pass undefined values
+		if(!validate.isDefined(val)) return undefined;
+		
+		// test the passing case
+		if(Buffer.isBuffer(val) && val.length === 32) return undefined;
+		
+		// if we got here, we have an error, so return an error message
+		return validateParams.extractValidatorMessage(this, opts) || 'is not a 32 byte buffer';
+	},
+	
+	/**
+	 * A validator that tests if the given value is a valid point in time for
+	 * a clock, i.e. a valid date, an ISO8601 date string, or a number of
+	 * milliseconds since the epoch. Undefined values are implicitly passed.
+	 * @member
+	 * @type {ValidateJSValidator}
+	 */
+	clockTime: function(val, opts){
+		// implicitly pass undefined values
+		if(!validate.isDefined(val)) return undefined;
+		
+		// test the passing cases
+		if(validate.isDate(val) && !isNaN(val.getTime())) return undefined;
+		if(validate.isNumber(val) && isFinite(val)) return undefined;
+		if(validate.isString(val) && moment(val, moment.ISO_8601).isValid()) return undefined;
+		
+		// if we got here, we have an error, so return an error message
+		return validateParams.extractValidatorMessage(this, opts) || 'is not a valid date, ISO 8601 string, or timestamp';
+	},
+	
+	/**
+	 * A validator that tests if the given value is a valid
+	 * {@link ExpirySchedule}, i.e. a callback or a valid cron-style
+	 * expression. Undefined values are implicitly passed.
+	 * @member
+	 * @type {ValidateJSValidator}
+	 */
+	expirySchedule: function(val, opts){
+		// implicitly pass undefined values
+		if(!validate.isDefined(val)) return undefined;
+		
+		// test the passing cases
+		if(validate.isFunction(val)) return undefined;
+		if(validate.isString(val) && parseCronExpression(val)) return undefined;
+		
+		// if we got here, we have an error, so return an error message
+		return validateParams.extractValidatorMessage(this, opts) || 'is not a valid expiry schedule';
+	},
+	
+	/**
+	 * A validator that tests if the given value is a valid, non-negative
+	 * {@link Duration}. If the `positive` option is set, zero-length durations
+	 * are also rejected. Undefined values are implicitly passed.
+	 * @member
+	 * @type {ValidateJSValidator}
+	 */
+	duration: function(val, opts){
+		// implicitly pass undefined values
+		if(!validate.isDefined(val)) return undefined;
+		
+		// test the passing case
+		let ms = durationToMilliseconds(val);
+		if(validate.isNumber(ms) && ms >= 0 && !(opts && opts.positive && ms === 0)) return undefined;
+		
+		// if we got here, we have an error, so return an error message
+		return validateParams.extractValidatorMessage(this, opts) || `is not a valid${opts && opts.positive ? ' positive' : ''} duration`;
 	}
 };
 for(let valName in customValidators){
@@ -339,8 +629,67 @@ class Databridge{
      * settings.
      * @param {string} [options.cacheDir='./databridgeJsonCache'] - the path to
      * the folder to use for caching without a trailing separator.
-     * @param {number} [options.defaultCacheTTL=60] - the default time to live
-     * for cached data in minutes.
+     * @param {Duration} [options.defaultCacheTTL=60] - the default time to live
+     * for cached data. Numbers are interpreted as minutes.
+     * @param {CacheStore} [options.cacheStore] - the cache store to read and
+     * write cached data from and to. If no store is specified, a
+     * {@link FileCacheStore} backed by `options.cacheDir` is used.
+     * @param {Duration} [options.lockTimeout] - the maximum time to wait for a
+     * cache lock held by another process when using the default file cache
+     * store. Ignored if `options.cacheStore` is specified.
+     * @param {PlainObject} [options.memoryCache] - if present, an in-process
+     * least-recently-used memory tier is placed in front of the cache store
+     * so repeated reads of the same stream don't need to re-read and decode
+     * the store. Data read from the memory tier is deeply frozen, so callers
+     * can't corrupt each other's data, and must copy it before changing it.
+     * Note that the memory tier is not shared between processes.
+     * @param {number} [options.memoryCache.maxEntries=100] - the maximum
+     * number of streams to hold in memory.
+     * @param {number} [options.memoryCache.maxBytes=52428800] - the maximum
+     * approximate size of the streams held in memory in bytes.
+     * @param {string} [options.compression='none'] - the compression to apply
+     * to cached data, one of `none`, `gzip`, or `brotli`. Datasources can
+     * override this option. Compressed and uncompressed cache data are both
+     * read correctly regardless of this option's value.
+     * @param {Buffer|string} [options.encryptionKey] - the AES-256 key used to
+     * encrypt the cached data of datasources with the `encryptCache` option
+     * set, as a 32 byte buffer or a 64 character hex string.
+     * @param {EncryptionKeyProvider} [options.encryptionKeyProvider] - a
+     * callback to supply encryption keys on demand. Takes precedence over
+     * `options.encryptionKey`.
+     * @param {Duration} [options.purgeInterval] - if present, expired entries
+     * are purged from the cache in the background at this interval. Numbers
+     * are interpreted as minutes.
+     * @param {Duration} [options.purgeGracePeriod=0] - the grace period to
+     * apply when purging in the background.
+     * @param {number} [options.maxCacheSize] - if present, the maximum total
+     * size of the cache in bytes. When writing to the cache would exceed this
+     * limit, unpinned entries are evicted to make room. Quotas are enforced
+     * per process - writes are only co-ordinated within the process, so
+     * processes sharing a cache folder can briefly push it over the limit.
+     * @param {Clock} [options.clock] - the clock used for all timestamps and
+     * expiry calculations. It's shared with the cache store, the memory tier,
+     * and registered datasources that don't have clocks of their own, so
+     * stored modification and access times, and so eviction order, follow it
+     * too. Defaults to a clock reading the system time.
+     * @param {string} [options.evictionPolicy='lru'] - the order in which
+     * entries are evicted to enforce cache size quotas - `lru` (least recently
+     * used first), `oldest` (oldest first), or `largest` (largest first).
+     * @param {Duration} [options.staleWhileRevalidate=0] - a window after a
+     * cache's TTL has passed during which the expired data is returned
+     * immediately while the stream is refreshed in the background.
+     * Datasources and individual requests can override this option.
+     * @param {Duration} [options.staleIfError=0] - the maximum time after a
+     * cache's TTL has passed during which the expired data is returned
+     * if fetching fresh data fails. Datasources and individual requests can
+     * override this option.
+     * @param {Duration} [options.timeout=0] - the maximum time to wait for a
+     * data fetcher call before giving up with a {@link TimeoutError}, zero
+     * for no limit. Unlike other durations, plain numbers are milliseconds.
+     * Datasources and individual requests can override this option.
+     * @param {RefreshErrorHandler} [options.refreshErrorHandler] - a callback
+     * to notify when a scheduled background refresh fails. By default
+     * failures are logged as warnings.
      * @throws {external:validateParams.ValidationError} a validation error is
      * thrown if parameter validation fails.
      */
@@ -351,10 +700,24 @@ class Databridge{
                 defaultWhenUndefined: {},
                 coerce: function(v, o , c){
                     if(validate.isObject(v)){
-                        if(typeof v.cacheDir === 'undefined') v.cacheDir = path.join('.', 'databridgeJsonCache');
+                        if(typeof v.cacheDir === 'undefined' && typeof v.cacheStore === 'undefined'){
+                            v.cacheDir = path.join('.', 'databridgeJsonCache');
+                        }
+                        if(validate.isObject(v.memoryCache)){
+                            if(typeof v.memoryCache.maxEntries === 'undefined') v.memoryCache.maxEntries = 100;
+                            if(typeof v.memoryCache.maxBytes === 'undefined') v.memoryCache.maxBytes = 50 * 1024 * 1024;
+                        }
+                        if(typeof v.compression === 'undefined') v.compression = 'none';
+                        if(typeof v.evictionPolicy === 'undefined') v.evictionPolicy = 'lru';
+                        if(typeof v.staleWhileRevalidate === 'undefined') v.staleWhileRevalidate = 0;
+                        if(typeof v.staleIfError === 'undefined') v.staleIfError = 0;
+                        if(typeof v.timeout === 'undefined') v.timeout = 0;
+                        if(validate.isString(v.encryptionKey) && /^[0-9a-fA-F]{64}$/.test(v.encryptionKey)){
+                            v.encryptionKey = Buffer.from(v.encryptionKey, 'hex');
+                        }
                         if(typeof v.defaultCacheTTL === 'undefined'){
                             v.defaultCacheTTL = 60;
-                        }else{
+                        }else if(validate.isString(v.defaultCacheTTL) && /^\s*\d+(\.\d+)?\s*$/.test(v.defaultCacheTTL)){
                             v.defaultCacheTTL = validateParams.coercions.toNumber(v.defaultCacheTTL, o, c);
                         }
                     }
@@ -365,16 +728,83 @@ class Databridge{
             dictionary: {
                 mapConstraints : {
                     cacheDir: {
-                        presence: true,
+                        hasTypeof: 'string',
                         folderExists: true
                     },
-                    defaultCacheTTL: {
+                    cacheStore: {
+                        isInstanceof: [CacheStore]
+                    },
+                    clock: {
+                        isInstanceof: [Clock]
+                    },
+                    lockTimeout: {
+                        duration: true
+                    },
+                    compression: {
                         presence: true,
+                        inclusion: ['none', 'gzip', 'brotli']
+                    },
+                    encryptionKey: {
+                        encryptionKey: true
+                    },
+                    encryptionKeyProvider: {
+                        hasTypeof: 'function'
+                    },
+                    purgeInterval: {
+                        duration: { positive: true }
+                    },
+                    purgeGracePeriod: {
+                        duration: true
+                    },
+                    maxCacheSize: {
                         hasTypeof: 'number',
                         numericality: {
-                            onlyInteger: true,
                             greaterThan: 0
                         }
+                    },
+                    evictionPolicy: {
+                        presence: true,
+                        inclusion: ['lru', 'oldest', 'largest']
+                    },
+                    staleWhileRevalidate: {
+                        presence: true,
+                        duration: true
+                    },
+                    staleIfError: {
+                        presence: true,
+                        duration: true
+                    },
+                    timeout: {
+                        presence: true,
+                        duration: true
+                    },
+                    refreshErrorHandler: {
+                        hasTypeof: 'function'
+                    },
+                    memoryCache: {
+                        dictionary: {
+                            mapConstraints: {
+                                maxEntries: {
+                                    presence: true,
+                                    hasTypeof: 'number',
+                                    numericality: {
+                                        onlyInteger: true,
+                                        greaterThan: 0
+                                    }
+                                },
+                                maxBytes: {
+                                    presence: true,
+                                    hasTypeof: 'number',
+                                    numericality: {
+                                        greaterThan: 0
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    defaultCacheTTL: {
+                        presence: true,
+                        duration: { positive: true }
                     }
                 }
             }
@@ -393,6 +823,92 @@ class Databridge{
          * @type {PlainObject}
          */
         this._datasources = {};
+        
+        /**
+         * The cache store used to persist cached data.
+         * @private
+         * @type {CacheStore}
+         */
+        this._cacheStore = this._options.cacheStore;
+        if(!this._cacheStore){
+            let storeOptions = { cacheDir: this._options.cacheDir };
+            if(validate.isDefined(this._options.lockTimeout)) storeOptions.lockTimeout = this._options.lockTimeout;
+            this._cacheStore = new FileCacheStore(storeOptions);
+        }
+        
+        /**
+         * The promises of data for the fetches from data sources currently
+         * in flight, indexed by cache key.
+         * @private
+         * @type {Map<string, Promise>}
+         */
+        this._inFlight = new Map();
+        
+        /**
+         * A promise that settles once the cache writes subject to size quotas
+         * queued so far are done. Such writes are made one at a time so each
+         * sees the sizes left by the last.
+         * @private
+         * @type {Promise}
+         */
+        this._quotaWrites = Promise.resolve();
+        
+        /**
+         * The clock used for timestamps and expiry calculations.
+         * @private
+         * @type {Clock}
+         */
+        this._clock = this._options.clock || new Clock();
+        
+        // share the clock with the cache store if it doesn't have one of its
+        // own
+        if(!this._cacheStore.clock()) this._cacheStore.clock(this._clock);
+        
+        /**
+         * The optional in-process memory tier in front of the cache store.
+         * @private
+         * @type {MemoryCacheTier}
+         */
+        this._memoryTier = undefined;
+        if(this._options.memoryCache){
+            this._memoryTier = new MemoryCacheTier(this._options.memoryCache.maxEntries, this._options.memoryCache.maxBytes, this._clock);
+        }
+        
+        /**
+         * The timer for background purging of expired cache entries, if
+         * running.
+         * @private
+         * @type {Object}
+         */
+        this._purgeTimer = undefined;
+        if(this._options.purgeInterval){
+            let purgeOptions = {};
+            if(validate.isDefined(this._options.purgeGracePeriod)) purgeOptions.gracePeriod = this._options.purgeGracePeriod;
+            this.startPurging(this._options.purgeInterval, purgeOptions);
+        }
+        
+        /**
+         * The streams registered for background refreshing, indexed by ID.
+         * Each entry is a {@link ScheduledRefresh} with its timer, if running,
+         * as `timer`, and whether a refresh is in progress as `running`.
+         * @private
+         * @type {Map}
+         */
+        this._refreshSchedule = new Map();
+        
+        /**
+         * A counter used to generate scheduled refresh IDs.
+         * @private
+         * @type {number}
+         */
+        this._refreshCounter = 0;
+        
+        /**
+         * Whether or not background refreshing is running.
+         * @private
+         * @type {boolean}
+         */
+        this._refreshing = false;
     }
     
     /**
@@ -413,6 +929,15 @@ class Databridge{
         return this._options[args.optionName];
     }
     
+    /**
+     * A read-only accessor for the cache store used by this databridge.
+     *
+     * @returns {CacheStore}
+     */
+    cacheStore(){
+        return this._cacheStore;
+    }
+    
     /**
      * A read-only accessor for all registered datasources.
      *
@@ -434,6 +959,30 @@ class Databridge{
         return undefined;
     }
     
+    /**
+     * A function to get the state of a registered datasource's circuit
+     * breaker.
+     *
+     * @param {DatabridgeName} datasourceName - the name of the datasource.
+     * @returns {CircuitBreakerState|undefined} the state, or `undefined` if
+     * the datasource has no `circuitBreaker` option.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     * @throws {Error} An error is thrown when an unregistered datasource name
+     * is specified.
+     * @see Datasource#circuitState
+     */
+    circuitState(){
+        let args = validateParams.assert(arguments, [
+            validateParams.extendObject({ vpopt_name: 'datasourceName', presence: true }, vpCons.databridgeName)
+        ]);
+        let ds = this._datasources[args.datasourceName];
+        if(!ds){
+            throw new Error(`no datasource registered with name '${args.datasourceName}'`);
+        }
+        return ds.circuitState();
+    }
+    
     /**
      * A function for adding a data source to the bridge.
      *
@@ -472,8 +1021,10 @@ class Databridge{
             throw new Error(`the datasource name '${args.datasource.name()}' cannot be used because it clashes with an existing function or property name`);
         }
         
-        // save the datasource
+        // save the datasource, sharing the databridge's clock with it if it
+        // doesn't have one of its own
         this._datasources[dsName] = args.datasource;
+        if(!args.datasource.clock()) args.datasource.clock(this._clock);
         
         // bind the shortcut function(s)
         let self = this;
@@ -512,6 +1063,19 @@ class Databridge{
      * A function to fetch data from a data source. The function returns an
      * object that contains a promise for the data.
      *
+     * The response is returned immediately - the cache is read in the
+     * background, and the data fetcher is only called if no valid cached copy
+     * is found. Because of this, problems with the data fetcher will only
+     * result in an error being thrown when the cache is disabled or bypassed,
+     * otherwise they will result in the data promise rejecting.
+     *
+     * Requests for a stream that's already being fetched join the in-flight
+     * fetch rather than calling the data fetcher again, and the response's
+     * `joinedInFlight` metadata is set. A joining request still honours its
+     * own `timeout`, `signal` and `staleIfError` options, but its `priority`
+     * and `pinCache` options have no effect, and it's also subject to the
+     * timeout and signal of the request that started the fetch.
+     *
      * @param {DatabridgeNamePath} datasourcePath - for datasources with
      * single data fetchers, the name of the data source as a string, for data
      * sources with multiple data fetchers, an array of strings with the name
@@ -522,6 +1086,33 @@ class Databridge{
      * use when reading and writting the cache.
      * @param {boolean} [options.bypassCache=false] - a truthy value will bypass
      * the cache, regardless of the data source's caching settings and TTL.
+     * @param {boolean} [options.pinCache=false] - a truthy value will pin any
+     * data written to the cache by this request, exempting it from eviction
+     * when enforcing cache size quotas.
+     * @param {Duration} [options.staleWhileRevalidate] - overrides the
+     * datasource's and databridge's `staleWhileRevalidate` window for this
+     * request. Expired data within the window is returned with the
+     * `stale` metadata set while the stream is refreshed in the background.
+     * @param {Duration} [options.staleIfError] - overrides the datasource's and
+     * databridge's `staleIfError` limit for this request.
+     * @param {Duration} [options.maxAge] - the maximum age of cached data
+     * acceptable for this request. Cached data older than this, or than the
+     * TTL, is re-fetched.
+     * @param {Duration} [options.minFresh] - the minimum time for which cached
+     * data must remain within its TTL to be acceptable for this request.
+     * @param {number} [options.priority=0] - the priority of this request's
+     * data fetcher call within the datasource's queue if its `maxConcurrency`
+     * option is reached. Higher priorities run first.
+     * @param {Duration} [options.timeout] - overrides the datasource's and
+     * databridge's `timeout` option for this request. Plain numbers are
+     * milliseconds. Time spent waiting for the stream's cache lock counts
+     * towards the timeout.
+     * @param {AbortSignal} [options.signal] - a signal to cancel the data
+     * fetcher call with. The signal is forwarded to the data fetcher, and the
+     * data promise rejects with the signal's reason if it's aborted, including
+     * while waiting for the stream's cache lock. Requests
+     * with a signal are never joined by other requests for the same stream,
+     * so cancelling one request can't cancel another's data.
      * @param {Array} [fetcherArgs=[]] - an array of arguments to pass to the
      * fetcher function.
      * @returns {FetchResponse} a fetch response object containing
@@ -530,7 +1121,8 @@ class Databridge{
      * thrown if parameter validation fails.
      * @throws {Error} An error is thrown when an unregistered datasource name
      * is specified, there's a problem generating the stream name, or, there's
-     * a problem fetching data from the datasource.
+     * a problem fetching data from the datasource while the cache is disabled
+     * or bypassed.
      */
     fetchResponse(){
         let args = validateParams.assert(arguments, [
@@ -550,6 +1142,9 @@ class Databridge{
                             }else{
                                 v.bypassCache = false;
                             }
+                            if(validate.isDefined(v.pinCache)){
+                                v.pinCache = v.pinCache ? true : false;
+                            }
                         }
                         return v;
                     }
@@ -559,7 +1154,29 @@ class Databridge{
                         streamName: vpCons.databridgeName,
                         bypassCache: {
                             hasTypeof: 'boolean'
-                        }
+                        },
+                        pinCache: {
+                            hasTypeof: 'boolean'
+                        },
+                        staleWhileRevalidate: {
+                            duration: true
+                        },
+                        staleIfError: {
+                            duration: true
+                        },
+                        maxAge: {
+                            duration: true
+                        },
+                        minFresh: {
+                            duration: true
+                        },
+                        priority: {
+                            hasTypeof: 'number'
+                        },
+                        timeout: {
+                            duration: true
+                        },
+                        signal: vpCons.abortSignal
                     }
                 }
             },
@@ -591,21 +1208,7 @@ class Databridge{
 		let fetcherArgs = args.fetcherArgs;
 		
 		// determine the stream name to use
-		let streamName = 'main'; // default to main
-		if(validate.isString(args.options.streamName)){
-			// if an option was passed, use it
-			streamName = args.options.streamName;
-		}else{
-			// we'll need to use a generator
-			let streamNameGenerator = Datasource.defaultStreamNameGenerator;
-			if(validate.isFunction(ds.dataFetcher(fetcherPath).streamNameGenerator)){
-				// if a custom streamNameGenerator callback exists, use it
-				streamNameGenerator = ds.dataFetcher(fetcherPath).streamNameGenerator;
-			}
-			
-			// try call the name generator - could generate an error
-			streamName = streamNameGenerator.call(ds, fetcherArgs, args.options);
-		}
+		let streamName = this._resolveStreamName(ds, fetcherPath, fetcherArgs, args.options);
         
         // assemble a fetch request object
         let request = new FetchRequest(
@@ -614,282 +1217,415 @@ class Databridge{
             args.options,
 			fetcherPath,
             args.fetcherArgs,
-            moment().toISOString()
+            this._now().toISOString()
         );
         
         // assemble a fetch response object (details will be filled in later)
         let response = new FetchResponse(request, undefined, { cacheRead: false });
 		response.meta('streamName', streamName);
         
-        // before calling the fetcher, check for a valid cached copy
-        if(ds.option('enableCaching') && !args.options.bypassCache){
-            let cache = this._getStreamCache(sourcePath, streamName);
-            if(cache){
-                // figure out which TTL applies
-                let ttl = this.option('defaultCacheTTL'); // start with the default
-                if(ds.option('cacheTTL')){
-                    ttl = ds.option('cacheTTL'); // override with specified TTL
-                }
-                if(cache.isWithinTTL(ttl)){
-                    // store the cached data into the response in a pre-resolved promise
-                    response.dataPromise(Promise.resolve(cache.data()));
-                    
-                    // add the cache-related metadata into the response
-                    response.meta('cacheRead', { path: cache.filePath(), timestamp: cache.timestamp() });
-                    
-                    // return the response object
-                    return response;
-                }
-            }
-        }
-        
-        // if no valid data was found in the cache, try initialise a request to the data source
-        let dataPromise = false;
-        try{
-            dataPromise = ds.fetchDataPromise(fetcherArgs, fetcherPath);
-        }catch(err){
-            throw new Error(`failed to fetch data from data source '${sourceName}' with error: ${err.message}`); // TO DO - make error work for multiple fetchers
+        // if caching is disabled or bypassed, go straight to the data source
+        if(!ds.option('enableCaching') || args.options.bypassCache){
+            response.dataPromise(this._fetchCoalesced(ds, sourcePath, streamName, fetcherArgs, response));
+            return response;
         }
         
-        // if caching is enabled, set it to be attempted when the promised data is delivered
+        // otherwise check for a valid cached copy in the background before
+        // calling the fetcher
         let self = this;
-        if(ds.option('enableCaching')){
-            dataPromise = dataPromise.then(function(data){
-                try{
-                    let cacheFile = self._writeStreamCache(new DataCache(
-                        sourcePath,
-                        streamName,
-                        moment().toISOString(),
-                        data
-                    ));
-                    response.meta('cacheWrite', {path: path.resolve(cacheFile), timestamp: moment().toISOString()});
-                }catch(err){
-                    console.warn(`failed to cache data returned from datasource '${sourceName}' as stream '${streamName}'`, err); // TO DO - make error path-aware
-                }
-                return data;
-            });
-        }
+        let ttlOf = function(cache){
+            return self._cacheTTL(ds, fetcherPath, args.options, cache);
+        };
+        
+        // the request's minFresh option only narrows which caches are fresh
+        // enough, not the stale windows that follow the TTL
+        let isFresh = function(cache){
+            let freshFor = ttlOf(cache);
+            if(validate.isDefined(args.options.minFresh)) freshFor = Math.max(freshFor - durationToMilliseconds(args.options.minFresh), 0);
+            return cache.isWithinTTL({ milliseconds: freshFor }, self._now());
+        };
+        let recordCacheRead = function(cache, targetResponse){
+            targetResponse.meta('cacheRead', { path: cache.filePath(), timestamp: cache.timestamp(), tier: cache.tier() });
+        };
+        
+        // fall back to an expired cache when fetching the stream fails, if
+        // the cache is within the stale-if-error limit, if the datasource's
+        // rate limit is exhausted and it allows falling back to cached data,
+        // or if the datasource's circuit is open
+        let rateLimitFallbackTo = function(staleCache, fallBackToStale){
+            return fallBackToStale && staleCache && ds.option('rateLimitFallback') ? true : false;
+        };
+        let fallBack = function(err, targetResponse, staleCache, fallBackToStale){
+            let staleLimit = fallBackToStale ? self._staleIfError(ds, args.options) : 0;
+            if(rateLimitFallbackTo(staleCache, fallBackToStale) && err instanceof RateLimitError){
+                targetResponse.meta('rateLimited', true);
+            }else if(fallBackToStale && staleCache && err instanceof CircuitOpenError){
+                targetResponse.meta('circuitOpen', true);
+            }else if(!(staleCache && staleLimit > 0 && staleCache.isWithinTTL({ milliseconds: ttlOf(staleCache) + staleLimit }, self._now()))){
+                throw err;
+            }
+            recordCacheRead(staleCache, targetResponse);
+            targetResponse.meta('stale', true);
+            targetResponse.meta('fetchError', err);
+            targetResponse.meta('cacheAge', self._now().diff(moment(staleCache.timestamp())));
+            return staleCache.data();
+        };
         
-        // add the data promise into the response object and return it
-        response.dataPromise(dataPromise);
+        // lock the stream and fetch it from the data source, checking the
+        // cache again once the lock is held in case another process refreshed
+        // it in the meantime - if this process is already fetching the stream
+        // the fetch is joined instead, otherwise the fetch is registered as in
+        // flight before the stream is locked, so requests made while waiting
+        // for the lock join it rather than queue for the lock themselves
+        let refreshStream = function(targetResponse, staleCache, fallBackToStale){
+            let cacheKey = self._generateCacheKey(sourcePath, streamName);
+            if(self._inFlight.has(cacheKey)){
+                return Promise.resolve().then(function(){
+                    let callOptions = rateLimitFallbackTo(staleCache, fallBackToStale) ? { rateLimitMode: 'reject' } : {};
+                    return self._fetchCoalesced(ds, sourcePath, streamName, fetcherArgs, targetResponse, callOptions);
+                }).catch(function(err){
+                    return fallBack(err, targetResponse, staleCache, fallBackToStale);
+                });
+            }
+            
+            // the time spent waiting for the lock counts towards the
+            // request's timeout
+            let timeout = self._timeout(ds, args.options);
+            let lockRequested = Date.now();
+            let fallbackCache = staleCache;
+            let fetchPromise = self._lockStream(sourcePath, streamName, timeout, args.options.signal, targetResponse).then(function(release){
+                return self._getStreamCache(sourcePath, streamName, targetResponse, true).then(function(lockedCache){
+                    fallbackCache = lockedCache;
+                    if(lockedCache && isFresh(lockedCache)){
+                        recordCacheRead(lockedCache, targetResponse);
+                        return lockedCache.data();
+                    }
+                    let callOptions = rateLimitFallbackTo(lockedCache, fallBackToStale) ? { rateLimitMode: 'reject' } : {};
+                    if(timeout > 0) callOptions.timeout = { milliseconds: Math.max(timeout - (Date.now() - lockRequested), 1) };
+                    return self._fetchFromDatasource(ds, sourcePath, streamName, fetcherArgs, targetResponse, callOptions);
+                }).then(
+                    function(data){
+                        return release().then(function(){ return data; });
+                    },
+                    function(err){
+                        return release().then(function(){ throw err; });
+                    }
+                );
+            });
+            if(!args.options.signal) self._registerInFlight(cacheKey, fetchPromise);
+            return fetchPromise.catch(function(err){
+                return fallBack(err, targetResponse, fallbackCache, fallBackToStale);
+            });
+        };
+        response.dataPromise(this._getStreamCache(sourcePath, streamName, response).then(function(cache){
+            if(cache && isFresh(cache)){
+                recordCacheRead(cache, response);
+                return cache.data();
+            }
+            
+            // if the cache has expired but is within the stale-while-revalidate
+            // window, return it straight away and refresh it in the background
+            let staleWindow = self._staleWhileRevalidate(ds, args.options);
+            if(cache && staleWindow > 0 && cache.isWithinTTL({ milliseconds: ttlOf(cache) + staleWindow }, self._now())){
+                recordCacheRead(cache, response);
+                response.meta('stale', true);
+                let refreshPromise = refreshStream(new FetchResponse(request, undefined, { cacheRead: false }), cache, false);
+                refreshPromise.catch(function(err){
+                    console.warn(`failed to refresh stale stream '${streamName}' from data source '${sourceName}'`, err);
+                });
+                response.meta('refreshPromise', refreshPromise);
+                return cache.data();
+            }
+            
+            return refreshStream(response, cache, true);
+        }));
         return response;
     }
     
     /**
-     * A function to fetch a promise of data from a data source.
+     * A function to fetch a stream from a data source via
+     * [._fetchFromDatasource()]{@link Databridge#_fetchFromDatasource}, unless
+     * a fetch of the same stream is already in flight, in which case that
+     * fetch is joined and the response's `joinedInFlight` metadata is set.
+     * Requests with an abort signal can join in-flight fetches, but are never
+     * joined, so cancelling one request can't cancel another's data.
      *
-     * Note that this is simply a wrapper around
-     * [.fetch()]{@link Databridge#fetch}.
+     * Joining requests share the data and outcome of the in-flight fetch, so
+     * only their own timeout and signal are applied - by racing the shared
+     * promise against them. Their other fetch options and the call options are
+     * ignored.
      *
-     * @param {DatabridgeNamePath} datasourcePath - for datasources with
-     * single data fetchers, the name of the data source as a string, for data
-     * sources with multiple data fetchers, an array of strings with the name
-     * of the datasource as the first element, and the path to the required
-     * fetcher in the remaining elements.
-     * @param {PlainObject} [options={}] - a plain object with options
-     * @param {string} [options.streamName='main'] - for datasources that
-     * access multiple streams of data, this option can be used to maintain
-     * multiple caches, one for each stream.
-     * @param {Array} [fetcherArgs=[]] - an array of arguments to pass to the
-     * fetcher function.
-     * @returns {Promise} a promise that resolves to the data returned from the
-     * datasource.
-     * @throws {external:validateParams.ValidationError} a validation error is
-     * thrown if parameter validation fails.
-     * @throws {Error} An error is thrown when an unregistered datasource name
-     * is specified, or if there is a problem fetching data from the datasource.
-     * @see Databridge#fetch
+     * @private
+     * @param {Datasource} ds - the datasource to fetch the data from.
+     * @param {DatabridgeName[]} sourcePath - the datasource name followed by
+     * the path to the data fetcher within the datasource.
+     * @param {DatabridgeName} streamName - the name of the data stream.
+     * @param {Array} fetcherArgs - the arguments to pass to the data fetcher.
+     * @param {FetchResponse} response - the response to record the metadata
+     * into.
+     * @param {PlainObject} [callOptions] - additional options to pass to
+     * [Datasource#fetchDataPromise()]{@link Datasource#fetchDataPromise}.
+     * @returns {Promise} a promise of the data returned by the data fetcher.
+     * @throws {Error} An error is thrown if the data fetcher fails.
      */
-    fetchDataPromise(datasourcePath, options, fetcherArgs){
-        return this.fetch(datasourcePath, options, fetcherArgs).dataPromise();
+    _fetchCoalesced(ds, sourcePath, streamName, fetcherArgs, response, callOptions){
+        let fetchOptions = response.request().fetchOptions();
+        let key = this._generateCacheKey(sourcePath, streamName);
+        let inFlight = this._inFlight.get(key);
+        if(inFlight){
+            response.meta('joinedInFlight', true);
+            return this._withinRequestLimits(inFlight, this._timeout(ds, fetchOptions), fetchOptions.signal, response, 'joined fetch');
+        }
+        if(fetchOptions.signal){
+            return this._fetchFromDatasource(ds, sourcePath, streamName, fetcherArgs, response, callOptions);
+        }
+        return this._registerInFlight(key, this._fetchFromDatasource(ds, sourcePath, streamName, fetcherArgs, response, callOptions));
     }
     
     /**
-     * A function to generate the file path for a given data cache.
+     * A function to register a fetch of a stream as in flight until it
+     * settles, so other requests for the stream join it.
      *
      * @private
-     * @param {DatabridgeNamePath} sourcePath - path to the data fetcher within
-     * the datasource the requested cache belongs to.
-     * @param {DatabridgeName} streamName - the name of the data stream the
-     * reqested cache belongs to.
-     * @returns {string}
-     * @throws {TypeError} A type error is thrown if an invalid source path is
-     * passed.
+     * @param {string} cacheKey - the cache key of the stream.
+     * @param {Promise} fetchPromise - a promise of the fetched data.
+     * @returns {Promise} the fetch promise.
      */
-    _generateCachePath(sourcePath, streamName){
-		let fileName = '';
-		if(validate.isString(sourcePath)){
-			fileName += sourcePath;
-		}else if(validate.isArray(sourcePath)){
-			fileName += sourcePath.join('.');
-		}else{
-			throw new TypeError('invalid source path passed');
-		}
-		fileName += '.' + streamName + '.json';
-        return path.join(this.option('cacheDir'), fileName);
+    _registerInFlight(cacheKey, fetchPromise){
+        this._inFlight.set(cacheKey, fetchPromise);
+        let self = this;
+        let forget = function(){
+            if(self._inFlight.get(cacheKey) === fetchPromise) self._inFlight.delete(cacheKey);
+        };
+        fetchPromise.then(forget, forget);
+        return fetchPromise;
     }
     
     /**
-     * A function to attempt to load data for a given datasource and stream from
-     * cache.
+     * A function to race a promise a request is waiting on, e.g. a joined
+     * in-flight fetch or a stream lock, against the request's own timeout and
+     * abort signal.
      *
      * @private
-     * @param {DatabridgeNamePath} sourcePath - path to the data fetcher within
-     * the datasource the requested cache belongs to.
-     * @param {DatabridgeName} streamName - the name of the data stream the
-     * reqested cache belongs to.
-     * @returns {DataCache} returns the cached data as a DataCache object, or
-     * undefined.
+     * @param {Promise} promise - the promise the request is waiting on.
+     * @param {number} timeout - the request's timeout in milliseconds, zero
+     * for no timeout.
+     * @param {AbortSignal} [signal] - the request's abort signal.
+     * @param {FetchResponse} [response] - the response to record a timeout
+     * into.
+     * @param {string} description - a description of what's being waited on
+     * for use in timeout error messages.
+     * @returns {Promise} a promise that settles as the given promise does,
+     * unless the timeout passes first, in which case it rejects with a
+     * {@link TimeoutError}, or the signal is aborted first, in which case it
+     * rejects with the signal's reason.
      */
-    _getStreamCache(sourcePath, streamName){
-        let cachePath = this._generateCachePath(sourcePath, streamName);
-        let cachedObj = fs.readJsonSync(cachePath, { throws: false });
-        if(cachedObj){
-            try{
-                let loadedCache = DataCache.fromJsonObject(cachedObj);
-                loadedCache.filePath(cachePath);
-                return loadedCache;
-            }catch(err){
-                console.warn('failed to parse cached data', err);
+    _withinRequestLimits(promise, timeout, signal, response, description){
+        if(signal && signal.aborted) return Promise.reject(abortReason(signal));
+        if(!(timeout > 0) && !signal) return promise;
+        return new Promise(function(resolve, reject){
+            let timer = undefined;
+            let onAbort = function(){
+                stopWatching();
+                reject(abortReason(signal));
+            };
+            let stopWatching = function(){
+                clearTimeout(timer);
+                if(signal) signal.removeEventListener('abort', onAbort);
+            };
+            if(timeout > 0){
+                timer = setTimeout(function(){
+                    stopWatching();
+                    if(response) response.meta('timedOut', true);
+                    reject(new TimeoutError(`${description} timed out after ${timeout}ms`, timeout));
+                }, timeout);
             }
-        }
-        return undefined;
+            if(signal) signal.addEventListener('abort', onAbort);
+            promise.then(
+                function(data){
+                    stopWatching();
+                    resolve(data);
+                },
+                function(err){
+                    stopWatching();
+                    reject(err);
+                }
+            );
+        });
     }
     
     /**
-     * A function to attempt to write data from a given datasource and stream to
-     * a cache file.
+     * A function to initialise a request to a data source, and, if caching is
+     * enabled on the data source, to write the data returned to the cache.
      *
      * @private
-     * @param {DataCache} cacheObj - the cache object to try write to disk.
-     * @returns {string} returns the path to the cache file.
-     * @throws {Error} throws an error if there is a problem writing the data to
-     * disk.
+     * @param {Datasource} ds - the datasource to fetch the data from.
+     * @param {DatabridgeName[]} sourcePath - the datasource name followed by
+     * the path to the data fetcher within the datasource.
+     * @param {DatabridgeName} streamName - the name of the data stream the
+     * data belongs to.
+     * @param {Array} fetcherArgs - the arguments to pass to the data fetcher.
+     * @param {FetchResponse} response - the response to record the
+     * cache-related metadata into.
+     * @param {PlainObject} [callOptions] - additional options to pass to
+     * [Datasource#fetchDataPromise()]{@link Datasource#fetchDataPromise}.
+     * @returns {Promise} a promise of the data returned by the data fetcher.
+     * @throws {Error} An error is thrown if the data fetcher fails.
      */
-    _writeStreamCache(cacheObj){
-        var cachePath = this._generateCachePath(cacheObj.sourcePath(), cacheObj.streamName());
-        fs.writeJsonSync(cachePath, cacheObj.asJsonObject());
-        return cachePath;
+    _fetchFromDatasource(ds, sourcePath, streamName, fetcherArgs, response, callOptions){
+        let sourceName = sourcePath[0];
+        let dataPromise = false;
+        let fetchOptions = response.request().fetchOptions();
+        let fetchMeta = {};
+        try{
+            dataPromise = ds.fetchDataPromise(
+                fetcherArgs,
+                sourcePath.slice(1),
+                validateParams.extendObject(
+                    {
+                        priority: fetchOptions.priority || 0,
+                        timeout: { milliseconds: this._timeout(ds, fetchOptions) },
+                        signal: fetchOptions.signal,
+                        meta: fetchMeta
+                    },
+                    callOptions || {}
+                )
+            );
+        }catch(err){
+            throw new Error(`failed to fetch data from data source '${sourceName}' with error: ${err.message}`); // TO DO - make error work for multiple fetchers
+        }
+        
+        // copy any metadata about the call into the response once it's done
+        let recordFetchMeta = function(){
+            for(let metaName of Object.keys(fetchMeta)) response.meta(metaName, fetchMeta[metaName]);
+        };
+        dataPromise = dataPromise.then(
+            function(result){
+                recordFetchMeta();
+                return result;
+            },
+            function(err){
+                recordFetchMeta();
+                if(err instanceof TimeoutError) response.meta('timedOut', true);
+                throw err;
+            }
+        );
+        
+        // if caching is enabled, set it to be attempted when the promised data
+        // is delivered, honouring any cache directives returned with it
+        if(!ds.option('enableCaching')){
+            return dataPromise.then(function(result){
+                return result instanceof CacheDirectives ? result.data() : result;
+            });
+        }
+        let self = this;
+        return dataPromise.then(function(result){
+            let directives = result instanceof CacheDirectives ? result : undefined;
+            let data = directives ? directives.data() : result;
+            if(directives && directives.noStore()){
+                response.meta('noStore', true);
+                return data;
+            }
+            let cacheObj = new DataCache(sourcePath, streamName, self._now().toISOString(), data);
+            if(ds.option('pinCache') || fetchOptions.pinCache) cacheObj.pinned(true);
+            if(directives) cacheObj.directives({ ttl: directives.ttl(), expiresAt: directives.expiresAt(), tags: directives.tags() });
+            return self._writeStreamCache(cacheObj, ds).then(
+                function(cacheLocation){
+                    response.meta('cacheWrite', {path: cacheLocation, timestamp: self._now().toISOString()});
+                    return data;
+                },
+                function(err){
+                    console.warn(`failed to cache data returned from datasource '${sourceName}' as stream '${streamName}'`, err); // TO DO - make error path-aware
+                    return data;
+                }
+            );
+        });
     }
-}
-
-/**
- * An alias for `.registerDatasource()`.
- * @function
- * @see Databridge.registerDatasource
- */   
-Databridge.prototype.register = Databridge.prototype.registerDatasource;
-
-/**
- * An alias for `.datasource()`.
- * @function
- * @see Databridge.datasource
- */   
-Databridge.prototype.source = Databridge.prototype.datasource;
-
-/**
- * An alias for `.fetchResponse()`.
- * @function
- * @see Databridge.fetchResponse
- */   
-Databridge.prototype.fetch = Databridge.prototype.fetchResponse;
-
-//
-//=== Define the Datasource class ==============================================
-//
-
-/**
- * A class representing a data source from which the bridge can pull data.
- */
-class Datasource{
+    
     /**
-	 * In order to assure that caching works correctly, every data fetcher that
-	 * accepts parameters, and returns different results depending on the
-	 * values of those parameters must have an associated
-	 * [stream name generator]{@link StreamNameGenerator}, or, a stream name
-	 * must be specified as an option each time data is fetched from the data
-	 * source (the latter is very cumbersome and a poor apprach). If a custom
-	 * stream name generator is not added to the data fetcher, the
-	 * [Datasource.defaultStreamNameGenerator()]{@link Datasource.defaultStreamNameGenerator}
-	 * function is used. This will suffice in all cases except those where the
-	 * passed parameter values can't be converted to JSON strings. In such rare
-	 * edge cases, a custom stream name geneator must be specified or each call
-	 * to the data fetcher will result in an error being thrown.
-	 *
-	 * A custom stream name generator can be added by adding a callback as a
-	 * property of the fetcher function with the name `streamNameGenerator`.
-	 *
-     * @param {DataFetcher} [dataFetcher={}] - the callback, or collection of
-     * callbacks, which the datasource will use to fetch data.
-     * @param {PlainObject} [options] - a plain object defining options.
-     * @param {boolean} [options.enableCaching=true] - whether or not to cache
-     * the results returned by this data source. By default, caching is enabled.
-     * @param {number} [options.cacheTTL] - the TTL for the data cache
-     * in minutes.
+     * A function to fetch a promise of data from a data source.
+     *
+     * Note that this is simply a wrapper around
+     * [.fetch()]{@link Databridge#fetch}.
+     *
+     * @param {DatabridgeNamePath} datasourcePath - for datasources with
+     * single data fetchers, the name of the data source as a string, for data
+     * sources with multiple data fetchers, an array of strings with the name
+     * of the datasource as the first element, and the path to the required
+     * fetcher in the remaining elements.
+     * @param {PlainObject} [options={}] - a plain object with options
+     * @param {string} [options.streamName='main'] - for datasources that
+     * access multiple streams of data, this option can be used to maintain
+     * multiple caches, one for each stream.
+     * @param {Array} [fetcherArgs=[]] - an array of arguments to pass to the
+     * fetcher function.
+     * @returns {Promise} a promise that resolves to the data returned from the
+     * datasource.
      * @throws {external:validateParams.ValidationError} a validation error is
      * thrown if parameter validation fails.
-     * @example <caption>Single Data Fetcher without Parameters</caption>
-     * const cjdb = require('@maynoothuniversity/caching-json-databridge');
-     * let daysDS = new cjdb.Datasource(function(){
-     *   return ['mon', 'tues', 'wed', 'thurs', 'fri', 'sat', 'sun'];
-     * });
-     * @example <caption>Multiple Data Fetchers without Parameters</caption>
-     * const cjdb = require('@maynoothuniversity/caching-json-databridge');
-     * let fancyDaysDS = new cjdb.Datasource({
-     *   lowerCase: function(){
-     *   	return ['mon', 'tues', 'wed', 'thurs', 'fri', 'sat', 'sun'];
-     *   },
-     *   upperCase: function(){
-     *   	return ['Mon', 'TUES', 'WED', 'THURS', 'FRI', 'SAT', 'SUN'];
-     *   }
-     * });
-     * @example <caption>Custom Stream Name Generator</caption>
-     * const cjdb = require('@maynoothuniversity/caching-json-databridge');
+     * @throws {Error} An error is thrown when an unregistered datasource name
+     * is specified, or if there is a problem fetching data from the datasource.
+     * @see Databridge#fetch
+     */
+    fetchDataPromise(datasourcePath, options, fetcherArgs){
+        return this.fetch(datasourcePath, options, fetcherArgs).dataPromise();
+    }
+    
+    /**
+     * A function to pre-populate the cache with many streams from a single
+     * datasource, e.g. before a batch job that will read them all.
      *
-     * // define a data fetcher function which expects a Date object as the only param
-     * let myDataFetcher = function(d){
-     *   return "Party like it's " + d.getFullYear();
-     * }
+     * Each argument set is fetched as if by
+     * [.fetchResponse()]{@link Databridge#fetchResponse}, so streams that are
+     * already fresh in the cache are skipped, and expired or missing streams
+     * are fetched from the datasource and cached. Expired data is never
+     * accepted in place of a fetch, so `staleWhileRevalidate` and
+     * `staleIfError` don't apply, but the datasource's `rateLimitFallback`
+     * option and open circuits can still lead to expired data being served,
+     * and those streams are counted as stale rather than failed. At most
+     * `options.concurrency` streams are fetched at once.
      *
-     * // add a custom stream name generator
-	 * myDataFetcher.streamNameGenerator = function(fParams){
-	 *   return "y_" + fParams[0].getFullYear();
-	 * }
-	 *
-	 * // create the datasource
-	 * let partyDS = new cjdb.Datasource(myDataFetcher);
+     * @param {DatabridgeNamePath} datasourcePath - the name of the data
+     * source, or an array with the name of the datasource followed by the
+     * path to the required fetcher.
+     * @param {Array} argSets - the sets of arguments to pass to the fetcher
+     * function, one per stream. Values that are not arrays are treated as a
+     * single argument, so `[1980, 1981]` is equivalent to `[[1980], [1981]]`.
+     * @param {PlainObject} [options={}] - a plain object with options.
+     * @param {number} [options.concurrency=4] - the maximum number of streams
+     * to fetch at once.
+     * @returns {Promise} a promise of a {@link WarmSummary}. The promise never
+     * rejects because of individual streams failing.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     * @throws {Error} An error is thrown when an unregistered datasource name
+     * is specified.
      */
-    constructor(){
-        let args=validateParams.assert(arguments, [
+    warm(){
+        let args = validateParams.assert(arguments, [
             {
-				paramOptions: {
-					name: 'dataFetcher',
-					defaultWhenUndefined: {}
-				},
-                dataFetcher: true
+                vpopt_name: 'datasourcePath',
+                presence: true,
+                namePath: true
+            },
+            {
+                vpopt_name: 'argSets',
+                defined: true,
+                list: true
             },
             {
                 paramOptions: {
                     name: 'options',
                     defaultWhenUndefined: {},
-                    coerce: function(v, o, c){
-                        if(validate.isObject(v)){
-                            if(typeof v.enableCaching === 'undefined'){
-                                v.enableCaching = true;
-                            }else{
-                                v.enableCaching = validateParams.coercions.toBoolean(v.enableCaching, o, c);
-                            }
-                        }
+                    coerce: function(v){
+                        if(validate.isObject(v) && typeof v.concurrency === 'undefined') v.concurrency = 4;
                         return v;
                     }
                 },
                 dictionary: {
                     mapConstraints: {
-                        enableCaching: {
-                            defined: true,
-                            hasTypeof: 'boolean'
-                        },
-                        cacheTTL: {
+                        concurrency: {
+                            presence: true,
                             hasTypeof: 'number',
                             numericality: {
                                 onlyInteger: true,
@@ -900,844 +1636,5094 @@ class Datasource{
                 }
             }
         ]);
+        let sourceName = validate.isString(args.datasourcePath) ? args.datasourcePath : args.datasourcePath[0];
+        if(!this._datasources[sourceName]){
+            throw new Error(`no datasource registered with name '${sourceName}'`);
+        }
+        let argSets = args.argSets.map(function(argSet){
+            return validate.isArray(argSet) ? argSet : [argSet];
+        });
+        let summary = { total: argSets.length, hits: 0, refreshed: 0, joined: 0, stale: 0, failed: 0, failures: [] };
         
-        /**
-         * The data fetcher definition for this data source defining zero or
-         * more data fetcher callbacks.
-         * @private
-         * @type {DataFetcher}
-         */
-        this._dataFetcher = args.dataFetcher;
+        // fetch a single stream, recording the outcome in the summary
+        let self = this;
+        let warmStream = function(fetcherArgs){
+            let fr;
+            return Promise.resolve().then(function(){
+                fr = self.fetchResponse(args.datasourcePath, { staleWhileRevalidate: 0, staleIfError: 0 }, fetcherArgs);
+                return fr.dataPromise();
+            }).then(function(){
+                if(fr.meta('stale')){
+                    summary.stale++;
+                }else if(fr.meta('cacheRead')){
+                    summary.hits++;
+                }else if(fr.meta('joinedInFlight')){
+                    summary.joined++;
+                }else{
+                    summary.refreshed++;
+                }
+            }).catch(function(err){
+                summary.failed++;
+                summary.failures.push({ fetcherArgs: fetcherArgs, streamName: fr ? fr.meta('streamName') : undefined, error: err });
+            });
+        };
         
-        /**
-         * Options for this data source.
-         * @private
-         * @type {PlainObject}
-         */
-        this._options = args.options;
+        // work through the argument sets with a bounded number of workers
+        let next = 0;
+        let worker = function(){
+            if(next >= argSets.length) return Promise.resolve();
+            let fetcherArgs = argSets[next++];
+            return warmStream(fetcherArgs).then(worker);
+        };
+        let workers = [];
+        for(let i = 0; i < Math.min(args.options.concurrency, argSets.length); i++) workers.push(worker());
+        return Promise.all(workers).then(function(){
+            return summary;
+        });
     }
     
     /**
-     * A read-only accessor for fetcher callbacks. If there's only one callback
-     * associated with this source then it will be returned, regardless of the
-     * parameters passed. If there are multiple nested callbacks, then,
-     * depending on the parameters passed, either a callback or a plain object
-     * containing multiple callbacks will be returned.
-     * @param {(...DatabridgeName|DatabridgeName[])} [callbackPath] - if
-     * paramters are passed, they will be interpreted as paths within the data
-     * fetchers data structure.
-     * @returns {(function|PlainObject)}
-     * @throws {TypeError} A type error is thrown if parameters are present,
-     * but not valid.
-     * @throws {Error} An error is thrown if a non-existent data fetcher is
-     * requested.
+     * A function to remove the cached data for a single stream from the
+     * cache. The stream is identified in the same way as when fetching data,
+     * i.e. by an explicit stream name, or by the arguments that would be
+     * passed to the data fetcher.
+     *
+     * @param {DatabridgeNamePath} datasourcePath - the name of the datasource,
+     * or, an array containing the name of the datasource followed by the path
+     * to the data fetcher within it.
+     * @param {PlainObject} [options={}] - a plain object with options
+     * @param {DatabridgeName} [options.streamName] - the name of the stream to
+     * remove. If not specified, the stream name is generated from
+     * `fetcherArgs`, in which case the datasource must be registered.
+     * @param {Array} [fetcherArgs=[]] - the arguments that would be passed to
+     * the data fetcher.
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheInvalidation} objects describing what was removed, which
+     * will be empty if nothing was cached for the stream.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     * @throws {Error} An error is thrown if a stream name needs to be
+     * generated for an unregistered datasource, or the stream name can't be
+     * generated.
      */
-    dataFetcher(){
-		// process arguments manually because validateParams can't support
-		// repeated parameters at the time of writting
-		let rawPathElements = validate.isArray(arguments[0]) ? arguments[0] : Array.from(arguments);
-		let pathElements = [...rawPathElements]; // shallow clone so the sift in the while loop does not destroy arguments
-		for(let path of pathElements){
-			if(validate.single(path, vpCons.databridgeName)){
-				throw new TypeError("parameter passed that's not a valid databridge name");
-			}
-		}
-		
-		// return the requested value
-		let ans = this._dataFetcher;
-		while(pathElements.length > 0){
-			let pathElement = pathElements.shift();
-			if(validate.isDefined(ans[pathElement])){
-				ans = ans[pathElement];
-			}else{
-				throw new Error('non-existent data fetcher requested');
-			}
-		}
+    invalidateStream(){
+        let args = validateParams.assert(arguments, [
+            {
+                vpopt_name: 'datasourcePath',
+                presence: true,
+                namePath: true
+            },
+            {
+                paramOptions: {
+                    name: 'options',
+                    defaultWhenUndefined: {}
+                },
+                dictionary: {
+                    mapConstraints: {
+                        streamName: vpCons.databridgeName
+                    }
+                }
+            },
+            {
+                paramOptions: {
+                    name: 'fetcherArgs',
+                    defaultWhenUndefined: []
+                },
+                list: true
+            }
+        ]);
+        let sourcePath = validate.isString(args.datasourcePath) ? [args.datasourcePath] : args.datasourcePath;
+        
+        // determine the stream name
+        let streamName = args.options.streamName;
+        if(!validate.isString(streamName)){
+            let ds = this._datasources[sourcePath[0]];
+            if(!ds){
+                throw new Error(`no datasource registered with name '${sourcePath[0]}'`);
+            }
+            streamName = this._resolveStreamName(ds, sourcePath.slice(1), args.fetcherArgs, args.options);
+        }
+        
+        return this._invalidateKeys([this._generateCacheKey(sourcePath, streamName)]);
+    }
+    
+    /**
+     * A function to remove the cached data for every stream belonging to a
+     * datasource, or, to a data fetcher, or collection of nested data
+     * fetchers, within a datasource.
+     *
+     * @param {DatabridgeNamePath} datasourcePath - the name of the datasource,
+     * or, an array containing the name of the datasource followed by a path
+     * prefix within it.
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheInvalidation} objects describing what was removed.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    invalidateDatasource(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'datasourcePath',
+            presence: true,
+            namePath: true
+        }]);
+        let prefix = validate.isString(args.datasourcePath) ? [args.datasourcePath] : args.datasourcePath;
+        let self = this;
+        return this._cacheStore.list().then(function(infos){
+            let keys = [];
+            for(let info of infos){
+                let parsedKey = self._parseCacheKey(info.key);
+                if(!parsedKey || parsedKey.sourcePath.length < prefix.length) continue;
+                if(prefix.every(function(pe, i){ return parsedKey.sourcePath[i] === pe; })){
+                    keys.push(info.key);
+                }
+            }
+            return self._invalidateKeys(keys);
+        });
+    }
+    
+    /**
+     * A function to remove all cached data tagged with a given tag by the
+     * data fetcher's [cache directives]{@link CacheDirectives}.
+     *
+     * @param {string} tag
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheInvalidation} objects describing what was removed.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    invalidateTag(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'tag',
+            presence: true,
+            hasTypeof: 'string'
+        }]);
+        let self = this;
+        return this.cacheEntries().then(function(entries){
+            return self._invalidateKeys(entries.filter(function(entry){
+                return entry.tags().indexOf(args.tag) !== -1;
+            }).map(function(entry){
+                return self._generateCacheKey(entry.datasourcePath(), entry.streamName());
+            }));
+        });
+    }
+    
+    /**
+     * A function to remove all cached data.
+     *
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheInvalidation} objects describing what was removed.
+     */
+    invalidateAll(){
+        let self = this;
+        return this._cacheStore.list().then(function(infos){
+            return self._invalidateKeys(infos.map(function(info){
+                return info.key;
+            }).filter(function(key){
+                return validate.isDefined(self._parseCacheKey(key));
+            }));
+        });
+    }
+    
+    /**
+     * A function to remove the cached data with the given keys from the
+     * memory tier and the cache store.
+     *
+     * @private
+     * @param {string[]} cacheKeys
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheInvalidation} objects describing what was removed from the
+     * cache store.
+     */
+    _invalidateKeys(cacheKeys){
+        let self = this;
+        let store = this._cacheStore;
+        return Promise.all(cacheKeys.map(function(cacheKey){
+            if(self._memoryTier) self._memoryTier.delete(cacheKey);
+            return store.delete(cacheKey).then(function(removed){
+                if(!removed) return undefined;
+                let parsedKey = self._parseCacheKey(cacheKey);
+                return {
+                    datasourcePath: parsedKey.sourcePath,
+                    streamName: parsedKey.streamName,
+                    path: store.location(cacheKey)
+                };
+            });
+        })).then(function(invalidations){
+            return invalidations.filter(validate.isDefined);
+        });
+    }
+    
+    /**
+     * A function to list the entries in the cache. Entries are described
+     * using the metadata stored with them where possible, so their data is
+     * not decoded. Entries that can't be read, e.g. because they're corrupt or
+     * can't be decrypted, are not included.
+     *
+     * @param {DatabridgeNamePath} [datasourcePath] - if present, only entries
+     * belonging to this datasource, or path prefix within a datasource, are
+     * listed.
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheEntry} objects.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    cacheEntries(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'datasourcePath',
+            namePath: true
+        }]);
+        let prefix = [];
+        if(validate.isString(args.datasourcePath) && !validate.isEmpty(args.datasourcePath)){
+            prefix = [args.datasourcePath];
+        }else if(validate.isArray(args.datasourcePath)){
+            prefix = args.datasourcePath;
+        }
+        let self = this;
+        return this._cacheStore.list().then(function(infos){
+            return Promise.all(infos.map(function(info){
+                let parsedKey = self._parseCacheKey(info.key);
+                if(!parsedKey || parsedKey.sourcePath.length < prefix.length) return undefined;
+                if(!prefix.every(function(pe, i){ return parsedKey.sourcePath[i] === pe; })) return undefined;
+                return self._describeStoredCache(info).then(function(cache){
+                    if(!cache) return undefined;
+                    let now = self._now();
+                    let ds = self._datasources[parsedKey.sourcePath[0]];
+                    let ttl = ds ? self._cacheTTL(ds, parsedKey.sourcePath.slice(1), undefined, cache) : durationToMilliseconds(self.option('defaultCacheTTL'));
+                    return new CacheEntry(
+                        cache,
+                        info.size,
+                        ttl,
+                        Math.max(now.diff(moment(cache.timestamp())), 0),
+                        cache.isWithinTTL({ milliseconds: ttl }, now)
+                    );
+                });
+            }));
+        }).then(function(entries){
+            return entries.filter(validate.isDefined);
+        });
+    }
+    
+    /**
+     * A function to remove all expired entries from the cache. An entry is
+     * considered expired when its age exceeds the TTL that applies to it (the
+     * datasource's `cacheTTL` option, or the databridge's `defaultCacheTTL`
+     * option) plus the grace period.
+     *
+     * Entries are aged using the metadata stored with them where possible, so
+     * their data is not decoded. Entries that can't be read, e.g. because
+     * they're corrupt or were encrypted with a key that's no longer available,
+     * are aged from when they were last written to the store, measured by the
+     * store's clock.
+     *
+     * The streams of the expired entries are locked, one at a time in key
+     * order, and the entries checked again before they're removed, so data
+     * rewritten in the meantime is never purged.
+     *
+     * @param {PlainObject} [options={}] - a plain object with options
+     * @param {Duration} [options.gracePeriod=0] - an extra period entries are
+     * kept for after they expire. Numbers are interpreted as minutes.
+     * @returns {Promise} a promise that resolves to a plain object indexed by
+     * `entries` (the number of entries removed, i.e. the number of files for
+     * the default file cache store), `bytes` (the total size of the removed
+     * entries), and `removed` (an array of {@link CacheInvalidation} objects
+     * describing the removed entries).
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    purgeExpired(){
+        let args = validateParams.assert(arguments, [{
+            paramOptions: {
+                name: 'options',
+                defaultWhenUndefined: {},
+                coerce: function(v){
+                    if(validate.isObject(v) && typeof v.gracePeriod === 'undefined') v.gracePeriod = 0;
+                    return v;
+                }
+            },
+            dictionary: {
+                mapConstraints: {
+                    gracePeriod: {
+                        presence: true,
+                        duration: true
+                    }
+                }
+            }
+        }]);
+        let gracePeriod = durationToMilliseconds(args.options.gracePeriod);
+        let self = this;
+        
+        // list the expired entries, optionally only those with given keys
+        let listExpired = function(cacheKeys){
+            return self._cacheStore.list().then(function(infos){
+                return Promise.all(infos.map(function(info){
+                    let parsedKey = self._parseCacheKey(info.key);
+                    if(!parsedKey || (cacheKeys && cacheKeys.indexOf(info.key) === -1)) return undefined;
+                    return self._describeStoredCache(info).then(function(cache){
+                        // age unreadable entries from when they were last
+                        // written, by the clock the store recorded that with
+                        let age;
+                        if(cache){
+                            age = self._now().diff(moment(cache.timestamp()));
+                        }else if(info.lastModified){
+                            let storeClock = self._cacheStore.clock();
+                            age = (storeClock ? storeClock.now() : Date.now()) - Date.parse(info.lastModified);
+                        }else{
+                            return undefined; // the entry's age can't be determined
+                        }
+                        let ds = self._datasources[parsedKey.sourcePath[0]];
+                        let ttl = ds ? self._cacheTTL(ds, parsedKey.sourcePath.slice(1), undefined, cache) : durationToMilliseconds(self.option('defaultCacheTTL'));
+                        return age > ttl + gracePeriod ? info : undefined;
+                    });
+                }));
+            }).then(function(expired){
+                return expired.filter(validate.isDefined);
+            });
+        };
+        
+        // lock the expired entries' streams in key order, so concurrent purges
+        // can't deadlock, then check them again and remove those still expired
+        let releases = [];
+        let releaseAll = function(){
+            return Promise.all(releases.map(function(release){ return release(); }));
+        };
+        return listExpired().then(function(expired){
+            let cacheKeys = expired.map(function(info){ return info.key; }).sort();
+            return cacheKeys.reduce(function(locking, cacheKey){
+                return locking.then(function(){
+                    let parsedKey = self._parseCacheKey(cacheKey);
+                    return self._lockStream(parsedKey.sourcePath, parsedKey.streamName).then(function(release){
+                        releases.push(release);
+                    });
+                });
+            }, Promise.resolve()).then(function(){
+                return cacheKeys.length > 0 ? listExpired(cacheKeys) : [];
+            });
+        }).then(function(expired){
+            let sizes = {};
+            for(let info of expired){
+                sizes[info.key] = info.size;
+            }
+            return self._invalidateKeys(Object.keys(sizes)).then(function(removed){
+                let bytes = 0;
+                for(let r of removed){
+                    bytes += sizes[self._generateCacheKey(r.datasourcePath, r.streamName)];
+                }
+                return { entries: removed.length, bytes: bytes, removed: removed };
+            });
+        }).then(
+            function(result){
+                return releaseAll().then(function(){ return result; });
+            },
+            function(err){
+                return releaseAll().then(function(){ throw err; });
+            }
+        );
+    }
+    
+    /**
+     * A function to start periodically purging expired entries from the cache
+     * in the background. Any existing background purging is stopped first.
+     * The timer does not keep the process alive, and errors are logged as
+     * warnings rather than thrown.
+     *
+     * @param {Duration} interval - the time between purges. Numbers are
+     * interpreted as minutes.
+     * @param {PlainObject} [purgeOptions={}] - options to pass to
+     * [.purgeExpired()]{@link Databridge#purgeExpired}.
+     * @returns {Databridge} a reference to self to facilitate function
+     * chaining.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    startPurging(){
+        let args = validateParams.assert(arguments, [
+            {
+                vpopt_name: 'interval',
+                presence: true,
+                duration: { positive: true }
+            },
+            {
+                paramOptions: {
+                    name: 'purgeOptions',
+                    defaultWhenUndefined: {}
+                },
+                dictionary: true
+            }
+        ]);
+        this.stopPurging();
+        let self = this;
+        this._purgeTimer = setInterval(function(){
+            self.purgeExpired(validateParams.shallowCopy(args.purgeOptions)).catch(function(err){
+                console.warn('failed to purge expired cache entries', err);
+            });
+        }, durationToMilliseconds(args.interval));
+        if(this._purgeTimer.unref) this._purgeTimer.unref();
+        return this;
+    }
+    
+    /**
+     * A function to stop background purging of expired cache entries.
+     *
+     * @returns {Databridge} a reference to self to facilitate function
+     * chaining.
+     */
+    stopPurging(){
+        if(this._purgeTimer){
+            clearInterval(this._purgeTimer);
+            this._purgeTimer = undefined;
+        }
+        return this;
+    }
+    
+    /**
+     * A function to register a stream to be refreshed in the background at a
+     * regular interval, so it's re-fetched before its TTL expires and never
+     * goes cold. Refreshing only happens while background refreshing is
+     * running - see [.startRefreshing()]{@link Databridge#startRefreshing}.
+     *
+     * Each refresh bypasses the cache, re-running the data fetcher and
+     * rewriting the cached data while holding the cache store's lock on the
+     * stream. Requests for the stream made by this process during a refresh,
+     * including while it waits for the lock, join the refresh. If a refresh of
+     * the stream is still in progress when the next is due, the next is
+     * skipped. The datasource's or databridge's `timeout`
+     * option applies to each refresh, or if neither is set, the refresh
+     * interval. Failed refreshes are reported to the `refreshErrorHandler`
+     * option, and never thrown.
+     *
+     * @param {DatabridgeNamePath} datasourcePath - the name of the data
+     * source, or an array with the name of the datasource followed by the
+     * path to the required fetcher.
+     * @param {PlainObject} options - a plain object with options.
+     * @param {Duration} options.interval - the time between refreshes, which
+     * should be shorter than the stream's TTL.
+     * @param {DatabridgeName} [options.streamName] - a custom stream name, as
+     * for [.fetchResponse()]{@link Databridge#fetchResponse}.
+     * @param {Array} [fetcherArgs=[]] - an array of arguments to pass to the
+     * fetcher function.
+     * @returns {string} an ID for the scheduled refresh.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     * @throws {Error} An error is thrown when an unregistered datasource name
+     * is specified, or there's a problem generating the stream name.
+     */
+    scheduleRefresh(){
+        let args = validateParams.assert(arguments, [
+            {
+                vpopt_name: 'datasourcePath',
+                presence: true,
+                namePath: true
+            },
+            {
+                vpopt_name: 'options',
+                presence: true,
+                dictionary: {
+                    mapConstraints: {
+                        interval: {
+                            presence: true,
+                            duration: { positive: true }
+                        },
+                        streamName: vpCons.databridgeName
+                    }
+                }
+            },
+            {
+                paramOptions: {
+                    name: 'fetcherArgs',
+                    defaultWhenUndefined: []
+                },
+                list: true
+            }
+        ]);
+        let sourcePath = validate.isString(args.datasourcePath) ? [args.datasourcePath] : args.datasourcePath.slice();
+        let ds = this._datasources[sourcePath[0]];
+        if(!ds){
+            throw new Error(`no datasource registered with name '${sourcePath[0]}'`);
+        }
+        let refresh = {
+            id: `refresh_${++this._refreshCounter}`,
+            datasourcePath: sourcePath,
+            streamName: this._resolveStreamName(ds, sourcePath.slice(1), args.fetcherArgs, args.options),
+            fetcherArgs: args.fetcherArgs,
+            interval: args.options.interval,
+            refreshes: 0,
+            failures: 0,
+            lastRefreshed: undefined,
+            lastError: undefined,
+            timer: undefined,
+            running: false
+        };
+        this._refreshSchedule.set(refresh.id, refresh);
+        if(this._refreshing) this._startRefreshTimer(refresh);
+        return refresh.id;
+    }
+    
+    /**
+     * A function to remove a stream from background refreshing.
+     *
+     * @param {string} refreshId - the ID returned by
+     * [.scheduleRefresh()]{@link Databridge#scheduleRefresh}.
+     * @returns {boolean} `true` if a scheduled refresh was removed.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    unscheduleRefresh(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'refreshId',
+            presence: true,
+            hasTypeof: 'string'
+        }]);
+        let refresh = this._refreshSchedule.get(args.refreshId);
+        if(!refresh) return false;
+        if(refresh.timer) clearInterval(refresh.timer);
+        this._refreshSchedule.delete(args.refreshId);
+        return true;
+    }
+    
+    /**
+     * A function to describe the streams registered for background
+     * refreshing.
+     *
+     * @returns {ScheduledRefresh[]}
+     */
+    scheduledRefreshes(){
+        let ans = [];
+        for(let refresh of this._refreshSchedule.values()) ans.push(this._describeRefresh(refresh));
         return ans;
     }
-	
-	/**
-	 * A utility function to determine whether or not a given datasource has a
-	 * simple sigle data fetcher callback, or, supports multiple data fetchers.
-	 * I.e. true if `.dataFetcher()` returns a callback, and false if it
-	 * returns a plain object, even if that plain object only contains a single
-	 * callback.
-	 * @returns {boolean}
-	 */
-	hasSingleDataFetcher(){
-		return validate.isFunction(this._dataFetcher);
-	}
     
     /**
-     * A read-only accessor for all the options.
-     *
-     * @param {string} optionName - the name of the option to get the value for
-     * @returns {*} the option's value, or `undefined` if the option is not
-     * defined.
-     * @throws {external:validateParams.ValidationError} a validation error is
-     * thrown if parameter validation fails.
-     * @throws {Error} an error if execution of the fetcher fails.
+     * A function to start refreshing the streams registered with
+     * [.scheduleRefresh()]{@link Databridge#scheduleRefresh} in the
+     * background. The timers do not keep the process alive.
+     *
+     * @param {PlainObject} [options={}] - a plain object with options.
+     * @param {boolean} [options.immediate=false] - whether or not to refresh
+     * all registered streams straight away, rather than waiting for their
+     * first interval to pass.
+     * @returns {Databridge} a reference to self to facilitate function
+     * chaining.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    startRefreshing(){
+        let args = validateParams.assert(arguments, [{
+            paramOptions: {
+                name: 'options',
+                defaultWhenUndefined: {}
+            },
+            dictionary: {
+                mapConstraints: {
+                    immediate: {
+                        hasTypeof: 'boolean'
+                    }
+                }
+            }
+        }]);
+        this.stopRefreshing();
+        this._refreshing = true;
+        for(let refresh of this._refreshSchedule.values()){
+            this._startRefreshTimer(refresh);
+            if(args.options.immediate) this._runScheduledRefresh(refresh);
+        }
+        return this;
+    }
+    
+    /**
+     * A function to stop background refreshing. Refreshes already in progress
+     * are allowed to complete.
+     *
+     * @returns {Databridge} a reference to self to facilitate function
+     * chaining.
+     */
+    stopRefreshing(){
+        this._refreshing = false;
+        for(let refresh of this._refreshSchedule.values()){
+            if(refresh.timer){
+                clearInterval(refresh.timer);
+                refresh.timer = undefined;
+            }
+        }
+        return this;
+    }
+    
+    /**
+     * A function to start the timer for a scheduled refresh.
+     *
+     * @private
+     * @param {PlainObject} refresh - the scheduled refresh.
+     */
+    _startRefreshTimer(refresh){
+        let self = this;
+        refresh.timer = setInterval(function(){
+            self._runScheduledRefresh(refresh);
+        }, durationToMilliseconds(refresh.interval));
+        if(refresh.timer.unref) refresh.timer.unref();
+    }
+    
+    /**
+     * A function to refresh a scheduled stream, reporting rather than
+     * throwing any errors.
+     *
+     * @private
+     * @param {PlainObject} refresh - the scheduled refresh.
+     * @returns {Promise} a promise that resolves once the refresh is done,
+     * and never rejects.
+     */
+    _runScheduledRefresh(refresh){
+        if(refresh.running) return Promise.resolve();
+        refresh.running = true;
+        let self = this;
+        return Promise.resolve().then(function(){
+            let ds = self.datasource(refresh.datasourcePath[0]);
+            let timeout = self._timeout(ds, {}) || durationToMilliseconds(refresh.interval);
+            let fetchOptions = { streamName: refresh.streamName, bypassCache: true, timeout: { milliseconds: timeout } };
+            
+            // if this process is already fetching the stream the fetch is
+            // joined, otherwise the refresh is registered as in flight before
+            // the stream is locked, so requests made while waiting for the
+            // lock join the refresh rather than queue for the lock themselves
+            let cacheKey = self._generateCacheKey(refresh.datasourcePath, refresh.streamName);
+            if(self._inFlight.has(cacheKey)){
+                return self.fetchDataPromise(refresh.datasourcePath, fetchOptions, refresh.fetcherArgs);
+            }
+            let request = new FetchRequest(self, ds, fetchOptions, refresh.datasourcePath.slice(1), refresh.fetcherArgs, self._now().toISOString());
+            let response = new FetchResponse(request, undefined, { cacheRead: false });
+            return self._registerInFlight(cacheKey, self._lockStream(refresh.datasourcePath, refresh.streamName).then(function(release){
+                return self._fetchFromDatasource(ds, refresh.datasourcePath, refresh.streamName, refresh.fetcherArgs, response).then(
+                    function(data){
+                        return release().then(function(){ return data; });
+                    },
+                    function(err){
+                        return release().then(function(){ throw err; });
+                    }
+                );
+            }));
+        }).then(
+            function(){
+                refresh.refreshes++;
+                refresh.lastRefreshed = self._now().toISOString();
+                refresh.lastError = undefined;
+            },
+            function(err){
+                refresh.failures++;
+                refresh.lastError = err;
+                let handler = self.option('refreshErrorHandler');
+                try{
+                    if(handler){
+                        handler(err, self._describeRefresh(refresh));
+                    }else{
+                        console.warn(`failed to refresh stream '${refresh.streamName}' from datasource '${refresh.datasourcePath.join('.')}'`, err);
+                    }
+                }catch(handlerErr){
+                    console.warn('refresh error handler failed', handlerErr);
+                }
+            }
+        ).then(function(){
+            refresh.running = false;
+        });
+    }
+    
+    /**
+     * A function to describe a scheduled refresh.
+     *
+     * @private
+     * @param {PlainObject} refresh - the scheduled refresh.
+     * @returns {ScheduledRefresh}
+     */
+    _describeRefresh(refresh){
+        return {
+            id: refresh.id,
+            datasourcePath: refresh.datasourcePath.slice(),
+            streamName: refresh.streamName,
+            fetcherArgs: refresh.fetcherArgs.slice(),
+            interval: refresh.interval,
+            refreshes: refresh.refreshes,
+            failures: refresh.failures,
+            lastRefreshed: refresh.lastRefreshed,
+            lastError: refresh.lastError
+        };
+    }
+    
+    /**
+     * A function to get the current time from the databridge's clock.
+     *
+     * @private
+     * @returns {moment}
+     */
+    _now(){
+        return moment(this._clock.now());
+    }
+    
+    /**
+     * A function to determine the cache TTL that applies to a given data
+     * fetcher. In order of precedence, the TTL is determined by the
+     * [cache directives]{@link CacheDirectives} stored with the given cache,
+     * the data fetcher's `expirySchedule` or `cacheTTL` property, the
+     * datasource's `expirySchedule` or `cacheTTL` option, or the databridge's
+     * `defaultCacheTTL` option.
+     *
+     * Expiry schedules depend on when the data was cached, so when a schedule
+     * applies the TTL is the time from the given cache's timestamp to its
+     * scheduled expiry.
+     *
+     * If fetch options are passed, the TTL is then limited by the request's
+     * `maxAge` option. The request's `minFresh` option is not applied, since
+     * it only affects whether a cache is fresh enough for the request, not
+     * the stale windows measured from the end of the TTL.
+     *
+     * @private
+     * @param {Datasource} ds
+     * @param {DatabridgeName[]} [fetcherPath=[]] - the path to the data fetcher
+     * within the datasource.
+     * @param {PlainObject} [fetchOptions] - the options passed with a request.
+     * @param {DataCache} [cache] - the cache to determine the TTL for.
+     * Required for expiry schedules and cache directives to be applied.
+     * @returns {number} the TTL in milliseconds.
+     */
+    _cacheTTL(ds, fetcherPath, fetchOptions, cache){
+        let ttl = this.option('defaultCacheTTL'); // start with the default
+        let schedule = undefined;
+        if(ds.option('expirySchedule')){
+            schedule = ds.option('expirySchedule'); // override with specified schedule
+        }else if(ds.option('cacheTTL')){
+            ttl = ds.option('cacheTTL'); // override with specified TTL
+        }
+        let fetcher;
+        try{
+            fetcher = ds.dataFetcher(fetcherPath || []);
+        }catch(err){
+            fetcher = undefined; // the fetcher no longer exists, so can't have a TTL
+        }
+        if(validate.isFunction(fetcher)){
+            // override with fetcher schedule or TTL
+            if(validate.isDefined(fetcher.expirySchedule)){
+                schedule = fetcher.expirySchedule;
+            }else if(validate.isDefined(fetcher.cacheTTL)){
+                schedule = undefined;
+                ttl = fetcher.cacheTTL;
+            }
+        }
+        let ttlMs = durationToMilliseconds(ttl);
+        if(schedule && cache){
+            ttlMs = this._scheduledTTL(ds, schedule, cache.timestamp());
+        }
+        
+        // override with any directives returned by the fetcher with the data
+        if(cache){
+            let directives = cache.directives();
+            if(directives.expiresAt){
+                ttlMs = Math.max(moment(directives.expiresAt).diff(moment(cache.timestamp())), 0);
+            }else if(directives.ttl){
+                ttlMs = durationToMilliseconds(directives.ttl);
+            }
+        }
+        
+        // apply the request's maximum age
+        if(fetchOptions){
+            if(validate.isDefined(fetchOptions.maxAge)) ttlMs = Math.min(ttlMs, durationToMilliseconds(fetchOptions.maxAge));
+        }
+        return ttlMs;
+    }
+    
+    /**
+     * A function to determine the TTL of cached data from an expiry schedule.
+     *
+     * @private
+     * @param {Datasource} ds - the datasource the data belongs to.
+     * @param {ExpirySchedule} schedule
+     * @param {ISO8601} timestamp - the time the data was cached.
+     * @returns {number} the time from the timestamp to the scheduled expiry in
+     * milliseconds. If the expiry can't be determined, the TTL is zero.
+     */
+    _scheduledTTL(ds, schedule, timestamp){
+        let cachedAt = moment(timestamp);
+        let expiresAt = undefined;
+        if(validate.isFunction(schedule)){
+            try{
+                expiresAt = moment(schedule.call(ds, timestamp));
+            }catch(err){
+                console.warn(`failed to determine the expiry of data cached at ${timestamp}`, err);
+            }
+        }else{
+            expiresAt = nextCronOccurrence(parseCronExpression(schedule), cachedAt);
+        }
+        if(!expiresAt || !expiresAt.isValid()) return 0;
+        return Math.max(expiresAt.diff(cachedAt), 0);
+    }
+    
+    /**
+     * A function to determine the stale-while-revalidate window that applies
+     * to a request - the request's `staleWhileRevalidate` option if set,
+     * otherwise the datasource's, otherwise the databridge's.
+     *
+     * @private
+     * @param {Datasource} ds
+     * @param {PlainObject} fetchOptions - the options passed with the request.
+     * @returns {number} the window in milliseconds.
+     */
+    _staleWhileRevalidate(ds, fetchOptions){
+        let window = this.option('staleWhileRevalidate');
+        if(validate.isDefined(fetchOptions.staleWhileRevalidate)){
+            window = fetchOptions.staleWhileRevalidate;
+        }else if(validate.isDefined(ds.option('staleWhileRevalidate'))){
+            window = ds.option('staleWhileRevalidate');
+        }
+        return durationToMilliseconds(window);
+    }
+    
+    /**
+     * A function to determine the stale-if-error limit that applies to a
+     * request - the request's `staleIfError` option if set, otherwise the
+     * datasource's, otherwise the databridge's.
+     *
+     * @private
+     * @param {Datasource} ds
+     * @param {PlainObject} fetchOptions - the options passed with the request.
+     * @returns {number} the limit in milliseconds.
+     */
+    _staleIfError(ds, fetchOptions){
+        let limit = this.option('staleIfError');
+        if(validate.isDefined(fetchOptions.staleIfError)){
+            limit = fetchOptions.staleIfError;
+        }else if(validate.isDefined(ds.option('staleIfError'))){
+            limit = ds.option('staleIfError');
+        }
+        return durationToMilliseconds(limit);
+    }
+    
+    /**
+     * A function to determine the data fetcher timeout that applies to a
+     * request - the request's `timeout` option if set, otherwise the
+     * datasource's, otherwise the databridge's.
+     *
+     * @private
+     * @param {Datasource} ds
+     * @param {PlainObject} fetchOptions - the options passed with the request.
+     * @returns {number} the timeout in milliseconds, zero for no timeout.
+     */
+    _timeout(ds, fetchOptions){
+        let timeout = this.option('timeout');
+        if(validate.isDefined(fetchOptions.timeout)){
+            timeout = fetchOptions.timeout;
+        }else if(validate.isDefined(ds.option('timeout'))){
+            timeout = ds.option('timeout');
+        }
+        return timeoutToMilliseconds(timeout);
+    }
+    
+    /**
+     * A function to determine the stream name for a request, either from the
+     * `streamName` option, or by calling the data fetcher's stream name
+     * generator.
+     *
+     * @private
+     * @param {Datasource} ds - the datasource.
+     * @param {DatabridgeName[]} fetcherPath - the path to the data fetcher
+     * within the datasource.
+     * @param {Array} fetcherArgs - the arguments for the data fetcher.
+     * @param {PlainObject} options - the fetch options.
+     * @returns {DatabridgeName}
+     * @throws {Error} An error is thrown if the stream name generator fails.
+     */
+    _resolveStreamName(ds, fetcherPath, fetcherArgs, options){
+        // if an option was passed, use it
+        if(validate.isString(options.streamName)) return options.streamName;
+        
+        // we'll need to use a generator
+        let streamNameGenerator = Datasource.defaultStreamNameGenerator;
+        if(validate.isFunction(ds.dataFetcher(fetcherPath).streamNameGenerator)){
+            // if a custom streamNameGenerator callback exists, use it
+            streamNameGenerator = ds.dataFetcher(fetcherPath).streamNameGenerator;
+        }
+        
+        // try call the name generator - could generate an error
+        return streamNameGenerator.call(ds, fetcherArgs, options);
+    }
+    
+    /**
+     * A function to generate the cache store key for a given data cache. Keys
+     * are the datasource name, the fetcher path, and the stream name joined
+     * with periods.
+     *
+     * @private
+     * @param {DatabridgeNamePath} sourcePath - path to the data fetcher within
+     * the datasource the requested cache belongs to.
+     * @param {DatabridgeName} streamName - the name of the data stream the
+     * reqested cache belongs to.
+     * @returns {string}
+     * @throws {TypeError} A type error is thrown if an invalid source path is
+     * passed.
+     */
+    _generateCacheKey(sourcePath, streamName){
+		let key = '';
+		if(validate.isString(sourcePath)){
+			key += sourcePath;
+		}else if(validate.isArray(sourcePath)){
+			key += sourcePath.join('.');
+		}else{
+			throw new TypeError('invalid source path passed');
+		}
+		return key + '.' + streamName;
+    }
+    
+    /**
+     * A function to parse a cache store key back into a source path and
+     * stream name. The inverse of
+     * [._generateCacheKey()]{@link Databridge#_generateCacheKey}.
+     *
+     * @private
+     * @param {string} cacheKey
+     * @returns {{sourcePath: DatabridgeName[], streamName: DatabridgeName}}
+     * the parsed key, or `undefined` if the key is not a valid cache key.
+     */
+    _parseCacheKey(cacheKey){
+        let parts = cacheKey.split('.');
+        if(parts.length < 2) return undefined;
+        for(let part of parts){
+            if(validate.single(part, validateParams.extendObject({presence: true}, vpCons.databridgeName))) return undefined;
+        }
+        return { sourcePath: parts.slice(0, -1), streamName: parts[parts.length - 1] };
+    }
+    
+    /**
+     * A function to attempt to load data for a given datasource and stream from
+     * the cache store.
+     *
+     * If the databridge has a memory tier it's checked before the cache
+     * store, and data read from the store is added to it.
+     *
+     * Encrypted data is decrypted transparently. Data that can't be decrypted
+     * or parsed, e.g. because it was tampered with or the key is wrong, is
+     * treated as a cache miss.
+     *
+     * @private
+     * @param {DatabridgeNamePath} sourcePath - path to the data fetcher within
+     * the datasource the requested cache belongs to.
+     * @param {DatabridgeName} streamName - the name of the data stream the
+     * reqested cache belongs to.
+     * @param {FetchResponse} [response] - if passed, problems reading the
+     * cache are recorded in this response's `cacheReadError` metadata.
+     * @param {boolean} [skipMemoryTier=false] - a truthy value reads the
+     * cache store even if the memory tier holds the stream, e.g. to see
+     * changes made by other processes, and refreshes the memory tier with
+     * what's read.
+     * @returns {Promise} a promise that resolves to the cached data as a
+     * DataCache object, or undefined. The promise never rejects.
+     */
+    _getStreamCache(sourcePath, streamName, response, skipMemoryTier){
+        let cacheKey = this._generateCacheKey(sourcePath, streamName);
+        let memoryTier = this._memoryTier;
+        
+        // try the memory tier first
+        if(memoryTier && !skipMemoryTier){
+            let memCache = memoryTier.get(cacheKey);
+            if(memCache){
+                memCache.tier('memory');
+                return Promise.resolve(memCache);
+            }
+        }
+        
+        // fall back to the cache store
+        return this._loadStoredCache(cacheKey, response).then(function(loaded){
+            if(!loaded) return undefined;
+            if(memoryTier) memoryTier.set(cacheKey, loaded.cache, loaded.size);
+            loaded.cache.tier('store');
+            return loaded.cache;
+        });
+    }
+    
+    /**
+     * A function to get a cache object describing an entry in the cache store
+     * without its data, from the metadata stored with it where possible, and
+     * otherwise by loading it.
+     *
+     * @private
+     * @param {CacheStoreRecordInfo} info
+     * @returns {Promise} a promise that resolves to a DataCache object whose
+     * data may be `null`, or undefined if the entry can't be read. The promise
+     * never rejects.
+     */
+    _describeStoredCache(info){
+        if(info.meta){
+            try{
+                let parsedKey = this._parseCacheKey(info.key);
+                let cache = new DataCache(parsedKey.sourcePath, parsedKey.streamName, info.meta.timestamp, null, info.location);
+                cache.pinned(info.meta.pinned === true);
+                if(info.meta.directives) cache.directives(info.meta.directives);
+                return Promise.resolve(cache);
+            }catch(err){
+                // fall back to loading the entry if the metadata is not usable
+            }
+        }
+        return this._loadStoredCache(info.key).then(function(loaded){
+            return loaded ? loaded.cache : undefined;
+        });
+    }
+    
+    /**
+     * A function to attempt to load and decode the data stored in the cache
+     * store with a given key, bypassing the memory tier.
+     *
+     * @private
+     * @param {string} cacheKey
+     * @param {FetchResponse} [response] - if passed, problems reading the
+     * cache are recorded in this response's `cacheReadError` metadata.
+     * @returns {Promise} a promise that resolves to an object indexed by
+     * `cache` (a DataCache object) and `size` (the approximate size of the
+     * decoded data in bytes), or undefined. The promise never rejects.
+     */
+    _loadStoredCache(cacheKey, response){
+        let self = this;
+        let store = this._cacheStore;
+        let reportError = function(msg, err){
+            console.warn(msg, err);
+            if(response) response.meta('cacheReadError', { path: store.location(cacheKey), message: `${msg}: ${err.message}` });
+            return undefined;
+        };
+        return store.get(cacheKey).then(
+            function(rawCache){
+                if(!rawCache) return undefined;
+                
+                // decrypt if needed - datasources that encrypt their caches
+                // never accept unencrypted data
+                let decrypted = Promise.resolve(rawCache);
+                let parsedKey = self._parseCacheKey(cacheKey);
+                let ds = parsedKey ? self._datasources[parsedKey.sourcePath[0]] : undefined;
+                if(isEncryptedCachePayload(rawCache)){
+                    decrypted = self._encryptionKey(parsedKey.sourcePath, parsedKey.streamName).then(function(key){
+                        return decryptCachePayload(rawCache, key, cacheKey);
+                    }).catch(function(err){
+                        return reportError(`failed to decrypt cached data with key '${cacheKey}'`, err);
+                    });
+                }else if(ds && ds.option('encryptCache')){
+                    return reportError(`failed to decrypt cached data with key '${cacheKey}'`, new Error('the cached data is not encrypted'));
+                }
+                
+                // decode and parse
+                return decrypted.then(function(payload){
+                    if(!payload) return undefined;
+                    return decodeCachePayload(payload).then(function(decoded){
+                        let loadedCache = DataCache.fromJsonObject(decoded.obj);
+                        loadedCache.filePath(store.location(cacheKey));
+                        return { cache: loadedCache, size: decoded.size };
+                    }).catch(function(err){
+                        return reportError('failed to parse cached data', err);
+                    });
+                });
+            },
+            function(err){
+                return reportError(`failed to read cached data with key '${cacheKey}'`, err);
+            }
+        );
+    }
+    
+    /**
+     * A function to evict entries from the cache as needed to make room for
+     * a new entry within the databridge's and datasource's cache size quotas.
+     * Pinned entries are never evicted, and the entry being replaced is not
+     * counted towards the quotas.
+     *
+     * Quotas are enforced per process. Writes within the process are made one
+     * at a time, but writes by other processes sharing the cache store are
+     * not co-ordinated with them, so the cache can briefly exceed a quota.
+     *
+     * @private
+     * @param {string} cacheKey - the key the new entry will be stored with.
+     * @param {number} newSize - the size of the new entry in bytes.
+     * @param {Datasource} ds - the datasource the new entry belongs to.
+     * @returns {Promise} a promise that resolves once there is room for the
+     * new entry, and rejects if enough room can't be made.
+     */
+    _enforceCacheQuotas(cacheKey, newSize, ds){
+        let bridgeQuota = this.option('maxCacheSize');
+        let sourceQuota = ds.option('maxCacheSize');
+        if(!bridgeQuota && !sourceQuota) return Promise.resolve();
+        let self = this;
+        let sourceName = this._parseCacheKey(cacheKey).sourcePath[0];
+        return this._cacheStore.list().then(function(infos){
+            infos = infos.filter(function(info){
+                return info.key !== cacheKey && validate.isDefined(self._parseCacheKey(info.key));
+            });
+            let evicting = Promise.resolve();
+            
+            // enforce the datasource quota first, then the bridge quota
+            if(sourceQuota){
+                let sourceInfos = infos.filter(function(info){
+                    return self._parseCacheKey(info.key).sourcePath[0] === sourceName;
+                });
+                let policy = ds.option('evictionPolicy') || self.option('evictionPolicy');
+                evicting = evicting.then(function(){
+                    return self._evictToFit(sourceInfos, sourceQuota - newSize, policy, `datasource '${sourceName}'`);
+                });
+            }
+            if(bridgeQuota){
+                evicting = evicting.then(function(evictedKeys){
+                    let remainingInfos = infos.filter(function(info){
+                        return !evictedKeys || evictedKeys.indexOf(info.key) === -1;
+                    });
+                    return self._evictToFit(remainingInfos, bridgeQuota - newSize, self.option('evictionPolicy'), 'databridge');
+                });
+            }
+            return evicting;
+        });
+    }
+    
+    /**
+     * A function to evict unpinned entries from a list of cache entries in the
+     * order specified by an eviction policy until their total size is within
+     * a given limit. Entries whose pinned state can't be determined, e.g.
+     * because they can't be decrypted, are never evicted.
+     *
+     * @private
+     * @param {CacheStoreRecordInfo[]} infos - the entries to consider.
+     * @param {number} limit - the maximum total size in bytes.
+     * @param {string} policy - the eviction policy - `lru`, `oldest`, or
+     * `largest`.
+     * @param {string} quotaDesc - a description of the quota being enforced
+     * for use in error messages.
+     * @returns {Promise} a promise that resolves to an array of the evicted
+     * keys, and rejects, without evicting anything, if the entries can't be
+     * brought within the limit.
+     */
+    _evictToFit(infos, limit, policy, quotaDesc){
+        let self = this;
+        let total = infos.reduce(function(sum, info){ return sum + info.size; }, 0);
+        if(total <= limit) return Promise.resolve([]);
+        
+        // sort the candidates into eviction order
+        let timeOf = function(iso){
+            return iso ? Date.parse(iso) : 0;
+        };
+        let lastUsed = function(info){
+            let used = timeOf(info.lastAccessed || info.lastModified);
+            if(self._memoryTier) used = Math.max(used, self._memoryTier.lastAccessed(info.key) || 0);
+            return used;
+        };
+        let candidates = [...infos].sort(function(x, y){
+            switch(policy){
+                case 'oldest':
+                    return timeOf(x.lastModified) - timeOf(y.lastModified);
+                case 'largest':
+                    return y.size - x.size;
+                default:
+                    return lastUsed(x) - lastUsed(y);
+            }
+        });
+        
+        // work out whether or not a candidate is pinned from its metadata,
+        // falling back to loading it for entries stored without any - resolves
+        // to undefined if that can't be determined
+        let isPinned = function(info){
+            return self._describeStoredCache(info).then(function(cache){
+                return cache ? cache.pinned() : undefined;
+            });
+        };
+        
+        // choose candidates known to be unpinned one at a time until within
+        // the limit, then evict them all at once
+        let evictedKeys = [];
+        let chooseNext = function(){
+            if(total <= limit) return Promise.resolve(evictedKeys);
+            let candidate = candidates.shift();
+            if(!candidate){
+                return Promise.reject(new Error(`can't make room within the ${quotaDesc} cache size quota`));
+            }
+            return isPinned(candidate).then(function(pinned){
+                if(pinned === false){
+                    evictedKeys.push(candidate.key);
+                    total -= candidate.size;
+                }
+                return chooseNext();
+            });
+        };
+        return chooseNext().then(function(){
+            return self._invalidateKeys(evictedKeys);
+        }).then(function(){
+            return evictedKeys;
+        });
+    }
+    
+    /**
+     * A function to get the encryption key for a given datasource and stream,
+     * either from the encryption key provider callback, or the encryption key
+     * option.
+     *
+     * @private
+     * @param {DatabridgeName[]} sourcePath - the datasource name followed by
+     * the path to the data fetcher within the datasource.
+     * @param {DatabridgeName} streamName - the name of the data stream.
+     * @returns {Promise} a promise that resolves to a 32 byte buffer, and
+     * rejects if no valid key is available.
+     */
+    _encryptionKey(sourcePath, streamName){
+        let keyProvider = this.option('encryptionKeyProvider');
+        let staticKey = this.option('encryptionKey');
+        return Promise.resolve().then(function(){
+            if(keyProvider) return keyProvider([...sourcePath], streamName);
+            if(staticKey) return staticKey;
+            throw new Error('no encryption key configured');
+        }).then(function(key){
+            if(validate.isString(key) && /^[0-9a-fA-F]{64}$/.test(key)) key = Buffer.from(key, 'hex');
+            let keyErr = validate.single(key, { defined: true, encryptionKey: true });
+            if(keyErr) throw new Error(`invalid encryption key: ${keyErr.join(', ')}`);
+            return key;
+        });
+    }
+    
+    /**
+     * A function to acquire the cache store's advisory lock on a given
+     * datasource and stream. If the lock can't be acquired a warning is logged
+     * and the caller carries on without it.
+     *
+     * If a timeout or abort signal is passed, waiting for the lock is raced
+     * against them, and a lock acquired after giving up is released straight
+     * away.
+     *
+     * @private
+     * @param {DatabridgeNamePath} sourcePath - path to the data fetcher within
+     * the datasource the stream belongs to.
+     * @param {DatabridgeName} streamName - the name of the data stream to lock.
+     * @param {number} [timeout=0] - the longest to wait for the lock in
+     * milliseconds, zero for no limit.
+     * @param {AbortSignal} [signal] - a signal to stop waiting for the lock
+     * with.
+     * @param {FetchResponse} [response] - the response to record a timeout
+     * into.
+     * @returns {Promise} a promise that resolves to a release function. The
+     * promise only rejects if the timeout passes or the signal is aborted
+     * before the lock is acquired, and the promise returned by the release
+     * function never rejects.
+     */
+    _lockStream(sourcePath, streamName, timeout, signal, response){
+        let cacheKey = this._generateCacheKey(sourcePath, streamName);
+        let noop = function(){ return Promise.resolve(); };
+        let locked = this._cacheStore.lock(cacheKey).then(
+            function(release){
+                return function(){
+                    return Promise.resolve().then(release).catch(function(err){
+                        console.warn(`failed to release cache lock with key '${cacheKey}'`, err);
+                    });
+                };
+            },
+            function(err){
+                console.warn(`failed to lock cache with key '${cacheKey}', continuing without lock`, err);
+                return noop;
+            }
+        );
+        if(!(timeout > 0) && !signal) return locked;
+        return this._withinRequestLimits(locked, timeout, signal, response, 'waiting for the stream lock').catch(function(err){
+            locked.then(function(release){ return release(); });
+            throw err;
+        });
+    }
+    
+    /**
+     * A function to attempt to write data from a given datasource and stream to
+     * the cache store.
+     *
+     * The data is compressed as specified by the datasource's `compression`
+     * option, falling back to the databridge's `compression` option, and then
+     * encrypted if the datasource's `encryptCache` option is set.
+     *
+     * Before the data is written, entries are evicted as needed to keep the
+     * cache within the databridge's and datasource's `maxCacheSize` quotas.
+     * If enough room can't be made the data is not written. Writes subject to
+     * quotas are made one at a time.
+     *
+     * @private
+     * @param {DataCache} cacheObj - the cache object to try write to the store.
+     * @param {Datasource} ds - the datasource the data was fetched from.
+     * @returns {Promise} a promise that resolves to the location of the cached
+     * data within the store, e.g. the path to the cache file, and rejects if
+     * there is a problem writing the data to the store.
+     */
+    _writeStreamCache(cacheObj, ds){
+        let self = this;
+        let cacheKey = this._generateCacheKey(cacheObj.sourcePath(), cacheObj.streamName());
+        let store = this._cacheStore;
+        let memoryTier = this._memoryTier;
+        let cacheJsonObj = cacheObj.asJsonObject();
+        let compression = ds.option('compression') || this.option('compression');
+        
+        // make sure the memory tier never holds data the store does not
+        if(memoryTier) memoryTier.delete(cacheKey);
+        let jsonSize = 0;
+        return encodeCachePayload(cacheJsonObj, compression).then(function(encoded){
+            jsonSize = encoded.size;
+            if(!ds.option('encryptCache')) return encoded.payload;
+            return self._encryptionKey(cacheObj.sourcePath(), cacheObj.streamName()).then(function(key){
+                return encryptCachePayload(encoded.payload, key, cacheKey);
+            });
+        }).then(function(rawCache){
+            let write = function(){
+                return self._enforceCacheQuotas(cacheKey, rawCache.length, ds).then(function(){
+                    return store.put(cacheKey, rawCache, {
+                        timestamp: cacheObj.timestamp(),
+                        pinned: cacheObj.pinned(),
+                        directives: cacheObj.directives()
+                    });
+                });
+            };
+            if(!self.option('maxCacheSize') && !ds.option('maxCacheSize')) return write();
+            
+            // make writes subject to quotas one at a time, so concurrent
+            // writes can't all fit the same free space
+            let writing = self._quotaWrites.then(write);
+            self._quotaWrites = writing.catch(function(){});
+            return writing;
+        }).then(function(cacheLocation){
+            if(memoryTier){
+                cacheObj.filePath(cacheLocation);
+                memoryTier.set(cacheKey, cacheObj, jsonSize);
+            }
+            return cacheLocation;
+        });
+    }
+}
+
+/**
+ * An alias for `.registerDatasource()`.
+ * @function
+ * @see Databridge.registerDatasource
+ */   
+Databridge.prototype.register = Databridge.prototype.registerDatasource;
+
+/**
+ * An alias for `.datasource()`.
+ * @function
+ * @see Databridge.datasource
+ */   
+Databridge.prototype.source = Databridge.prototype.datasource;
+
+/**
+ * An alias for `.fetchResponse()`.
+ * @function
+ * @see Databridge.fetchResponse
+ */   
+Databridge.prototype.fetch = Databridge.prototype.fetchResponse;
+
+//
+//=== Define the Datasource class ==============================================
+//
+
+/**
+ * A class representing a data source from which the bridge can pull data.
+ */
+class Datasource{
+    /**
+	 * In order to assure that caching works correctly, every data fetcher that
+	 * accepts parameters, and returns different results depending on the
+	 * values of those parameters must have an associated
+	 * [stream name generator]{@link StreamNameGenerator}, or, a stream name
+	 * must be specified as an option each time data is fetched from the data
+	 * source (the latter is very cumbersome and a poor apprach). If a custom
+	 * stream name generator is not added to the data fetcher, the
+	 * [Datasource.defaultStreamNameGenerator()]{@link Datasource.defaultStreamNameGenerator}
+	 * function is used. This will suffice in all cases except those where the
+	 * passed parameter values can't be converted to JSON strings. In such rare
+	 * edge cases, a custom stream name geneator must be specified or each call
+	 * to the data fetcher will result in an error being thrown.
+	 *
+	 * A custom stream name generator can be added by adding a callback as a
+	 * property of the fetcher function with the name `streamNameGenerator`.
+	 *
+     * @param {DataFetcher} [dataFetcher={}] - the callback, or collection of
+     * callbacks, which the datasource will use to fetch data.
+     * @param {PlainObject} [options] - a plain object defining options.
+     * @param {boolean} [options.enableCaching=true] - whether or not to cache
+     * the results returned by this data source. By default, caching is enabled.
+     * @param {Duration} [options.cacheTTL] - the TTL for the data cache.
+     * Numbers are interpreted as minutes.
+     * @param {ExpirySchedule} [options.expirySchedule] - a calendar-aligned
+     * schedule on which the data cache expires, used instead of a TTL.
+     * @param {string} [options.compression] - the compression to apply to
+     * this data source's cached data, one of `none`, `gzip`, or `brotli`. If
+     * not specified, the databridge's `compression` option applies.
+     * @param {boolean} [options.encryptCache=false] - whether or not to
+     * encrypt this data source's cached data with AES-256-GCM. The key is
+     * supplied by the databridge's `encryptionKey` or `encryptionKeyProvider`
+     * option. If no key is available the data is not cached.
+     * @param {number} [options.maxCacheSize] - if present, the maximum total
+     * size in bytes of this data source's cached data. This limit applies in
+     * addition to the databridge's `maxCacheSize` option, and like it, is
+     * enforced per process.
+     * @param {string} [options.evictionPolicy] - the order in which this data
+     * source's entries are evicted to enforce its cache size quota. If not
+     * specified, the databridge's `evictionPolicy` option applies.
+     * @param {boolean} [options.pinCache=false] - whether or not to pin all of
+     * this data source's cached data, exempting it from eviction.
+     * @param {Duration} [options.staleWhileRevalidate] - a window after this
+     * data source's cache TTL has passed during which expired data
+     * is returned while the stream is refreshed in the background. If not
+     * specified, the databridge's `staleWhileRevalidate` option applies.
+     * @param {Duration} [options.staleIfError] - the maximum time after this
+     * data source's cache TTL has passed during which expired data
+     * is returned if fetching fresh data fails. If not specified, the
+     * databridge's `staleIfError` option applies.
+     * @param {number} [options.maxConcurrency] - if present, the maximum
+     * number of data fetcher calls to run at once. Further calls are queued
+     * until a running call completes. Calls that time out or are aborted
+     * hold their slot until their data fetcher settles.
+     * @param {number} [options.maxQueueLength] - if present, the maximum
+     * number of calls to queue when `options.maxConcurrency` is reached.
+     * Calls beyond this limit are rejected with a {@link QueueFullError}.
+     * @param {RateLimiter|PlainObject} [options.rateLimiter] - if present, a
+     * rate limiter data fetcher calls must acquire a token from before
+     * running. Pass the same {@link RateLimiter} to multiple datasources to
+     * share a budget between them, or a plain object of options to create a
+     * rate limiter for this datasource alone. A rate limiter created from a
+     * plain object follows the datasource's clock if no clock of its own is
+     * given.
+     * @param {string} [options.rateLimitMode='delay'] - what to do when the
+     * rate limiter's budget is exhausted - `delay` the call until a token is
+     * available, or `reject` it with a {@link RateLimitError}.
+     * @param {boolean} [options.rateLimitFallback=false] - whether or not the
+     * databridge should return cached data, even if expired, rather than wait
+     * when the rate limiter's budget is exhausted.
+     * @param {Duration} [options.timeout] - the maximum time to wait for a
+     * data fetcher call before giving up with a {@link TimeoutError}, zero
+     * for no limit. Unlike other durations, plain numbers are milliseconds.
+     * If not specified, the databridge's `timeout` option applies.
+     * @param {RetryPolicy} [options.retry] - if present, failed data fetcher
+     * calls are retried according to this policy.
+     * @param {CircuitBreakerOptions} [options.circuitBreaker] - if present,
+     * data fetcher calls are short-circuited with a {@link CircuitOpenError}
+     * after repeated failures, giving the upstream time to recover.
+     * @param {Clock} [options.clock] - the clock used to time queued and rate
+     * limited calls, and circuit breaker cooldowns - see
+     * [.clock()]{@link Datasource#clock}. If not specified, the clock of the
+     * first databridge the datasource is registered with is used, or the
+     * system time until then.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     * @example <caption>Single Data Fetcher without Parameters</caption>
+     * const cjdb = require('@maynoothuniversity/caching-json-databridge');
+     * let daysDS = new cjdb.Datasource(function(){
+     *   return ['mon', 'tues', 'wed', 'thurs', 'fri', 'sat', 'sun'];
+     * });
+     * @example <caption>Multiple Data Fetchers without Parameters</caption>
+     * const cjdb = require('@maynoothuniversity/caching-json-databridge');
+     * let fancyDaysDS = new cjdb.Datasource({
+     *   lowerCase: function(){
+     *   	return ['mon', 'tues', 'wed', 'thurs', 'fri', 'sat', 'sun'];
+     *   },
+     *   upperCase: function(){
+     *   	return ['Mon', 'TUES', 'WED', 'THURS', 'FRI', 'SAT', 'SUN'];
+     *   }
+     * });
+     * @example <caption>Custom Stream Name Generator</caption>
+     * const cjdb = require('@maynoothuniversity/caching-json-databridge');
+     *
+     * // define a data fetcher function which expects a Date object as the only param
+     * let myDataFetcher = function(d){
+     *   return "Party like it's " + d.getFullYear();
+     * }
+     *
+     * // add a custom stream name generator
+	 * myDataFetcher.streamNameGenerator = function(fParams){
+	 *   return "y_" + fParams[0].getFullYear();
+	 * }
+	 *
+	 * // create the datasource
+	 * let partyDS = new cjdb.Datasource(myDataFetcher);
+     */
+    constructor(){
+        // note whether a rate limiter without a clock of its own will be
+        // created for this datasource alone, before the options are coerced
+        let rawLimiter = validateParams.isPlainObject(arguments[1]) ? arguments[1].rateLimiter : undefined;
+        let ownLimiter = validateParams.isPlainObject(rawLimiter) && !(rawLimiter instanceof RateLimiter) && !validate.isDefined(rawLimiter.clock);
+        
+        let args=validateParams.assert(arguments, [
+            {
+				paramOptions: {
+					name: 'dataFetcher',
+					defaultWhenUndefined: {}
+				},
+                dataFetcher: true
+            },
+            {
+                paramOptions: {
+                    name: 'options',
+                    defaultWhenUndefined: {},
+                    coerce: function(v, o, c){
+                        if(validate.isObject(v)){
+                            if(typeof v.enableCaching === 'undefined'){
+                                v.enableCaching = true;
+                            }else{
+                                v.enableCaching = validateParams.coercions.toBoolean(v.enableCaching, o, c);
+                            }
+                            if(typeof v.encryptCache === 'undefined'){
+                                v.encryptCache = false;
+                            }else{
+                                v.encryptCache = validateParams.coercions.toBoolean(v.encryptCache, o, c);
+                            }
+                            if(validateParams.isPlainObject(v.rateLimiter) && !(v.rateLimiter instanceof RateLimiter)){
+                                v.rateLimiter = new RateLimiter(v.rateLimiter);
+                            }
+                            if(typeof v.rateLimitMode === 'undefined') v.rateLimitMode = 'delay';
+                            v.rateLimitFallback = v.rateLimitFallback ? true : false;
+                            if(validate.isObject(v.retry)){
+                                if(typeof v.retry.maxAttempts === 'undefined') v.retry.maxAttempts = 3;
+                                if(typeof v.retry.initialDelay === 'undefined') v.retry.initialDelay = { milliseconds: 100 };
+                                if(typeof v.retry.maxDelay === 'undefined') v.retry.maxDelay = { seconds: 30 };
+                                if(typeof v.retry.factor === 'undefined') v.retry.factor = 2;
+                                v.retry.jitter = typeof v.retry.jitter === 'undefined' ? true : (v.retry.jitter ? true : false);
+                                if(typeof v.retry.retryable === 'undefined') v.retry.retryable = Datasource.defaultRetryablePredicate;
+                            }
+                            if(validate.isObject(v.circuitBreaker)){
+                                if(typeof v.circuitBreaker.failureThreshold === 'undefined') v.circuitBreaker.failureThreshold = 5;
+                                if(typeof v.circuitBreaker.cooldown === 'undefined') v.circuitBreaker.cooldown = { seconds: 30 };
+                            }
+                        }
+                        return v;
+                    }
+                },
+                dictionary: {
+                    mapConstraints: {
+                        enableCaching: {
+                            defined: true,
+                            hasTypeof: 'boolean'
+                        },
+                        cacheTTL: {
+                            duration: { positive: true }
+                        },
+                        expirySchedule: {
+                            expirySchedule: true
+                        },
+                        compression: {
+                            inclusion: ['none', 'gzip', 'brotli']
+                        },
+                        encryptCache: {
+                            defined: true,
+                            hasTypeof: 'boolean'
+                        },
+                        maxCacheSize: {
+                            hasTypeof: 'number',
+                            numericality: {
+                                greaterThan: 0
+                            }
+                        },
+                        evictionPolicy: {
+                            inclusion: ['lru', 'oldest', 'largest']
+                        },
+                        pinCache: {
+                            hasTypeof: 'boolean'
+                        },
+                        staleWhileRevalidate: {
+                            duration: true
+                        },
+                        staleIfError: {
+                            duration: true
+                        },
+                        maxConcurrency: {
+                            hasTypeof: 'number',
+                            numericality: {
+                                onlyInteger: true,
+                                greaterThan: 0
+                            }
+                        },
+                        maxQueueLength: {
+                            hasTypeof: 'number',
+                            numericality: {
+                                onlyInteger: true,
+                                greaterThanOrEqualTo: 0
+                            }
+                        },
+                        rateLimiter: {
+                            isInstanceof: [RateLimiter]
+                        },
+                        rateLimitMode: {
+                            presence: true,
+                            inclusion: ['delay', 'reject']
+                        },
+                        rateLimitFallback: {
+                            hasTypeof: 'boolean'
+                        },
+                        timeout: {
+                            duration: true
+                        },
+                        retry: {
+                            dictionary: {
+                                mapConstraints: {
+                                    maxAttempts: {
+                                        presence: true,
+                                        hasTypeof: 'number',
+                                        numericality: {
+                                            onlyInteger: true,
+                                            greaterThan: 0
+                                        }
+                                    },
+                                    initialDelay: {
+                                        presence: true,
+                                        duration: true
+                                    },
+                                    maxDelay: {
+                                        presence: true,
+                                        duration: true
+                                    },
+                                    factor: {
+                                        presence: true,
+                                        hasTypeof: 'number',
+                                        numericality: {
+                                            greaterThanOrEqualTo: 1
+                                        }
+                                    },
+                                    jitter: {
+                                        hasTypeof: 'boolean'
+                                    },
+                                    retryable: {
+                                        hasTypeof: 'function'
+                                    }
+                                }
+                            }
+                        },
+                        circuitBreaker: {
+                            dictionary: {
+                                mapConstraints: {
+                                    failureThreshold: {
+                                        presence: true,
+                                        hasTypeof: 'number',
+                                        numericality: {
+                                            onlyInteger: true,
+                                            greaterThan: 0
+                                        }
+                                    },
+                                    cooldown: {
+                                        presence: true,
+                                        duration: true
+                                    }
+                                }
+                            }
+                        },
+                        clock: {
+                            isInstanceof: [Clock]
+                        }
+                    }
+                }
+            }
+        ]);
+        
+        /**
+         * The data fetcher definition for this data source defining zero or
+         * more data fetcher callbacks.
+         * @private
+         * @type {DataFetcher}
+         */
+        this._dataFetcher = args.dataFetcher;
+        
+        /**
+         * Options for this data source.
+         * @private
+         * @type {PlainObject}
+         */
+        this._options = args.options;
+        
+        /**
+         * The number of data fetcher calls currently running.
+         * @private
+         * @type {number}
+         */
+        this._activeFetches = 0;
+        
+        /**
+         * The data fetcher calls waiting for a free slot when the
+         * `maxConcurrency` option is reached, in the order they will run.
+         * @private
+         * @type {Array<{priority: number, order: number, start: function}>}
+         */
+        this._fetchQueue = [];
+        
+        /**
+         * A counter used to keep queued calls with equal priorities in the
+         * order they were queued.
+         * @private
+         * @type {number}
+         */
+        this._fetchQueueCounter = 0;
+        
+        /**
+         * The state of the circuit breaker - whether the circuit is open, the
+         * time it opened by the datasource's clock in milliseconds since the
+         * epoch, the number of
+         * consecutive failures, and whether a half-open probe is in flight.
+         * @private
+         * @type {PlainObject}
+         */
+        this._circuit = { open: false, openedAt: undefined, failures: 0, probing: false };
+        
+        /**
+         * The clock to read the current time from, if one has been given or
+         * adopted from a databridge.
+         * @private
+         * @type {Clock}
+         */
+        this._clock = this._options.clock;
+        
+        /**
+         * Whether or not the rate limiter was created for this datasource
+         * alone without a clock of its own, and so follows its clock.
+         * @private
+         * @type {boolean}
+         */
+        this._limiterFollowsClock = ownLimiter;
+        if(ownLimiter && this._clock) this._options.rateLimiter.clock(this._clock);
+    }
+    
+    /**
+     * A read & write accessor for the clock used to time queued and rate
+     * limited calls, and circuit breaker cooldowns. A rate limiter created
+     * from a plain object of options without a clock of its own is switched
+     * to the new clock too.
+     * @returns {Clock|undefined} the clock, or `undefined` if none has been
+     * given, in which case the system time is used.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    clock(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'clock',
+            isInstanceof: [Clock]
+        }]);
+        
+        // set if appropriate
+        if(arguments.length >= 1){
+            this._clock = args.clock;
+            if(this._limiterFollowsClock) this._options.rateLimiter.clock(args.clock);
+        }
+        
+        // always return the current value
+        return this._clock;
+    }
+    
+    /**
+     * A function to get the current time from the datasource's clock.
+     *
+     * @private
+     * @returns {number} the time in milliseconds since the epoch.
+     */
+    _now(){
+        return this._clock ? this._clock.now() : Date.now();
+    }
+    
+    /**
+     * A read-only accessor for the number of data fetcher calls waiting in
+     * the queue because the `maxConcurrency` option has been reached.
+     * @returns {number}
+     */
+    queueLength(){
+        return this._fetchQueue.length;
+    }
+    
+    /**
+     * A read-only accessor for the state of the circuit breaker.
+     * @returns {CircuitBreakerState|undefined} the state, or `undefined` if
+     * the `circuitBreaker` option is not set.
+     */
+    circuitState(){
+        let breaker = this.option('circuitBreaker');
+        if(!breaker) return undefined;
+        let state = 'closed';
+        if(this._circuit.open){
+            state = this._now() - this._circuit.openedAt >= durationToMilliseconds(breaker.cooldown) ? 'half-open' : 'open';
+        }
+        return {
+            state: state,
+            failures: this._circuit.failures,
+            openedAt: this._circuit.open ? new Date(this._circuit.openedAt).toISOString() : undefined
+        };
+    }
+    
+    /**
+     * A read-only accessor for fetcher callbacks. If there's only one callback
+     * associated with this source then it will be returned, regardless of the
+     * parameters passed. If there are multiple nested callbacks, then,
+     * depending on the parameters passed, either a callback or a plain object
+     * containing multiple callbacks will be returned.
+     * @param {(...DatabridgeName|DatabridgeName[])} [callbackPath] - if
+     * paramters are passed, they will be interpreted as paths within the data
+     * fetchers data structure.
+     * @returns {(function|PlainObject)}
+     * @throws {TypeError} A type error is thrown if parameters are present,
+     * but not valid.
+     * @throws {Error} An error is thrown if a non-existent data fetcher is
+     * requested.
+     */
+    dataFetcher(){
+		// process arguments manually because validateParams can't support
+		// repeated parameters at the time of writting
+		let rawPathElements = validate.isArray(arguments[0]) ? arguments[0] : Array.from(arguments);
+		let pathElements = [...rawPathElements]; // shallow clone so the sift in the while loop does not destroy arguments
+		for(let path of pathElements){
+			if(validate.single(path, vpCons.databridgeName)){
+				throw new TypeError("parameter passed that's not a valid databridge name");
+			}
+		}
+		
+		// return the requested value
+		let ans = this._dataFetcher;
+		while(pathElements.length > 0){
+			let pathElement = pathElements.shift();
+			if(validate.isDefined(ans[pathElement])){
+				ans = ans[pathElement];
+			}else{
+				throw new Error('non-existent data fetcher requested');
+			}
+		}
+        return ans;
+    }
+	
+	/**
+	 * A utility function to determine whether or not a given datasource has a
+	 * simple sigle data fetcher callback, or, supports multiple data fetchers.
+	 * I.e. true if `.dataFetcher()` returns a callback, and false if it
+	 * returns a plain object, even if that plain object only contains a single
+	 * callback.
+	 * @returns {boolean}
+	 */
+	hasSingleDataFetcher(){
+		return validate.isFunction(this._dataFetcher);
+	}
+    
+    /**
+     * A read-only accessor for all the options.
+     *
+     * @param {string} optionName - the name of the option to get the value for
+     * @returns {*} the option's value, or `undefined` if the option is not
+     * defined.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     * @throws {Error} an error if execution of the fetcher fails.
+     */
+    option(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'optionName',
+            presence: true,
+            hasTypeof: 'string'
+        }]);
+        return this._options[args.optionName];
+    }
+    
+    /**
+     * A function to execute the `dataFetcher` callback and return a promise for
+     * the data it will produce.
+     *
+     * If the `rateLimiter` option is set, a token is first acquired from the
+     * rate limiter. Then, if the `maxConcurrency` option is set and reached,
+     * the call is queued until a running call completes. Queued calls run in
+     * order of priority, and in the order they were queued for equal
+     * priorities.
+     *
+     * If a timeout applies or an abort signal is passed, the fetcher is
+     * invoked with an `AbortSignal` as an extra argument after the fetcher
+     * arguments, which is aborted when the deadline passes or the passed
+     * signal is aborted. The time spent waiting for the rate limiter and queue
+     * counts towards the timeout.
+     *
+     * If the `retry` option is set, failed calls are retried according to the
+     * policy, each attempt going through the rate limiter and queue again.
+     * Retrying stops if the call times out or is aborted.
+     *
+     * If the `circuitBreaker` option is set and the circuit is open, the call
+     * is rejected without invoking the fetcher. Once the cooldown has passed
+     * a single call is let through to probe the upstream - if it succeeds the
+     * circuit closes, otherwise it opens again. Calls refused by the rate
+     * limiter or queue, or aborted via the signal, don't count as failures.
+     *
+     * @param {Array} [fetcherArgs=[]] - the arguments to pass to the fetcher
+     * functions as an array.
+     * @param {DatabridgeName[]} [callbackPath] - if this datasource has
+     * multiple data fetchers, this argument is required.
+     * @param {PlainObject} [options={}] - a plain object with options.
+     * @param {number} [options.priority=0] - the priority of the call within
+     * the queue, higher priorities run first.
+     * @param {string} [options.rateLimitMode] - overrides the `rateLimitMode`
+     * option for this call.
+     * @param {Duration} [options.timeout] - overrides the `timeout` option
+     * for this call. Plain numbers are milliseconds.
+     * @param {AbortSignal} [options.signal] - a signal to cancel the call
+     * with.
+     * @param {PlainObject} [options.meta] - a plain object to record metadata
+     * about the call into. If the `maxConcurrency` option is set, the time
+     * spent queued in milliseconds is recorded as `queueWait`, and if the
+     * `rateLimiter` option is set, the time spent waiting for a token in
+     * milliseconds is recorded as `rateLimitWait`. If the `retry` option is
+     * set, the number of attempts made is recorded as `attempts`, and the
+     * errors the failed attempts rejected with as `attemptErrors`.
+     * @returns {Promise} a promise of the data. If the queue is full the
+     * promise rejects with a {@link QueueFullError}, and if the rate limit is
+     * exhausted in `reject` mode, with a {@link RateLimitError}. If the
+     * timeout passes the promise rejects with a {@link TimeoutError}, and if
+     * the signal is aborted, with the signal's reason. If the circuit is open,
+     * the promise rejects with a {@link CircuitOpenError}. If the fetcher
+     * throws an error, the promise rejects with an error rather than the
+     * error being thrown.
+     */
+    fetchDataPromise(){
+        let args = validateParams.assert(arguments, [
+			{
+			    paramOptions: {
+			        name: 'fetcherArgs',
+			        defaultWhenUndefined: []
+			    },
+			    list: true
+			},
+			{
+				paramOptions: {
+					name: 'fetcherPath',
+					defaultWhenUndefined: []
+				},
+				list: { valueConstraints: vpCons.databridgeName }
+			},
+            {
+                paramOptions: {
+                    name: 'options',
+                    defaultWhenUndefined: {}
+                },
+                dictionary: {
+                    mapConstraints: {
+                        priority: {
+                            hasTypeof: 'number'
+                        },
+                        rateLimitMode: {
+                            inclusion: ['delay', 'reject']
+                        },
+                        timeout: {
+                            duration: true
+                        },
+                        signal: vpCons.abortSignal,
+                        meta: {
+                            hasTypeof: 'object'
+                        }
+                    }
+                }
+            }
+		]);
+        let self = this;
+        
+        // if there's a timeout or a signal, set up a controller to abort the
+        // call with, and a promise that rejects when it's aborted
+        let timeout = timeoutToMilliseconds(validate.isDefined(args.options.timeout) ? args.options.timeout : (this.option('timeout') || 0));
+        let signal = args.options.signal;
+        if(signal && signal.aborted) return Promise.reject(abortReason(signal));
+        
+        let controller = undefined;
+        let abortPromise = undefined;
+        let stopWatching = function(){};
+        if(timeout > 0 || signal){
+            controller = createAbortController();
+            abortPromise = new Promise(function(resolve, reject){
+                let abort = function(reason){
+                    stopWatching();
+                    controller.abort(reason);
+                    reject(reason);
+                };
+                let timer = undefined;
+                if(timeout > 0){
+                    timer = setTimeout(function(){
+                        abort(new TimeoutError(`data fetcher call timed out after ${timeout}ms`, timeout));
+                    }, timeout);
+                }
+                let onAbort = function(){
+                    abort(abortReason(signal));
+                };
+                if(signal) signal.addEventListener('abort', onAbort);
+                stopWatching = function(){
+                    clearTimeout(timer);
+                    if(signal) signal.removeEventListener('abort', onAbort);
+                };
+            });
+        }
+		
+        // try invoke the relevant fetcher, passing it the signal if there is
+        // one, unless the call was aborted while waiting to run - errors
+        // thrown by the fetcher always reject the returned promise
+        let invokeFetcher = function(){
+            if(controller && controller.signal.aborted) return Promise.reject(abortReason(controller.signal));
+            let response = false;
+            try{
+                let fetcherArgs = controller ? args.fetcherArgs.concat([controller.signal]) : args.fetcherArgs;
+                response = self.dataFetcher(args.fetcherPath).apply(self, fetcherArgs);
+            }catch(err){
+                return Promise.reject(new Error(`failed to execute fetcher with error: ${err.message}`)); // TO DO - update error message for multiple fetchers
+            }
+            
+            // return a promise of the data
+            return validate.isPromise(response) ? response : Promise.resolve(response);
+        };
+        
+        // if there's a rate limiter, acquire a token first, unless the call has
+        // already been aborted
+        let abortSignal = controller ? controller.signal : undefined;
+        let fetchWithinLimits = function(){
+            if(abortSignal && abortSignal.aborted) return Promise.reject(abortReason(abortSignal));
+            let rateLimiter = self.option('rateLimiter');
+            if(rateLimiter){
+                let rateLimitMode = args.options.rateLimitMode || self.option('rateLimitMode');
+                if(!rateLimiter.tryAcquire()){
+                    if(rateLimitMode === 'reject'){
+                        let retryAfter = rateLimiter.waitTime();
+                        return Promise.reject(new RateLimitError(`rate limit exceeded, next call allowed in ${retryAfter}ms`, retryAfter));
+                    }
+                    let limitedAt = self._now();
+                    return rateLimiter.acquire(abortSignal).then(function(){
+                        if(args.options.meta) args.options.meta.rateLimitWait = self._now() - limitedAt;
+                        return self._fetchWithinConcurrencyLimit(invokeFetcher, args.options, abortSignal);
+                    });
+                }
+                if(args.options.meta) args.options.meta.rateLimitWait = 0;
+            }
+            return self._fetchWithinConcurrencyLimit(invokeFetcher, args.options, abortSignal);
+        };
+        
+        // if there's a circuit breaker, short-circuit each attempt if the
+        // circuit is open, or if it's half-open and already being probed, and
+        // record the outcome of each attempt that goes ahead
+        let fetchWithinCircuit = fetchWithinLimits;
+        if(this.option('circuitBreaker')){
+            fetchWithinCircuit = function(){
+                let circuitState = self.circuitState();
+                let probe = false;
+                if(circuitState.state !== 'closed'){
+                    if(circuitState.state === 'open' || self._circuit.probing){
+                        let retryAfter = Math.max(self._circuit.openedAt + durationToMilliseconds(self.option('circuitBreaker').cooldown) - self._now(), 0);
+                        return Promise.reject(new CircuitOpenError(`circuit open after ${self._circuit.failures} consecutive failures`, retryAfter));
+                    }
+                    probe = true;
+                    self._circuit.probing = true;
+                }
+                let attemptPromise = fetchWithinLimits();
+                if(abortPromise) attemptPromise = Promise.race([attemptPromise, abortPromise]);
+                attemptPromise.then(
+                    function(){
+                        self._recordCircuitOutcome(undefined, probe, signal);
+                    },
+                    function(err){
+                        self._recordCircuitOutcome(err, probe, signal);
+                    }
+                );
+                return attemptPromise;
+            };
+        }
+        
+        // if there's a retry policy, retry failed attempts after a delay
+        let fetchWithRetries = fetchWithinCircuit;
+        let retry = this.option('retry');
+        if(retry){
+            fetchWithRetries = function(){
+                let attemptErrors = [];
+                let attempt = function(n){
+                    if(args.options.meta){
+                        args.options.meta.attempts = n;
+                        args.options.meta.attemptErrors = attemptErrors;
+                    }
+                    return Promise.resolve().then(fetchWithinCircuit).catch(function(err){
+                        attemptErrors.push(err);
+                        if(n >= retry.maxAttempts || err instanceof CircuitOpenError || (controller && controller.signal.aborted) || !retry.retryable.call(self, err, n)) throw err;
+                        return self._waitForRetry(self._retryDelay(n), abortSignal).then(function(){
+                            return attempt(n + 1);
+                        });
+                    });
+                };
+                return attempt(1);
+            };
+        }
+        
+        // if there's a controller, race the call against the abort promise
+        let dataPromise = fetchWithRetries();
+        if(controller){
+            dataPromise.then(stopWatching, stopWatching);
+            dataPromise = Promise.race([dataPromise, abortPromise]);
+        }
+        return dataPromise;
+    }
+    
+    /**
+     * A function to update the state of the circuit breaker with the outcome
+     * of a data fetcher attempt.
+     *
+     * Successes only close the circuit if they're probes, or if the circuit
+     * is still closed - a slow call that started before the circuit opened
+     * says nothing about whether the upstream has since recovered.
+     *
+     * @private
+     * @param {Error} [err] - the error the attempt failed with, `undefined` if
+     * it succeeded.
+     * @param {boolean} probe - whether or not the attempt was a half-open
+     * probe.
+     * @param {AbortSignal} [signal] - the signal passed with the call.
+     */
+    _recordCircuitOutcome(err, probe, signal){
+        if(probe) this._circuit.probing = false;
+        if(!err){
+            if(!probe && this._circuit.open) return;
+            this._circuit.open = false;
+            this._circuit.openedAt = undefined;
+            this._circuit.failures = 0;
+            return;
+        }
+        
+        // calls refused locally or aborted by the caller say nothing about the
+        // health of the upstream
+        if(err instanceof RateLimitError || err instanceof QueueFullError || err instanceof CircuitOpenError) return;
+        if(signal && signal.aborted && !(err instanceof TimeoutError)) return;
+        
+        this._circuit.failures++;
+        if(probe || (!this._circuit.open && this._circuit.failures >= this.option('circuitBreaker').failureThreshold)){
+            this._circuit.open = true;
+            this._circuit.openedAt = this._now();
+        }
+    }
+    
+    /**
+     * A function to calculate the delay before retrying a failed data fetcher
+     * call according to the `retry` option.
+     *
+     * @private
+     * @param {number} attempt - the number of the attempt that failed,
+     * starting at 1.
+     * @returns {number} the delay in milliseconds.
+     */
+    _retryDelay(attempt){
+        let retry = this.option('retry');
+        let delayMs = durationToMilliseconds(retry.initialDelay) * Math.pow(retry.factor, attempt - 1);
+        delayMs = Math.min(delayMs, durationToMilliseconds(retry.maxDelay));
+        return retry.jitter ? Math.random() * delayMs : delayMs;
+    }
+    
+    /**
+     * A function to wait out the delay before retrying a failed data fetcher
+     * call. The delay is measured on the datasource's clock, so a
+     * {@link FakeClock} can be advanced to end it.
+     *
+     * @private
+     * @param {number} delayMs - the delay in milliseconds.
+     * @param {AbortSignal} [signal] - a signal to stop waiting with.
+     * @returns {Promise} a promise that resolves once the delay has passed, or
+     * rejects with the signal's reason if the signal is aborted first.
+     */
+    _waitForRetry(delayMs, signal){
+        if(signal && signal.aborted) return Promise.reject(abortReason(signal));
+        let self = this;
+        let retryAt = this._now() + delayMs;
+        return new Promise(function(resolve, reject){
+            let timer = undefined;
+            let onAbort = function(){
+                clearTimeout(timer);
+                reject(abortReason(signal));
+            };
+            let check = function(){
+                let remaining = retryAt - self._now();
+                if(remaining <= 0){
+                    if(signal) signal.removeEventListener('abort', onAbort);
+                    resolve();
+                    return;
+                }
+                timer = setTimeout(check, Math.max(Math.ceil(remaining), 1));
+            };
+            if(signal) signal.addEventListener('abort', onAbort);
+            check();
+        });
+    }
+    
+    /**
+     * A function to invoke a data fetcher once there is a free slot within
+     * the `maxConcurrency` option.
+     *
+     * If the call is aborted while queued it's removed from the queue. Once
+     * running, its slot is only freed when the data fetcher settles, even if
+     * the call is aborted, so fetchers that ignore the abort signal can't push
+     * the number of calls in flight past the limit.
+     *
+     * @private
+     * @param {function} invokeFetcher - a function to invoke the data fetcher
+     * and return a promise of its data.
+     * @param {PlainObject} options - the options passed to
+     * [.fetchDataPromise()]{@link Datasource#fetchDataPromise}.
+     * @param {AbortSignal} [signal] - the signal the call is aborted with.
+     * @returns {Promise} a promise of the data.
+     */
+    _fetchWithinConcurrencyLimit(invokeFetcher, options, signal){
+        let self = this;
+        let args = { options: options };
+        
+        // if there's no concurrency limit, invoke the fetcher straight away
+        let maxConcurrency = this.option('maxConcurrency');
+        if(!maxConcurrency) return invokeFetcher();
+        
+        // otherwise invoke it once there's a free slot, freeing the slot again
+        // once the fetcher is done
+        let queuedAt = this._now();
+        let runFetcher = function(){
+            if(args.options.meta) args.options.meta.queueWait = self._now() - queuedAt;
+            self._activeFetches++;
+            let release = function(){
+                self._activeFetches--;
+                self._dequeueFetches();
+            };
+            let dataPromise = invokeFetcher();
+            dataPromise.then(release, release);
+            return dataPromise;
+        };
+        if(this._activeFetches < maxConcurrency && this._fetchQueue.length === 0) return runFetcher();
+        let maxQueueLength = this.option('maxQueueLength');
+        if(validate.isDefined(maxQueueLength) && this._fetchQueue.length >= maxQueueLength){
+            return Promise.reject(new QueueFullError(`fetch queue is full (${maxQueueLength} calls waiting)`));
+        }
+        return new Promise(function(resolve, reject){
+            let onAbort = undefined;
+            let queued = {
+                priority: args.options.priority || 0,
+                order: self._fetchQueueCounter++,
+                start: function(){
+                    if(signal) signal.removeEventListener('abort', onAbort);
+                    resolve(runFetcher());
+                }
+            };
+            let i = self._fetchQueue.findIndex(function(q){ return q.priority < queued.priority; });
+            if(i === -1){
+                self._fetchQueue.push(queued);
+            }else{
+                self._fetchQueue.splice(i, 0, queued);
+            }
+            if(signal){
+                onAbort = function(){
+                    let j = self._fetchQueue.indexOf(queued);
+                    if(j !== -1) self._fetchQueue.splice(j, 1);
+                    reject(abortReason(signal));
+                };
+                signal.addEventListener('abort', onAbort);
+            }
+        });
+    }
+    
+    /**
+     * A function to start queued data fetcher calls while there are free
+     * slots within the `maxConcurrency` option.
+     *
+     * @private
+     */
+    _dequeueFetches(){
+        while(this._fetchQueue.length > 0 && this._activeFetches < this.option('maxConcurrency')){
+            this._fetchQueue.shift().start();
+        }
+    }
+}
+
+/**
+ * The default stream name generator function. This function attempts to always
+ * ensure a unique stream name for all possible fetcher arguments.
+ *
+ * If no arguments are present, `main` is returned.
+ *
+ * If a single argument is present, and its string value would be valid as a
+ * datasource name, then that value is returned (numbers get pre-fixed with
+ * `n_` to make them valid).
+ *
+ * For all other values, an attempt is made to convert the fetcher arguments to
+ * a JSON string, which is then converted to a hexidecimal MD5 hash. Not all
+ * values can be converted to JSON, so this function could throw an error.
+ *
+ * @param {Array} dataFetcherParams - the parameters that will be passed to the
+ * datafetcher as an array.
+ * @param {PlainObject} fetchOptions - the options that were passed to
+ * the call to [.fetchResponse()]{Databridge#fetchResponse} on the data bridge
+ * to trigger the request this stream name is for.
+ * @returns {DatabridgeName}
+ * @throws {Error} An error is thrown if the function fails to convert the
+ * given fetcher parameters to a stream name.
+ * @see StreamNameGenerator
+ */
+Datasource.defaultStreamNameGenerator = function(){
+	let args = validateParams.assert(arguments, [
+		{
+			paramOptions: {
+				name: 'fetcherParams',
+				defaultWhenUndefined: []
+			},
+			defined: true,
+			list: true
+		},
+		{
+			paramOptions: {
+				name: 'fetchOptions',
+				defaultWhenUndefined: {}
+			},
+			defined:  true,
+			dictionary: true
+		}
+	]);
+	
+	// if there are no parameters, return 'main'
+	if(args.fetcherParams.length === 0) return 'main';
+	
+	// if there is exactly 1 parameter, try use it
+	if(args.fetcherParams.length === 1){
+		return Datasource._valToNameString(args.fetcherParams[0]);
+	}
+	
+	// if all else fails, try return an MD5 of the JSON string for the parameters - could throw an error
+	return `p${args.fetcherParams.length}_` + stringToMD5Hex(JSON.stringify(args.fetcherParams));
+};
+
+/**
+ * The default retryable predicate for {@link RetryPolicy}s. All errors are
+ * retried except {@link RateLimitError}s and {@link QueueFullError}s, which
+ * indicate that the call was refused locally rather than failed upstream.
+ *
+ * @param {Error} err - the error the attempt failed with.
+ * @returns {boolean}
+ * @see RetryablePredicate
+ */
+Datasource.defaultRetryablePredicate = function(err){
+	return !(err instanceof RateLimitError || err instanceof QueueFullError);
+};
+
+/**
+ * A private helper function which attempts to convert a value into a string
+ * for use in a stream name.
+ *
+ * @private
+ * @param {*} val - the value to convert.
+ * @returns {string}
+ */
+Datasource._valToNameString = function(val){
+	let valType = typeof val;
+	let prelimAns = '';
+	switch(valType){
+		case 'undefined':
+			return 'undef';
+		case 'boolean':
+			return String(val);
+		case 'number':
+			prelimAns = 'n_' + val; // could contain decimal point, minus sign, etc.
+			if(!validate.single(prelimAns, validateParams.extendObject({presence: true}, vpCons.databridgeName))){
+				return prelimAns;
+			}
+			return 'n_' + stringToMD5Hex(String(val));
+		case 'string':
+			if(val.length === 0) return 'emptyStr';
+			prelimAns = 's_' + val;
+			if(!validate.single(prelimAns, validateParams.extendObject({presence: true}, vpCons.databridgeName))){
+				return prelimAns;
+			}
+			return 's_' + stringToMD5Hex(val);
+		case 'object':
+			return 'o_' + stringToMD5Hex(JSON.stringify(val));
+		default:
+			throw new Error(`can't convert type '${valType}' to string`);
+	}
+};
+
+/**
+ * A private helper function for converting a string to a Hexidecimal MD5 hash.
+ *
+ * @private
+ * @param {string} str - the string to hash.
+ * @returns {string}
+ */
+function stringToMD5Hex(str){
+	return crypto.createHash('md5').update(str).digest('hex');
+}
+
+/**
+ * A private helper function to create an `AbortController`. Versions of
+ * Node.js before 15 have no global `AbortController`, so on those a minimal
+ * stand-in with the same `signal` and `abort()` interface is returned.
+ *
+ * @private
+ * @returns {AbortController}
+ */
+function createAbortController(){
+    if(typeof AbortController !== 'undefined') return new AbortController();
+    let listeners = [];
+    let signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: function(type, listener){
+            if(type === 'abort') listeners.push(listener);
+        },
+        removeEventListener: function(type, listener){
+            let i = listeners.indexOf(listener);
+            if(type === 'abort' && i !== -1) listeners.splice(i, 1);
+        }
+    };
+    return {
+        signal: signal,
+        abort: function(reason){
+            if(signal.aborted) return;
+            signal.aborted = true;
+            signal.reason = reason;
+            for(let listener of listeners.slice()) listener();
+        }
+    };
+}
+
+/**
+ * A private helper function to get the reason an abort signal was aborted
+ * with. Versions of Node.js before 17.2 don't record reasons, in which case
+ * a generic abort error is returned.
+ *
+ * @private
+ * @param {AbortSignal} signal - an aborted signal.
+ * @returns {*}
+ */
+function abortReason(signal){
+    if(validate.isDefined(signal.reason)) return signal.reason;
+    let err = new Error('the operation was aborted');
+    err.name = 'AbortError';
+    return err;
+}
+
+/**
+ * A private helper function to generate a promise that resolves after a given
+ * delay.
+ *
+ * @private
+ * @param {number} ms - the delay in milliseconds.
+ * @returns {Promise}
+ */
+function delay(ms){
+	return new Promise(function(resolve){
+		setTimeout(resolve, ms);
+	});
+}
+
+/**
+ * The units supported in plain object {@link Duration}s.
+ *
+ * @private
+ * @type {string[]}
+ */
+const DURATION_UNITS = ['milliseconds', 'seconds', 'minutes', 'hours', 'days', 'weeks'];
+
+/**
+ * A private helper function to convert a {@link Duration} to milliseconds.
+ *
+ * @private
+ * @param {Duration} duration
+ * @returns {number} the duration in milliseconds, or `NaN` if the duration is
+ * not valid.
+ */
+function durationToMilliseconds(duration){
+    // numbers are minutes
+    if(validate.isNumber(duration)) return isFinite(duration) ? duration * 60 * 1000 : NaN;
+    
+    // strings must be ISO 8601 durations - moment treats unparsable strings
+    // as zero-length, so check the format first
+    if(validate.isString(duration)){
+        if(!/^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/.test(duration)) return NaN;
+        return moment.duration(duration).asMilliseconds();
+    }
+    
+    // plain objects must contain only supported units with numeric amounts
+    if(validateParams.isPlainObject(duration) && Object.keys(duration).length > 0){
+        for(let unit of Object.keys(duration)){
+            if(DURATION_UNITS.indexOf(unit) === -1 || !validate.isNumber(duration[unit]) || !isFinite(duration[unit])) return NaN;
+        }
+        return moment.duration(duration).asMilliseconds();
+    }
+    return NaN;
+}
+
+/**
+ * A private helper function to convert a timeout to milliseconds. Timeouts
+ * are usually short, so unlike other {@link Duration}s, plain numbers are
+ * taken to be milliseconds rather than minutes.
+ *
+ * @private
+ * @param {Duration} timeout
+ * @returns {number} the timeout in milliseconds, or `NaN` if the timeout is
+ * not valid.
+ */
+function timeoutToMilliseconds(timeout){
+    if(validate.isNumber(timeout)) return isFinite(timeout) ? timeout : NaN;
+    return durationToMilliseconds(timeout);
+}
+
+/**
+ * The shortcuts supported in cron-style {@link ExpirySchedule}s, indexed by
+ * name, with the equivalent expressions.
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const CRON_SHORTCUTS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+/**
+ * A private helper function to parse a cron-style expression.
+ *
+ * @private
+ * @param {string} expr - the expression.
+ * @returns {Object} a plain object with the sets of matching values for the
+ * `minute`, `hour`, `dayOfMonth`, `month` (1-12), and `dayOfWeek` (0-6,
+ * Sunday is 0) fields, and booleans indicating whether the day fields are
+ * restricted, or `undefined` if the expression is not valid.
+ */
+function parseCronExpression(expr){
+    let fields = (CRON_SHORTCUTS[expr.trim()] || expr).trim().split(/\s+/);
+    if(fields.length !== 5) return undefined;
+    let ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+    let sets = [];
+    for(let i = 0; i < 5; i++){
+        let [min, max] = ranges[i];
+        let values = new Set();
+        for(let part of fields[i].split(',')){
+            let match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if(!match) return undefined;
+            let from = match[1] === '*' ? min : parseInt(match[2], 10);
+            let to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3], 10) : from);
+            let step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+            if(match[4] !== undefined && match[1] !== '*' && match[3] === undefined) to = max; // e.g. 5/15
+            if(from < min || to > max || from > to || step < 1) return undefined;
+            for(let v = from; v <= to; v += step) values.add(v);
+        }
+        sets.push(values);
+    }
+    if(sets[4].has(7)) sets[4].add(0); // 7 is also Sunday
+    return {
+        minute: sets[0],
+        hour: sets[1],
+        dayOfMonth: sets[2],
+        month: sets[3],
+        dayOfWeek: sets[4],
+        dayOfMonthRestricted: fields[2] !== '*',
+        dayOfWeekRestricted: fields[4] !== '*'
+    };
+}
+
+/**
+ * A private helper function to find the first time matching a parsed
+ * cron-style expression after a given time, in local time.
+ *
+ * @private
+ * @param {Object} cron - an expression parsed with `parseCronExpression()`.
+ * @param {moment} after - the time to search from.
+ * @returns {moment} the first matching time, or `undefined` if there is none
+ * within five years, e.g. for the 31st of February.
+ */
+function nextCronOccurrence(cron, after){
+    let dayMatches = function(t){
+        let dom = cron.dayOfMonth.has(t.date());
+        let dow = cron.dayOfWeek.has(t.day());
+        if(cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+        return dom && dow;
+    };
+    let t = moment(after).startOf('minute').add(1, 'minute');
+    let limit = moment(t).add(5, 'years');
+    while(t.isBefore(limit)){
+        if(!cron.month.has(t.month() + 1)){
+            t.add(1, 'month').startOf('month');
+        }else if(!dayMatches(t)){
+            t.add(1, 'day').startOf('day');
+        }else if(!cron.hour.has(t.hour())){
+            t.add(1, 'hour').startOf('hour');
+        }else if(!cron.minute.has(t.minute())){
+            t.add(1, 'minute');
+        }else{
+            return t;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * The compression algorithms supported for cache data, indexed by the names
+ * used in the `compression` option, with promise-based compression and
+ * decompression functions.
+ *
+ * @private
+ * @type {Object.<string, {compress: function, decompress: function}>}
+ */
+const CACHE_COMPRESSORS = {
+	gzip: {
+		compress: util.promisify(zlib.gzip),
+		decompress: util.promisify(zlib.gunzip)
+	},
+	brotli: {
+		compress: util.promisify(zlib.brotliCompress),
+		decompress: util.promisify(zlib.brotliDecompress)
+	}
+};
+
+/**
+ * The magic number that identifies encrypted cache data.
+ *
+ * @private
+ * @type {Buffer}
+ */
+const ENCRYPTED_CACHE_MAGIC = Buffer.from('CJDBAES1', 'utf8');
+
+/**
+ * A private helper function to test whether or not data read from a cache
+ * store is encrypted.
+ *
+ * @private
+ * @param {Buffer} payload
+ * @returns {boolean}
+ */
+function isEncryptedCachePayload(payload){
+	return payload.length > ENCRYPTED_CACHE_MAGIC.length && payload.slice(0, ENCRYPTED_CACHE_MAGIC.length).equals(ENCRYPTED_CACHE_MAGIC);
+}
+
+/**
+ * A private helper function to encrypt a serialised cache object with
+ * AES-256-GCM. The output is the magic number followed by the 12 byte IV, the
+ * 16 byte authentication tag, and the cipher text.
+ *
+ * @private
+ * @param {Buffer} payload - the serialised cache object.
+ * @param {Buffer} key - a 32 byte key.
+ * @param {string} cacheKey - the cache store key the payload will be stored
+ * with, used as additional authenticated data so encrypted caches can't be
+ * swapped between streams.
+ * @returns {Buffer}
+ */
+function encryptCachePayload(payload, key, cacheKey){
+	let iv = crypto.randomBytes(12);
+	let cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+	cipher.setAAD(Buffer.from(cacheKey, 'utf8'));
+	let cipherText = Buffer.concat([cipher.update(payload), cipher.final()]);
+	return Buffer.concat([ENCRYPTED_CACHE_MAGIC, iv, cipher.getAuthTag(), cipherText]);
+}
+
+/**
+ * A private helper function to decrypt a cache object encrypted with
+ * [encryptCachePayload()]{@link encryptCachePayload}.
+ *
+ * @private
+ * @param {Buffer} payload - the encrypted data.
+ * @param {Buffer} key - a 32 byte key.
+ * @param {string} cacheKey - the cache store key the payload was stored with.
+ * @returns {Buffer}
+ * @throws {Error} an error is thrown if the data has been tampered with or
+ * the key is wrong.
+ */
+function decryptCachePayload(payload, key, cacheKey){
+	let offset = ENCRYPTED_CACHE_MAGIC.length;
+	let iv = payload.slice(offset, offset + 12);
+	let authTag = payload.slice(offset + 12, offset + 28);
+	let decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+	decipher.setAAD(Buffer.from(cacheKey, 'utf8'));
+	decipher.setAuthTag(authTag);
+	return Buffer.concat([decipher.update(payload.slice(offset + 28)), decipher.final()]);
+}
+
+/**
+ * A private helper function to serialise a cache object for writing to a cache
+ * store.
+ *
+ * @private
+ * @param {PlainObject} cacheJsonObj - the cache object to serialise, as
+ * returned by [DataCache#asJsonObject()]{@link DataCache#asJsonObject}.
+ * @param {string} [compression='none'] - the compression algorithm to apply,
+ * one of `none`, `gzip`, or `brotli`.
+ * @returns {Promise} a promise that resolves to an object indexed by
+ * `payload` (the encoded data as a buffer) and `size` (the size of the JSON
+ * text in bytes).
+ */
+function encodeCachePayload(cacheJsonObj, compression){
+	let rawJson;
+	try{
+		rawJson = Buffer.from(JSON.stringify(cacheJsonObj), 'utf8');
+	}catch(err){
+		return Promise.reject(err);
+	}
+	let compressed = CACHE_COMPRESSORS[compression] ? CACHE_COMPRESSORS[compression].compress(rawJson) : Promise.resolve(rawJson);
+	return compressed.then(function(payload){
+		return { payload: payload, size: rawJson.length };
+	});
+}
+
+/**
+ * A private helper function to de-serialise a cache object read from a cache
+ * store. Compression is detected automatically, so plain JSON, gzip, and
+ * brotli payloads are all supported regardless of the current `compression`
+ * option.
+ *
+ * Gzip data is identified by its magic number. Brotli streams have no magic
+ * number, so anything that's not gzip and does not parse as plain JSON is
+ * assumed to be brotli.
+ *
+ * @private
+ * @param {Buffer} payload - the raw data read from the cache store.
+ * @returns {Promise} a promise that resolves to an object indexed by `obj`
+ * (the parsed JSON) and `size` (the size of the JSON text in bytes), and
+ * rejects if the payload can't be decoded.
+ */
+function decodeCachePayload(payload){
+	let parse = function(rawJson){
+		return { obj: JSON.parse(rawJson.toString('utf8')), size: rawJson.length };
+	};
+	if(payload.length >= 2 && payload[0] === 0x1f && payload[1] === 0x8b){
+		return CACHE_COMPRESSORS.gzip.decompress(payload).then(parse);
+	}
+	try{
+		return Promise.resolve(parse(payload));
+	}catch(jsonErr){
+		return CACHE_COMPRESSORS.brotli.decompress(payload).then(parse, function(){
+			throw jsonErr;
+		});
+	}
+}
+
+/**
+ * A private helper function to make a deeply frozen copy of cacheable data,
+ * so it can be shared between callers without them being able to change it.
+ * Like the cache store, the copy only keeps what survives conversion to JSON.
+ *
+ * @private
+ * @param {*} data - the data to copy.
+ * @returns {*} the frozen copy.
+ */
+function frozenCopy(data){
+	if(!validate.isDefined(data)) return data;
+	let freeze = function(val){
+		if(val !== null && typeof val === 'object'){
+			for(let key of Object.keys(val)) freeze(val[key]);
+			Object.freeze(val);
+		}
+		return val;
+	};
+	return freeze(JSON.parse(JSON.stringify(data)));
+}
+
+//
+//=== Define the FetchRequest class ============================================
+//
+
+/**
+ * A class representing a request to fetch data from a datasource.
+ */
+class FetchRequest{
+    /**
+     * @param {Databridge} bridge - a reference to the databridge the request
+     * was submitted to.
+     * @param {Datasource} source - the datasource the request was
+     * submitted on.
+     * @param {Object} fetchOptions - the options passed to the databridge when
+     * initiating the request.
+     * @param {DatabridgeName[]} fetcherPath - the path to the fetcher function
+     * within the datasource. Should be an empty array for datasources with
+     * just one data fetcher.
+     * @param {Array} fetcherParams - the parameters for the fetcher function.
+     * @param {ISO8601} timestamp - the time the request was submitted to the
+     * databridge at as an ISO8601 string.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    constructor(){
+        let args = validateParams.a(arguments, [
+            {
+                vpopt_name: 'bridge',
+                defined: true,
+                isInstanceof: [Databridge]
+            },
+            {
+                vpopt_name: 'source',
+                defined: true,
+                isInstanceOf: [Datasource]
+            },
+            {
+                vpopt_name: 'fetchOptions',
+                defined: true,
+                dictionary: true
+            },
+			{
+				vpopt_name: 'fetcherPath',
+				defined: true,
+				list: { valueConstraints: vpCons.databridgeName }
+			},
+            {
+                vpopt_name: 'fetcherParams',
+                defined: true,
+                list: true
+            },
+            {
+                vpopt_name: 'timestamp',
+                presence: true,
+                iso8601: true
+            }
+        ]);
+        
+        /**
+         * The Databridge object that initiated the request.
+         * @private
+         * @type {Databridge}
+         */
+        this._bridge = args.bridge;
+        
+        /**
+         * The Datasource object the request was initiated on.
+         * @private
+         * @type {Datasource}
+         */
+        this._source = args.source;
+        
+        /**
+         * The options passed to the databridge's fetch function that initiated
+         * the request.
+         * @private
+         * @type {Object}
+         */
+        this._fetchOptions = args.fetchOptions;
+		
+		/**
+         * The path to the data fetcher to use for the request. A blank array
+         * should be passed for datasources that only define a single data
+         * fetcher.
+         * @private
+         * @type {DatabridgeName[]}
+         */
+        this._fetcherPath = args.fetcherPath;
+        
+        /**
+         * The parameters passed to the datasource's fetcher callback.
+         * @private
+         * @type {Array}
+         */
+        this._fetcherParams = args.fetcherParams;
+        
+        /**
+         * The time the request was submitted to the bridge at.
+         * @private
+         * @type {ISO8601}
+         */
+        this._timestamp = args.timestamp;
+    }
+    
+    /**
+     * A read-only accessor for a reference to the databridge the request was
+     * submitted to.
+     * @returns {Databridge}
+     */
+    databridge(){
+        return this._bridge;
+    }
+    
+    /**
+     * A read-only accessor for a reference to the datasource the request was
+     * submitted to.
+     * @returns {Datasource}
+     */
+    datasource(){
+        return this._source;
+    }
+    
+    /**
+     * A read-only accessor for a reference to the options passed to the
+     * databridge's fetch function.
+     * @returns {Object}
+     */
+    fetchOptions(){
+        return this._fetchOptions;
+    }
+	
+	/**
+     * A read-only accessor for a reference to the data fethcher path within
+     * the datasource for use within this request.
+     * @returns {Array}
+     */
+    fetcherPath(){
+        return this._fetcherPath;
+    }
+    
+    /**
+     * A read-only accessor for a reference to the parameters passed to the
+     * data fetcher callback.
+     * @returns {Array}
+     */
+    fetcherParams(){
+        return this._fetcherParams;
+    }
+    
+    /**
+     * A read-only accessor for the time the request was made at as an ISO8601
+     * string.
+     * @returns {ISO8601}
+     */
+    timestamp(){
+        return this._timestamp;
+    }
+}
+
+/**
+ * An alias for `.databridge()`.
+ * @returns {Databridge}
+ * @see {FetchRequest#databridge}
+ */
+FetchRequest.prototype.bridge = FetchRequest.prototype.databridge;
+
+/**
+ * An alias for `.datasource()`.
+ * @returns {Datasource}
+ * @see {FetchRequest#datasource}
+ */
+FetchRequest.prototype.source = FetchRequest.prototype.datasource;
+
+/**
+ * An alias for `.fetchOptions()`.
+ * @returns {Object}
+ * @see {FetchRequest#fetchOptions}
+ */
+FetchRequest.prototype.options = FetchRequest.prototype.fetchOptions;
+
+/**
+ * An alias for `.fetcherPath()`.
+ * @returns {Array}
+ * @see {FetchRequest#fetcherPath}
+ */
+FetchRequest.prototype.path = FetchRequest.prototype.fetcherPath;
+
+/**
+ * An alias for `.fetcherParams()`.
+ * @returns {Array}
+ * @see {FetchRequest#fetcherParams}
+ */
+FetchRequest.prototype.params = FetchRequest.prototype.fetcherParams;
+
+//
+//=== Define the FetchResponse class ===========================================
+//
+
+/**
+ * A class representing both data returned from a request to a datasource, and
+ * its matching metadata.
+ *
+ * The metadata consists of name-value pairs, and may include the following:
+ * * `streamName` - the passed or generated stream name used for the request as
+ *   a string.
+ * * `cacheRead` - only present if the data in the response was read from a
+ *   cache. If present, will be a plain object indexed by:
+ *   * `path` - the location the cache was read from as a string. For
+ *     file-based cache stores this is the path to the cache file.
+ *   * `timestamp` - the time the cached data was written to the cache as an
+ *     ISO8601 string.
+ *   * `tier` - `memory` if the data was read from the databridge's in-process
+ *     memory tier, or `store` if it was read from the cache store.
+ * * `stale` - only present if the data in the response was read from an
+ *   expired cache, either within the stale-while-revalidate window, or
+ *   because fetching fresh data failed within the stale-if-error limit, in
+ *   which case it will be `true`.
+ * * `refreshPromise` - only present along with `stale`. A promise that
+ *   resolves to the refreshed data once the stream has been re-fetched and
+ *   re-cached in the background, or rejects if the refresh fails.
+ * * `fetchError` - only present if fetching fresh data failed and expired
+ *   cached data was returned instead. The error thrown or rejected with.
+ * * `cacheAge` - only present along with `fetchError`. The age of the
+ *   returned cached data in milliseconds.
+ * * `cacheReadError` - only present if an existing cache could not be read,
+ *   e.g. because it was corrupt, or because it was encrypted and could not be
+ *   decrypted. In this situation the cache is treated as a miss. If present,
+ *   will be a plain object indexed by:
+ *   * `path` - the location of the cache that could not be read as a string.
+ *   * `message` - a description of the problem as a string.
+ * * `joinedInFlight` - only present if the data was not fetched for this
+ *   response, but by a concurrent fetch of the same stream that was already
+ *   in flight, in which case it will be `true`.
+ * * `queueWait` - only present if the data was fetched from a datasource
+ *   with a `maxConcurrency` option. The time in milliseconds the data fetcher
+ *   call spent queued waiting for a free slot.
+ * * `rateLimitWait` - only present if the data was fetched from a datasource
+ *   with a `rateLimiter` option. The time in milliseconds the data fetcher
+ *   call spent waiting for the rate limiter.
+ * * `rateLimited` - only present if the datasource's rate limit was
+ *   exhausted and expired cached data was returned instead of waiting, in
+ *   which case it will be `true`, and `fetchError` will be the
+ *   {@link RateLimitError}.
+ * * `attempts` - only present if the data was fetched from a datasource with
+ *   a `retry` option. The number of data fetcher attempts made.
+ * * `attemptErrors` - only present if the data was fetched from a datasource
+ *   with a `retry` option. An array of the errors the failed attempts
+ *   rejected with, in order.
+ * * `circuitOpen` - only present if the datasource's circuit breaker was open
+ *   and expired cached data was returned instead, in which case it will be
+ *   `true`, and `fetchError` will be the {@link CircuitOpenError}.
+ * * `timedOut` - only present if the request timed out, either during the
+ *   data fetcher call, or while waiting for the stream's cache lock or for a
+ *   joined fetch, in which case it will be `true` and the data promise rejects
+ *   with a {@link TimeoutError}.
+ * * `noStore` - only present if the data fetcher returned the data with a
+ *   [no-store directive]{@link CacheDirectives}, in which case it will be
+ *   `true` and the data will not have been cached.
+ * * `cacheWrite` - only present if the response was written to a cache file. If
+ *   present, will be a plain object indexed by:
+ *   * `path` - the location the data was cached to, e.g. the path to the
+ *     cache file
+ *   * `timestamp` - the time the data was cached at as an ISO8601 string.
+ */
+class FetchResponse{
+    /**
+     * @param {FetchRequest} request - A reference to the data fetch
+     * request object this response answers.
+     * @param {Object} [meta] - an object contaning metadata
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    constructor(){
+        let args = validateParams.a(arguments, [
+            {
+                vpopt_name: 'request',
+                defined: true,
+                isInstanceof: [FetchRequest]
+            },
+            {
+                paramOptions: {
+                    name: 'meta',
+                    defaultWhenUndefined: {}
+                },
+                defined: true,
+                dictionary: true
+            }
+        ]);
+        
+        /**
+         * The request this response is a reply to.
+         * @private
+         * @type {FetchRequest}
+         */
+        this._request = args.request;
+        
+        /**
+         * A promise of the data returned from the datasource.
+         * @private
+         * @type {Promise}
+         */
+        this._dataPromise = undefined;
+        
+        /**
+         * The metadata associated with this response
+         * @private
+         * @type {Object}
+         */
+        this._meta = args.meta;
+    }
+    
+    /**
+     * A read-only accessor for the request this response is related to.
+     * @returns {FetchRequest}
+     */
+    request(){
+        return this._request;
+    }
+    
+    /**
+     * A read/write accessor for the promise of the data associated with this
+     * response.
+     * @param {Promise} [dataPromise] - if present, this function will behave as
+     * a setter.
+     * @returns {Promise} Regardless of whether or not a new promise was passed,
+     * if there is a current data promise it will be returned, otherwise,
+     * `undefined` will be returned.
+     * @throws {TypeError} a type error is thrown if a parameter is passed and
+     * it's not a promise.
+     */
+    dataPromise(dataPromise){
+        if(validate.isDefined(dataPromise) && !validate.isPromise(dataPromise)){
+            throw new TypeError('if present, the first parameter must be a promise');
+        }
+        
+        // set if needed
+        if(arguments.length >= 1){
+            this._dataPromise = dataPromise;
+        }
+        
+        // return current value
+        return this._dataPromise;
+    }
+    
+    /**
+     * A read/write accessor for individual pieces of metadata associated with
+     * this response.
+     * @param {string} metaName - the name of desired piece of metadata.
+     * @param {*} [newVal] - if present, will set the value of the requested
+     * piece of metadata to this value.
+     * @returns - always returns the current value for a given metadata name,
+     * which could be `undefined`.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    meta(){
+        let args = validateParams.a(arguments, [
+            {
+                vpopt_name: 'metaName',
+                presence: true,
+                hasTypeof: 'string'
+            },
+            {
+                vpopt_name: 'newVal'
+            }
+        ]);
+        
+        // set of needed
+        if(arguments.length >= 2){
+            this._meta[args.metaName] = args.newVal;
+        }
+        
+        // always return
+        return this._meta[args.metaName];
+    }
+    
+    /**
+     * A read-only accessor method to get all metadata. A shallow copy is
+     * returned.
+     * @returns {Object}
+     * @see external:validateParams.shallowCopy
+     */
+    allMeta(){
+        return validateParams.shallowCopy(this._meta);
+    }
+}
+
+//
+//=== Define the CacheDirectives class =========================================
+//
+
+/**
+ * A class for wrapping the data returned by a
+ * [data fetcher]{@link DataFetcherCallback} with directives controlling how
+ * the databridge caches it, similar to HTTP `Cache-Control` response headers.
+ * The directives take precedence over the TTLs and expiry schedules defined
+ * on the databridge, datasource, and data fetcher.
+ *
+ * Only the wrapped data is returned to the caller. Data fetchers that return
+ * plain values are cached as normal.
+ *
+ * @example
+ * const cjdb = require('@maynoothuniversity/caching-json-databridge');
+ * let ratesDS = new cjdb.Datasource(function(){
+ *   return fetchRates().then(function(res){
+ *     return new cjdb.CacheDirectives(res.rates, { expiresAt: res.validUntil, tags: ['rates'] });
+ *   });
+ * });
+ */
+class CacheDirectives{
+    /**
+     * @param {*} data - the data returned by the data fetcher.
+     * @param {PlainObject} [directives={}] - a plain object of directives.
+     * @param {Duration} [directives.ttl] - the TTL for the cached data.
+     * @param {Date|ISO8601} [directives.expiresAt] - the time the cached data
+     * expires at. Takes precedence over `directives.ttl`.
+     * @param {boolean} [directives.noStore=false] - a truthy value prevents
+     * the data being written to the cache.
+     * @param {string[]} [directives.tags=[]] - tags to store with the cached
+     * data, which can be used to invalidate it with
+     * [Databridge#invalidateTag()]{@link Databridge#invalidateTag}.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    constructor(){
+        let args = validateParams.assert(arguments, [
+            {
+                vpopt_name: 'data',
+                defined: true
+            },
+            {
+                paramOptions: {
+                    name: 'directives',
+                    defaultWhenUndefined: {},
+                    coerce: function(v){
+                        if(validate.isObject(v)){
+                            v.noStore = v.noStore ? true : false;
+                            if(!validate.isDefined(v.tags)) v.tags = [];
+                            if(validate.isDate(v.expiresAt)) v.expiresAt = v.expiresAt.toISOString();
+                        }
+                        return v;
+                    }
+                },
+                dictionary: {
+                    mapConstraints: {
+                        ttl: {
+                            duration: { positive: true }
+                        },
+                        expiresAt: {
+                            iso8601: true
+                        },
+                        noStore: {
+                            hasTypeof: 'boolean'
+                        },
+                        tags: {
+                            list: {
+                                valueConstraints: {
+                                    presence: true,
+                                    hasTypeof: 'string'
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        ]);
+        
+        /**
+         * The wrapped data.
+         * @private
+         * @type {*}
+         */
+        this._data = args.data;
+        
+        /**
+         * The directives.
+         * @private
+         * @type {PlainObject}
+         */
+        this._directives = args.directives;
+    }
+    
+    /**
+     * A read-only accessor for the wrapped data.
+     * @returns {*}
+     */
+    data(){
+        return this._data;
+    }
+    
+    /**
+     * A read-only accessor for the TTL directive.
+     * @returns {Duration} the TTL, or `undefined`.
+     */
+    ttl(){
+        return this._directives.ttl;
+    }
+    
+    /**
+     * A read-only accessor for the expiry time directive.
+     * @returns {ISO8601} the expiry time, or `undefined`.
+     */
+    expiresAt(){
+        return this._directives.expiresAt;
+    }
+    
+    /**
+     * A read-only accessor for the no-store directive.
+     * @returns {boolean}
+     */
+    noStore(){
+        return this._directives.noStore;
+    }
+    
+    /**
+     * A read-only accessor for the tags directive. A shallow copy is returned.
+     * @returns {string[]}
+     */
+    tags(){
+        return [...this._directives.tags];
+    }
+}
+
+//
+//=== Define the Private (not exported) DataCache class ========================
+//
+
+/**
+ * A private class to represent cached data.
+ * 
+ * @private
+ */
+class DataCache{
+    /**
+     * @param {DatabridgeNamePath} sourcePath
+     * @param {DatabridgeName} streamName
+     * @param {ISO8601} timestamp
+     * @param {PlainObject} data
+     * @param {string} [filePath]
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    constructor(){
+        let args = validateParams.assert(arguments, [
+			{
+				vpopt_name: 'sourcePath',
+				presence: true,
+				namePath: true
+			},
+            validateParams.extendObject({ vpopt_name: 'streamName', presence: true }, vpCons.databridgeName),
+            {
+                vpopt_name: 'timestamp',
+                iso8601: true,
+                presence: true
+            },
+            {
+                vpopt_name: 'data',
+                defined: true
+            },
+            {
+                vpopt_name: 'filePath',
+                hasTypeof: 'string'
+            }
+        ]);
+        
+        /**
+         * The name of the datasource the cached data belongs to.
+         * @type {DatabridgeName}
+         */
+        this._datasourceName = validate.isString(args.sourcePath) ? args.sourcePath : args.sourcePath[0];
+		
+		/**
+		 * The path to the fetcher within the datasource the cached data
+		 * belongs to.
+		 * @type {DatabridgeName[]}
+		 */
+		this._dataFetcherPath = [];
+		if(validate.isArray(args.sourcePath)){
+			for(let i = 1; i < args.sourcePath.length; i++){
+				this._dataFetcherPath.push(args.sourcePath[i]);
+			}
+		}
+        
+        /**
+         * The name of the datastream within the datasource the cached data
+         * belongs to.
+         * @type {DatabridgeName}
+         */
+        this._datastreamName = args.streamName;
+        
+        /**
+         * The time the data was cached at.
+         * @type {ISO8601}
+         */
+        this._timestamp = args.timestamp;
+        
+        /**
+         * The data to be cached.
+         * @type {*}
+         */
+        this._data = args.data;
+        
+        /**
+         * The path to the JSON file for the cache on disk.
+         * @type {string}
+         */
+        this._filePath = '';
+        if(!validate.isEmpty(args.filePath)){
+            this._filePath = args.filePath;
+        }
+        
+        /**
+         * The cache tier the data was read from, if any.
+         * @type {string}
+         */
+        this._tier = '';
+        
+        /**
+         * Whether or not the cached data is pinned, i.e. exempt from eviction
+         * when enforcing cache size quotas.
+         * @type {boolean}
+         */
+        this._pinned = false;
+        
+        /**
+         * The cache directives returned by the data fetcher with the data,
+         * indexed by `ttl`, `expiresAt`, and `tags`.
+         * @type {PlainObject}
+         */
+        this._directives = {};
+    }
+    
+    /**
+     * A read-only accessor for the datasource name.
+     * @returns {DatabridgeName}
+     */
+    datasourceName(){
+        return this._datasourceName;
+    }
+    
+    /**
+     * A read-only accessor for the datasource name.
+     * @returns {DatabridgeName}
+     */
+    sourceName(){
+        return this._datasourceName;
+    }
+	
+	/**
+	 * A read-only accessor for the data fetcher path.
+	 * @returns {DatabridgeName[]}
+	 */
+	dataFetcherPath(){
+		return this._dataFetcherPath;
+	}
+	
+	/**
+	 * A read-only accessor for the data fetcher path.
+	 * @returns {DatabridgeName[]}
+	 */
+	fetcherPath(){
+		return this._dataFetcherPath;
+	}
+	
+	/**
+	 * A utility function to return the full path to the data fetcher (source
+	 * name and fetcher path).
+	 * @returns {DatabridgeName[]}
+	 */
+	datasourcePath(){
+		return [this._datasourceName, ...this._dataFetcherPath];
+	}
+    
+    /**
+     * A read-only accessor for the datastream name.
+     * @returns {DatabridgeName}
+     */
+    datastreamName(){
+        return this._datastreamName;
+    }
+    
+    /**
+     * A read-only accessor for the datastream name.
+     * @returns {DatabridgeName}
+     */
+    streamName(){
+        return this._datastreamName;
+    }
+    
+    /**
+     * A read-only accessor for the cache's timestamp.
+     * @returns {ISO8601}
+     */
+    timestamp(){
+        return this._timestamp;
+    }
+    
+    /**
+     * A read-only accessfor for the cache's data.
+     * @returns {*}
+     */
+    data(){
+        return this._data;
+    }
+    
+    /**
+     * A read & write accessor for the cache file path.
+     * @returns {string}
+     * @throws {valdiateParams.ValidationError} throws a validation error if
+     * passed invalid parameters.
+     */
+    filePath(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'filePath',
+            hasTypeof: 'string'
+        }]);
+        
+        // set if appropriate
+        if(arguments.length >= 1){
+            this._filePath = validate.isEmpty(args.filePath) ? '' : args.filePath;
+        }
+        
+        // always return the current value
+        return this._filePath;
+    }
+    
+    /**
+     * A read & write accessor for the cache tier the data was read from -
+     * `memory` for the in-process memory tier, `store` for the cache store, or
+     * an empty string if the data was not read from a cache.
+     * @returns {string}
+     * @throws {valdiateParams.ValidationError} throws a validation error if
+     * passed invalid parameters.
+     */
+    tier(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'tier',
+            inclusion: ['', 'memory', 'store']
+        }]);
+        
+        // set if appropriate
+        if(arguments.length >= 1){
+            this._tier = args.tier;
+        }
+        
+        // always return the current value
+        return this._tier;
+    }
+    
+    /**
+     * A read & write accessor for whether or not the cached data is pinned,
+     * i.e. exempt from eviction when enforcing cache size quotas.
+     * @returns {boolean}
+     * @throws {valdiateParams.ValidationError} throws a validation error if
+     * passed invalid parameters.
+     */
+    pinned(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'pinned',
+            hasTypeof: 'boolean'
+        }]);
+        
+        // set if appropriate
+        if(arguments.length >= 1){
+            this._pinned = args.pinned;
+        }
+        
+        // always return the current value
+        return this._pinned;
+    }
+    
+    /**
+     * A read & write accessor for the cache directives returned by the data
+     * fetcher with the data. A shallow copy is returned.
+     * @returns {PlainObject} a plain object optionally indexed by `ttl`,
+     * `expiresAt`, and `tags`.
+     * @throws {valdiateParams.ValidationError} throws a validation error if
+     * passed invalid parameters.
+     * @see CacheDirectives
+     */
+    directives(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'directives',
+            dictionary: {
+                mapConstraints: {
+                    ttl: { duration: { positive: true } },
+                    expiresAt: { iso8601: true },
+                    tags: { list: { valueConstraints: { presence: true, hasTypeof: 'string' } } }
+                }
+            }
+        }]);
+        
+        // set if appropriate
+        if(arguments.length >= 1){
+            this._directives = {};
+            for(let name of ['ttl', 'expiresAt', 'tags']){
+                if(validate.isDefined(args.directives[name])) this._directives[name] = args.directives[name];
+            }
+        }
+        
+        // always return the current value
+        return validateParams.shallowCopy(this._directives);
+    }
+    
+    /**
+     * An instance function to check if the cached data is still valid for a
+     * given TTL.
+     *
+     * @param {Duration} ttl - a TTL, numbers are interpreted as minutes.
+     * @param {moment} [now] - the current time, defaults to the system time.
+     * @returns {boolean}
+     */
+    isWithinTTL(ttl, now){
+        now = now ? moment(now) : moment();
+        var cachedAt = moment(this.timestamp());
+        
+        // if the cached date is in the future, return false
+        if(cachedAt.isAfter(now)) return false;
+        
+        // get the age of the cache in milliseconds
+        var ageMs = Math.abs(now.diff(cachedAt));
+        
+        // return as appropriate
+        return ageMs <= durationToMilliseconds(ttl) ? true : false;
+    }
+    
+    /**
+     * A function to return a plain object representing the cache data for
+     * serialisation to disk.
+     *
+     * @returns {PlainObject}
+     */
+    asJsonObject(){
+        return {
+            datasourceName: this.sourceName(),
+			dataFetcherPath: this.fetcherPath(),
+            datastreamName: this.streamName(),
+            timestamp: this.timestamp(),
+            pinned: this.pinned(),
+            directives: validate.isEmpty(this._directives) ? undefined : this.directives(),
+            data: this.data()
+        };
+    }
+}
+
+/**
+ * An alias for `.datasourcePath()`.
+ * @see DataCache#datasourcePath
+ */
+DataCache.prototype.sourcePath = DataCache.prototype.datasourcePath;
+
+/**
+ * An alias for `.filePath()`.
+ * @see DataCache#filePath
+ */
+DataCache.prototype.path = DataCache.prototype.filePath;
+
+/**
+ * A static factory method to build a cache object from JSON data read from a
+ * cache file on disk.
+ * 
+ * @param {PlainObject} cacheObj - the JSON data loaded from a cache on disk.
+ * @param {string} cacheObj.datasourceName
+ * @param {string[]} cacheObj.dataFetcherPath
+ * @param {string} cacheObj.datastreamName
+ * @param {string} cacheObj.timestamp
+ * @param {boolean} [cacheObj.pinned=false]
+ * @param {PlainObject} [cacheObj.directives]
+ * @param {*} cacheObj.data
+ * @throws {external:validateParams.ValidationError} a validation error is
+ * thrown if parameter validation fails.
+ */
+DataCache.fromJsonObject = function(){
+    let args = validateParams.assert(arguments, [{
+        vpopt_name: 'cacheObj',
+        defined: true,
+        dictionary: {
+            mapConstraints: {
+                datasourceName: { presence: true, hasTypeof: 'string' },
+				dataFetcherPath: {
+					defined: true,
+					list: { valueConstraints: { hasTypeof: 'string' } }
+				},
+                datastreamName: { presence: true, hasTypeof: 'string' },
+                timestamp: { presence: true, iso8601: true },
+                pinned: { hasTypeof: 'boolean' },
+                directives: { hasTypeof: 'object' },
+                data: { defined: true }
+            }
+        }
+    }]);
+    let cache = new DataCache(
+        [args.cacheObj.datasourceName, ...args.cacheObj.dataFetcherPath],
+        args.cacheObj.datastreamName,
+        args.cacheObj.timestamp,
+        args.cacheObj.data
+    );
+    if(args.cacheObj.pinned) cache.pinned(true);
+    if(args.cacheObj.directives) cache.directives(args.cacheObj.directives);
+    return cache;
+};
+
+//
+//=== Define the CacheEntry class ==============================================
+//
+
+/**
+ * A class providing a read-only view of a single entry in a databridge's
+ * cache. Instances are created by
+ * [Databridge#cacheEntries()]{@link Databridge#cacheEntries} and reflect the
+ * state of the cache at the time the entries were listed.
+ */
+class CacheEntry{
+    /**
+     * Not intended to be called directly.
+     *
+     * @param {DataCache} cache - the cached data.
+     * @param {number} size - the size of the entry within the cache store in
+     * bytes.
+     * @param {number} ttl - the TTL that applies to the entry in milliseconds.
+     * @param {number} age - the age of the entry in milliseconds.
+     * @param {boolean} withinTTL - whether or not the entry is within its TTL.
+     */
+    constructor(cache, size, ttl, age, withinTTL){
+        /**
+         * The cached data being described.
+         * @private
+         * @type {DataCache}
+         */
+        this._cache = cache;
+        
+        /**
+         * The size of the entry in bytes.
+         * @private
+         * @type {number}
+         */
+        this._size = size;
+        
+        /**
+         * The applicable TTL in milliseconds.
+         * @private
+         * @type {number}
+         */
+        this._ttl = ttl;
+        
+        /**
+         * The age of the entry in milliseconds.
+         * @private
+         * @type {number}
+         */
+        this._age = age;
+        
+        /**
+         * Whether or not the entry is within its TTL.
+         * @private
+         * @type {boolean}
+         */
+        this._withinTTL = withinTTL;
+    }
+    
+    /**
+     * A read-only accessor for the datasource name followed by the path to
+     * the data fetcher within the datasource.
+     * @returns {DatabridgeName[]}
+     */
+    datasourcePath(){
+        return this._cache.datasourcePath();
+    }
+    
+    /**
+     * A read-only accessor for the datasource name.
+     * @returns {DatabridgeName}
+     */
+    datasourceName(){
+        return this._cache.datasourceName();
+    }
+    
+    /**
+     * A read-only accessor for the path to the data fetcher within the
+     * datasource.
+     * @returns {DatabridgeName[]}
+     */
+    fetcherPath(){
+        return [...this._cache.fetcherPath()];
+    }
+    
+    /**
+     * A read-only accessor for the stream name.
+     * @returns {DatabridgeName}
+     */
+    streamName(){
+        return this._cache.streamName();
+    }
+    
+    /**
+     * A read-only accessor for the time the data was cached at.
+     * @returns {ISO8601}
+     */
+    timestamp(){
+        return this._cache.timestamp();
+    }
+    
+    /**
+     * A read-only accessor for the age of the entry in milliseconds.
+     * @returns {number}
      */
-    option(){
-        let args = validateParams.assert(arguments, [{
-            vpopt_name: 'optionName',
-            presence: true,
-            hasTypeof: 'string'
-        }]);
-        return this._options[args.optionName];
+    age(){
+        return this._age;
     }
     
     /**
-     * A function to execute the `dataFetcher` callback and return a promise for
-     * the data it will produce.
-     *
-     * @param {Array} [fetcherArgs=[]] - the arguments to pass to the fetcher
-     * functions as an array.
-     * @param {DatabridgeName[]} [callbackPath] - if this datasource has
-     * multiple data fetchers, this argument is required.
-     * @returns {Promise}
+     * A read-only accessor for the TTL that applies to the entry in
+     * milliseconds.
+     * @returns {number}
      */
-    fetchDataPromise(){
-        let args = validateParams.assert(arguments, [
-			{
-			    paramOptions: {
-			        name: 'fetcherArgs',
-			        defaultWhenUndefined: []
-			    },
-			    list: true
-			},
-			{
-				paramOptions: {
-					name: 'fetcherPath',
-					defaultWhenUndefined: []
-				},
-				list: { valueConstraints: vpCons.databridgeName }
-			}
-		]);
-		
-        // try invoke the relevant fetcher
-        let response = false;
-        try{
-            response = this.dataFetcher(args.fetcherPath).apply(this, args.fetcherArgs);
-        }catch(err){
-            throw new Error(`failed to execute fetcher with error: ${err.message}`); // TO DO - update error message for multiple fetchers
-        }
-        
-        // return a promise of the data
-        return validate.isPromise(response) ? response : Promise.resolve(response);
+    ttl(){
+        return this._ttl;
+    }
+    
+    /**
+     * A read-only accessor for whether or not the entry is within its TTL,
+     * i.e. whether or not it would be served from the cache.
+     * @returns {boolean}
+     */
+    isWithinTTL(){
+        return this._withinTTL;
+    }
+    
+    /**
+     * A read-only accessor for the tags stored with the entry by the data
+     * fetcher's [cache directives]{@link CacheDirectives}.
+     * @returns {string[]}
+     */
+    tags(){
+        return this._cache.directives().tags || [];
+    }
+    
+    /**
+     * A read-only accessor for whether or not the entry is pinned, i.e.
+     * exempt from eviction when enforcing cache size quotas.
+     * @returns {boolean}
+     */
+    isPinned(){
+        return this._cache.pinned();
+    }
+    
+    /**
+     * A read-only accessor for the size of the entry within the cache store
+     * in bytes. For file-based stores this is the size of the cache file.
+     * @returns {number}
+     */
+    size(){
+        return this._size;
+    }
+    
+    /**
+     * A read-only accessor for the location of the entry within the cache
+     * store, e.g. the path to the cache file.
+     * @returns {string}
+     */
+    path(){
+        return this._cache.filePath();
     }
 }
 
 /**
- * The default stream name generator function. This function attempts to always
- * ensure a unique stream name for all possible fetcher arguments.
- *
- * If no arguments are present, `main` is returned.
- *
- * If a single argument is present, and its string value would be valid as a
- * datasource name, then that value is returned (numbers get pre-fixed with
- * `n_` to make them valid).
- *
- * For all other values, an attempt is made to convert the fetcher arguments to
- * a JSON string, which is then converted to a hexidecimal MD5 hash. Not all
- * values can be converted to JSON, so this function could throw an error.
- *
- * @param {Array} dataFetcherParams - the parameters that will be passed to the
- * datafetcher as an array.
- * @param {PlainObject} fetchOptions - the options that were passed to
- * the call to [.fetchResponse()]{Databridge#fetchResponse} on the data bridge
- * to trigger the request this stream name is for.
- * @returns {DatabridgeName}
- * @throws {Error} An error is thrown if the function fails to convert the
- * given fetcher parameters to a stream name.
- * @see StreamNameGenerator
+ * An alias for `.datasourcePath()`.
+ * @returns {DatabridgeName[]}
+ * @see {CacheEntry#datasourcePath}
  */
-Datasource.defaultStreamNameGenerator = function(){
-	let args = validateParams.assert(arguments, [
-		{
-			paramOptions: {
-				name: 'fetcherParams',
-				defaultWhenUndefined: []
-			},
-			defined: true,
-			list: true
-		},
-		{
-			paramOptions: {
-				name: 'fetchOptions',
-				defaultWhenUndefined: {}
-			},
-			defined:  true,
-			dictionary: true
-		}
-	]);
-	
-	// if there are no parameters, return 'main'
-	if(args.fetcherParams.length === 0) return 'main';
-	
-	// if there is exactly 1 parameter, try use it
-	if(args.fetcherParams.length === 1){
-		return Datasource._valToNameString(args.fetcherParams[0]);
-	}
-	
-	// if all else fails, try return an MD5 of the JSON string for the parameters - could throw an error
-	return `p${args.fetcherParams.length}_` + stringToMD5Hex(JSON.stringify(args.fetcherParams));
-};
+CacheEntry.prototype.sourcePath = CacheEntry.prototype.datasourcePath;
+
+//
+//=== Define the Private (not exported) MemoryCacheTier class ==================
+//
 
 /**
- * A private helper function which attempts to convert a value into a string
- * for use in a stream name.
+ * A private class implementing a bounded in-process least-recently-used cache
+ * of {@link DataCache} objects which sits in front of a databridge's cache
+ * store.
+ *
+ * Data is held serialised as JSON, and a new {@link DataCache} object is
+ * built for each read, so changes made to the data returned by one read, or
+ * to the data passed when setting an entry, can't affect later reads.
  *
  * @private
- * @param {*} val - the value to convert.
- * @returns {string}
  */
-Datasource._valToNameString = function(val){
-	let valType = typeof val;
-	let prelimAns = '';
-	switch(valType){
-		case 'undefined':
-			return 'undef';
-		case 'boolean':
-			return String(val);
-		case 'number':
-			prelimAns = 'n_' + val; // could contain decimal point, minus sign, etc.
-			if(!validate.single(prelimAns, validateParams.extendObject({presence: true}, vpCons.databridgeName))){
-				return prelimAns;
-			}
-			return 'n_' + stringToMD5Hex(String(val));
-		case 'string':
-			if(val.length === 0) return 'emptyStr';
-			prelimAns = 's_' + val;
-			if(!validate.single(prelimAns, validateParams.extendObject({presence: true}, vpCons.databridgeName))){
-				return prelimAns;
-			}
-			return 's_' + stringToMD5Hex(val);
-		case 'object':
-			return 'o_' + stringToMD5Hex(JSON.stringify(val));
-		default:
-			throw new Error(`can't convert type '${valType}' to string`);
-	}
-};
+class MemoryCacheTier{
+    /**
+     * @param {number} maxEntries - the maximum number of entries to hold.
+     * @param {number} maxBytes - the maximum approximate total size of the
+     * entries to hold in bytes.
+     * @param {Clock} clock - the clock to time accesses with.
+     */
+    constructor(maxEntries, maxBytes, clock){
+        /**
+         * The maximum number of entries.
+         * @type {number}
+         */
+        this._maxEntries = maxEntries;
+        
+        /**
+         * The maximum total size in bytes.
+         * @type {number}
+         */
+        this._maxBytes = maxBytes;
+        
+        /**
+         * The clock to time accesses with.
+         * @type {Clock}
+         */
+        this._clock = clock;
+        
+        /**
+         * The entries indexed by cache key in least to most recently used
+         * order. Each holds a cache object with a frozen copy of the data.
+         * @type {Map<string, {cache: DataCache, size: number, accessed: number}>}
+         */
+        this._entries = new Map();
+        
+        /**
+         * The approximate total size of all entries in bytes.
+         * @type {number}
+         */
+        this._totalBytes = 0;
+    }
+    
+    /**
+     * Get the entry for a given key, marking it as the most recently used.
+     *
+     * @param {string} key
+     * @returns {DataCache} a new cache object with the frozen copy of the
+     * cached data made when the entry was added, or `undefined`.
+     */
+    get(key){
+        let entry = this._entries.get(key);
+        if(!entry) return undefined;
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        entry.accessed = this._clock.now();
+        let cache = new DataCache(entry.cache.sourcePath(), entry.cache.streamName(), entry.cache.timestamp(), entry.cache.data(), entry.cache.filePath());
+        cache.pinned(entry.cache.pinned());
+        cache.directives(entry.cache.directives());
+        return cache;
+    }
+    
+    /**
+     * Get the time the entry for a given key was last used.
+     *
+     * @param {string} key
+     * @returns {number} the time in milliseconds since the epoch, or
+     * `undefined` if there is no entry for the key.
+     */
+    lastAccessed(key){
+        let entry = this._entries.get(key);
+        return entry ? entry.accessed : undefined;
+    }
+    
+    /**
+     * Add or replace the entry for a given key, evicting the least recently
+     * used entries as needed to stay within the limits. Entries larger than
+     * the byte limit are not held. A frozen copy of the data is held, so later
+     * changes to the given data don't affect the entry.
+     *
+     * @param {string} key
+     * @param {DataCache} cache
+     * @param {number} size - the approximate size of the entry in bytes.
+     */
+    set(key, cache, size){
+        this.delete(key);
+        if(size > this._maxBytes) return;
+        let heldCache = new DataCache(cache.sourcePath(), cache.streamName(), cache.timestamp(), frozenCopy(cache.data()), cache.filePath());
+        heldCache.pinned(cache.pinned());
+        heldCache.directives(cache.directives());
+        this._entries.set(key, { cache: heldCache, size: size, accessed: this._clock.now() });
+        this._totalBytes += size;
+        while(this._entries.size > this._maxEntries || this._totalBytes > this._maxBytes){
+            this.delete(this._entries.keys().next().value);
+        }
+    }
+    
+    /**
+     * Remove the entry for a given key.
+     *
+     * @param {string} key
+     * @returns {boolean} `true` if an entry was removed.
+     */
+    delete(key){
+        let entry = this._entries.get(key);
+        if(!entry) return false;
+        this._totalBytes -= entry.size;
+        return this._entries.delete(key);
+    }
+    
+    /**
+     * The number of entries held.
+     *
+     * @returns {number}
+     */
+    size(){
+        return this._entries.size;
+    }
+    
+    /**
+     * The approximate total size of the entries held in bytes.
+     *
+     * @returns {number}
+     */
+    bytes(){
+        return this._totalBytes;
+    }
+}
+
+//
+//=== Define the Cache Store classes ===========================================
+//
 
 /**
- * A private helper function for converting a string to a Hexidecimal MD5 hash.
+ * A base class defining the interface all cache stores must implement. A cache
+ * store is a simple asynchronous key-value store for serialised cache data.
+ * Keys are strings made up of databridge names separated by periods, and
+ * values are buffers. All instance functions other than `.location()` return
+ * promises.
  *
- * @private
- * @param {string} str - the string to hash.
- * @returns {string}
+ * Custom stores should extend this class and override all its instance
+ * functions other than `.clock()`. Stores should record modification and
+ * access times by their [clock]{@link CacheStore#clock}, so they're
+ * consistent with the times the databridge reads.
+ *
+ * @see FileCacheStore
+ * @see MemoryCacheStore
  */
-function stringToMD5Hex(str){
-	return crypto.createHash('md5').update(str).digest('hex');
+class CacheStore{
+    constructor(){
+        /**
+         * The clock to read the current time from, if one has been given.
+         * @private
+         * @type {Clock}
+         */
+        this._clock = undefined;
+    }
+    
+    /**
+     * A read & write accessor for the clock the store reads the current time
+     * from when recording modification and access times. A databridge shares
+     * its clock with its cache store if the store doesn't have one of its own.
+     * @param {Clock} [clock] - a new clock.
+     * @returns {Clock|undefined} the clock, or `undefined` if none has been
+     * given, in which case the system time is used.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    clock(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'clock',
+            isInstanceof: [Clock]
+        }]);
+        
+        // set if appropriate
+        if(arguments.length >= 1) this._clock = args.clock;
+        
+        // always return the current value
+        return this._clock;
+    }
+    
+    /**
+     * A function to get the current time from the store's clock.
+     *
+     * @private
+     * @returns {number} the time in milliseconds since the epoch.
+     */
+    _now(){
+        return this._clock ? this._clock.now() : Date.now();
+    }
+    
+    /**
+     * Get the value stored with a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to the stored value as a
+     * buffer, or `undefined` if there is no value stored with the given key,
+     * and rejects if the store can't be read.
+     */
+    get(key){
+        return Promise.reject(new Error(`${this.constructor.name} does not implement .get()`));
+    }
+    
+    /**
+     * Store a value with a given key, replacing any existing value and its
+     * metadata.
+     *
+     * Stores should keep the metadata, if given, so it can be returned as the
+     * `meta` property of the value's {@link CacheStoreRecordInfo} without the
+     * value itself having to be read. Metadata must never be listed with a
+     * value other than the one it was stored with, even if a write fails part
+     * way through or races another write.
+     *
+     * @param {string} key
+     * @param {Buffer} value
+     * @param {PlainObject} [meta] - a small JSON-serialisable object
+     * describing the value.
+     * @returns {Promise} a promise that resolves to the location the value was
+     * stored at, and rejects if the value can't be stored.
+     */
+    put(key, value, meta){
+        return Promise.reject(new Error(`${this.constructor.name} does not implement .put()`));
+    }
+    
+    /**
+     * Remove the value stored with a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to `true` if a value was
+     * removed, `false` if there was no value stored with the given key, and
+     * rejects if the value can't be removed.
+     */
+    delete(key){
+        return Promise.reject(new Error(`${this.constructor.name} does not implement .delete()`));
+    }
+    
+    /**
+     * List the values in the store.
+     *
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheStoreRecordInfo} objects, and rejects if the store can't be
+     * read.
+     */
+    list(){
+        return Promise.reject(new Error(`${this.constructor.name} does not implement .list()`));
+    }
+    
+    /**
+     * Check whether or not there is a value stored with a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to a boolean.
+     */
+    has(key){
+        return this.get(key).then(function(value){
+            return validate.isDefined(value);
+        });
+    }
+    
+    /**
+     * Acquire an advisory lock on a given key. The databridge holds a lock on a
+     * stream's key while refreshing it so concurrent refreshes don't clobber
+     * each other.
+     *
+     * The default implementation does no locking - stores shared between
+     * processes should override it.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to a release function once
+     * the lock is held, and rejects if the lock can't be acquired. The release
+     * function returns a promise that resolves once the lock is released.
+     */
+    lock(key){
+        return Promise.resolve(function(){ return Promise.resolve(); });
+    }
+    
+    /**
+     * Describe the location a value with a given key is, or would be, stored
+     * at in a human-readable way.
+     *
+     * @param {string} key
+     * @returns {string}
+     */
+    location(key){
+        return `${this.constructor.name}:${key}`;
+    }
 }
 
-//
-//=== Define the FetchRequest class ============================================
-//
-
 /**
- * A class representing a request to fetch data from a datasource.
+ * A cache store that saves each value as a separate file within a folder. This
+ * is the default cache store. All file access is non-blocking.
+ *
+ * Files are named by appending `.json` to the key. Values are written to a
+ * temporary file which is then renamed into place, so readers never see
+ * partially written files. Locks are implemented as lock folders named by
+ * appending `.lock` to the cache file's name, so a single cache folder can be
+ * safely shared between processes.
  */
-class FetchRequest{
+class FileCacheStore extends CacheStore{
     /**
-     * @param {Databridge} bridge - a reference to the databridge the request
-     * was submitted to.
-     * @param {Datasource} source - the datasource the request was
-     * submitted on.
-     * @param {Object} fetchOptions - the options passed to the databridge when
-     * initiating the request.
-     * @param {DatabridgeName[]} fetcherPath - the path to the fetcher function
-     * within the datasource. Should be an empty array for datasources with
-     * just one data fetcher.
-     * @param {Array} fetcherParams - the parameters for the fetcher function.
-     * @param {ISO8601} timestamp - the time the request was submitted to the
-     * databridge at as an ISO8601 string.
+     * @param {PlainObject} [options] - a plain object defining configuration
+     * settings.
+     * @param {string} [options.cacheDir='./databridgeJsonCache'] - the path to
+     * the folder to store cache files in.
+     * @param {Duration} [options.lockTimeout={seconds: 10}] - the maximum time
+     * to wait for a lock.
+     * @param {Duration} [options.lockStaleAge={minutes: 1}] - the age after
+     * which a lock is assumed to have been abandoned by a crashed process and
+     * is removed. Held locks are touched at a third of this interval.
      * @throws {external:validateParams.ValidationError} a validation error is
      * thrown if parameter validation fails.
      */
     constructor(){
-        let args = validateParams.a(arguments, [
-            {
-                vpopt_name: 'bridge',
-                defined: true,
-                isInstanceof: [Databridge]
-            },
-            {
-                vpopt_name: 'source',
-                defined: true,
-                isInstanceOf: [Datasource]
-            },
-            {
-                vpopt_name: 'fetchOptions',
-                defined: true,
-                dictionary: true
-            },
-			{
-				vpopt_name: 'fetcherPath',
-				defined: true,
-				list: { valueConstraints: vpCons.databridgeName }
-			},
-            {
-                vpopt_name: 'fetcherParams',
-                defined: true,
-                list: true
+        super();
+        let args = validateParams.assert(arguments, [{
+            paramOptions: {
+                name: 'options',
+                defaultWhenUndefined: {},
+                coerce: function(v){
+                    if(validate.isObject(v)){
+                        if(typeof v.cacheDir === 'undefined') v.cacheDir = path.join('.', 'databridgeJsonCache');
+                        if(typeof v.lockTimeout === 'undefined') v.lockTimeout = { seconds: 10 };
+                        if(typeof v.lockStaleAge === 'undefined') v.lockStaleAge = { minutes: 1 };
+                    }
+                    return v;
+                }
             },
-            {
-                vpopt_name: 'timestamp',
-                presence: true,
-                iso8601: true
+            defined: true,
+            dictionary: {
+                mapConstraints: {
+                    cacheDir: {
+                        presence: true,
+                        folderExists: true
+                    },
+                    lockTimeout: {
+                        presence: true,
+                        duration: true
+                    },
+                    lockStaleAge: {
+                        presence: true,
+                        duration: { positive: true }
+                    }
+                }
             }
-        ]);
+        }]);
         
         /**
-         * The Databridge object that initiated the request.
+         * A plain object of option definitons.
          * @private
-         * @type {Databridge}
+         * @type {PlainObject}
          */
-        this._bridge = args.bridge;
+        this._options = args.options;
         
         /**
-         * The Datasource object the request was initiated on.
+         * The times values were last read by this store in milliseconds since
+         * the epoch by the store's clock, indexed by key.
          * @private
-         * @type {Datasource}
+         * @type {Map<string, number>}
          */
-        this._source = args.source;
+        this._accessed = new Map();
+    }
+    
+    /**
+     * A read-only accessor for the path to the folder cache files are stored
+     * in.
+     *
+     * @returns {string}
+     */
+    cacheDir(){
+        return this._options.cacheDir;
+    }
+    
+    /**
+     * Get the contents of the cache file for a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to the file's contents as a
+     * buffer, or `undefined` if the file does not exist, and rejects if the
+     * file exists but can't be read.
+     */
+    get(key){
+        let self = this;
+        return fs.readFile(this._filePath(key)).then(
+            function(value){
+                // record the access in memory, since file systems are often
+                // mounted without access time updates
+                self._accessed.set(key, self._now());
+                return value;
+            },
+            function(err){
+                if(err.code === 'ENOENT') return undefined;
+                throw err;
+            }
+        );
+    }
+    
+    /**
+     * Atomically write a value to the cache file for a given key. Metadata is
+     * then written to a sidecar file named by appending `.meta` to the cache
+     * file's name, or any existing sidecar file is removed if no metadata is
+     * given. The cache file's modification time is set by the store's clock.
+     *
+     * The sidecar file records the inode of the cache file it was written
+     * for, and is ignored by [.list()]{@link FileCacheStore#list} if the cache
+     * file has since been replaced, so metadata is never listed with the
+     * wrong value if a write fails part way through or races another write.
+     *
+     * @param {string} key
+     * @param {Buffer} value
+     * @param {PlainObject} [meta]
+     * @returns {Promise} a promise that resolves to the absolute path to the
+     * cache file, and rejects if the file can't be written.
+     */
+    put(key, value, meta){
+        let self = this;
+        let metaPath = this._metaPath(key);
         
-        /**
-         * The options passed to the databridge's fetch function that initiated
-         * the request.
-         * @private
-         * @type {Object}
-         */
-        this._fetchOptions = args.fetchOptions;
-		
-		/**
-         * The path to the data fetcher to use for the request. A blank array
-         * should be passed for datasources that only define a single data
-         * fetcher.
-         * @private
-         * @type {DatabridgeName[]}
-         */
-        this._fetcherPath = args.fetcherPath;
+        // write to a temporary file and rename it into place, resolving to
+        // the inode of the written file
+        let writeAtomically = function(filePath, data){
+            let tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            let ino;
+            return fs.writeFile(tmpPath, data).then(function(){
+                let now = new Date(self._now());
+                return fs.utimes(tmpPath, now, now);
+            }).then(function(){
+                return fs.stat(tmpPath);
+            }).then(function(stats){
+                ino = stats.ino;
+                return fs.rename(tmpPath, filePath);
+            }).then(
+                function(){
+                    return ino;
+                },
+                function(err){
+                    return fs.remove(tmpPath).then(function(){ throw err; });
+                }
+            );
+        };
+        return writeAtomically(this._filePath(key), value).then(function(ino){
+            if(!meta) return fs.remove(metaPath);
+            return writeAtomically(metaPath, JSON.stringify({ ino: ino, meta: meta }));
+        }).then(function(){
+            return self.location(key);
+        });
+    }
+    
+    /**
+     * Delete the cache file for a given key, along with its metadata file.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to `true` if a file was
+     * deleted, `false` if there was no file to delete, and rejects if the file
+     * exists but can't be deleted.
+     */
+    delete(key){
+        let self = this;
+        this._accessed.delete(key);
+        return fs.unlink(this._filePath(key)).then(
+            function(){
+                return fs.remove(self._metaPath(key)).then(function(){ return true; });
+            },
+            function(err){
+                if(err.code === 'ENOENT') return fs.remove(self._metaPath(key)).then(function(){ return false; });
+                throw err;
+            }
+        );
+    }
+    
+    /**
+     * List the cache files in the cache folder, along with the contents of
+     * their metadata files. Files without a `.json` extension are ignored, as
+     * are metadata files that can't be parsed or were written for a previous
+     * version of their cache file. Files are considered accessed when last
+     * read by this store, or when last written if later. File system access
+     * times are not used, since they're not read from the store's clock, and
+     * file systems are often mounted without access time updates.
+     *
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheStoreRecordInfo} objects, and rejects if the cache folder
+     * can't be read.
+     */
+    list(){
+        let self = this;
+        return fs.readdir(this.cacheDir()).then(function(fileNames){
+            let keys = fileNames.filter(function(fileName){
+                return fileName.endsWith('.json');
+            }).map(function(fileName){
+                return fileName.slice(0, -5);
+            });
+            return Promise.all(keys.map(function(key){
+                return fs.stat(self._filePath(key)).then(
+                    function(stats){
+                        if(!stats.isFile()) return undefined;
+                        let info = {
+                            key: key,
+                            location: self.location(key),
+                            size: stats.size,
+                            lastModified: stats.mtime.toISOString(),
+                            lastAccessed: new Date(Math.max(stats.mtimeMs, self._accessed.get(key) || 0)).toISOString()
+                        };
+                        return fs.readFile(self._metaPath(key), 'utf8').then(JSON.parse).then(
+                            function(sidecar){
+                                if(validateParams.isPlainObject(sidecar) && sidecar.ino === stats.ino && validateParams.isPlainObject(sidecar.meta)){
+                                    info.meta = sidecar.meta;
+                                }
+                                return info;
+                            },
+                            function(){
+                                return info; // no usable metadata
+                            }
+                        );
+                    },
+                    function(err){
+                        if(err.code === 'ENOENT') return undefined; // removed since the folder was read
+                        throw err;
+                    }
+                );
+            }));
+        }).then(function(infos){
+            return infos.filter(validate.isDefined);
+        });
+    }
+    
+    /**
+     * Check whether or not a cache file exists for a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to a boolean.
+     */
+    has(key){
+        return fs.pathExists(this._filePath(key));
+    }
+    
+    /**
+     * Acquire the lock for a given key, waiting for up to the lock timeout for
+     * any other holder to release it.
+     *
+     * A lock is a folder named by appending `.lock` to the cache file's name,
+     * containing an owner file named with a token unique to the holder. The
+     * folder is prepared under a temporary name and renamed into place, so it
+     * never exists without an owner file, and renaming fails if the lock is
+     * already held.
+     *
+     * Owner files older than the lock stale age by the store's clock are
+     * assumed to have been abandoned, so while the lock is held its owner
+     * file is touched regularly to show it's still in use. The lock timeout
+     * is a real time limit on waiting, so it's not measured by the clock.
+     *
+     * A stale lock is removed by deleting its owner file by name, which fails
+     * if it has since been replaced by a live lock, and then the then empty
+     * folder.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to a release function once
+     * the lock is held, and rejects if the lock can't be acquired before the
+     * lock timeout passes.
+     */
+    lock(key){
+        let self = this;
+        let lockPath = this._filePath(key) + '.lock';
+        let token = `${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+        let ownerPath = path.join(lockPath, token);
+        let tmpPath = `${lockPath}.${token}.tmp`;
+        let staleAge = durationToMilliseconds(this._options.lockStaleAge);
+        let deadline = Date.now() + durationToMilliseconds(this._options.lockTimeout);
+        let heartbeat = undefined;
         
-        /**
-         * The parameters passed to the datasource's fetcher callback.
-         * @private
-         * @type {Array}
-         */
-        this._fetcherParams = args.fetcherParams;
+        // remove a lock's owner file, and then its folder unless another lock
+        // has replaced it in the meantime - resolves to whether or not the
+        // owner file was removed
+        let removeLock = function(owner){
+            return fs.unlink(path.join(lockPath, owner)).then(
+                function(){
+                    return fs.rmdir(lockPath).catch(function(){}).then(function(){ return true; });
+                },
+                function(err){
+                    if(err.code === 'ENOENT') return false;
+                    throw err;
+                }
+            );
+        };
+        let release = function(){
+            clearInterval(heartbeat);
+            return removeLock(token).then(function(){});
+        };
+        
+        // keep the owner file's modification time fresh while the lock is held
+        let hold = function(){
+            heartbeat = setInterval(function(){
+                let now = new Date(self._now());
+                fs.utimes(ownerPath, now, now).catch(function(){}); // a lost lock is dealt with on release
+            }, Math.max(Math.floor(staleAge / 3), 1));
+            if(heartbeat.unref) heartbeat.unref();
+            return release;
+        };
+        
+        // wait for the lock to be released, or remove it if it's stale
+        let waitOrRemove = function(){
+            return fs.readdir(lockPath).then(function(owners){
+                if(owners.length === 0) return undefined; // being released, or replaced
+                return fs.stat(path.join(lockPath, owners[0])).then(function(stats){
+                    if(self._now() - stats.mtimeMs <= staleAge) return false;
+                    return removeLock(owners[0]).then(function(removed){
+                        if(removed) console.warn(`removed stale cache lock '${lockPath}'`);
+                        return removed;
+                    });
+                });
+            }).catch(function(err){
+                if(err.code === 'ENOENT') return undefined; // released since we tried
+                throw err;
+            }).then(function(changed){
+                if(changed !== false) return attempt();
+                if(Date.now() >= deadline){
+                    throw new Error(`timed out waiting for cache lock '${lockPath}'`);
+                }
+                return delay(FileCacheStore.lockRetryInterval).then(attempt);
+            });
+        };
+        
+        let attempt = function(){
+            return fs.rename(tmpPath, lockPath).then(
+                hold,
+                function(err){
+                    if(['ENOTEMPTY', 'EEXIST', 'EPERM'].indexOf(err.code) === -1) throw err;
+                    return waitOrRemove();
+                }
+            );
+        };
+        return fs.mkdir(tmpPath).then(function(){
+            return fs.writeFile(path.join(tmpPath, token), token);
+        }).then(function(){
+            let now = new Date(self._now());
+            return fs.utimes(path.join(tmpPath, token), now, now);
+        }).then(attempt).catch(function(err){
+            return fs.remove(tmpPath).then(function(){ throw err; });
+        });
+    }
+    
+    /**
+     * Get the absolute path to the cache file for a given key.
+     *
+     * @param {string} key
+     * @returns {string}
+     */
+    location(key){
+        return path.resolve(this._filePath(key));
+    }
+    
+    /**
+     * Generate the path to the cache file for a given key.
+     *
+     * @private
+     * @param {string} key
+     * @returns {string}
+     */
+    _filePath(key){
+        return path.join(this.cacheDir(), key + '.json');
+    }
+    
+    /**
+     * Generate the path to the metadata file for a given key.
+     *
+     * @private
+     * @param {string} key
+     * @returns {string}
+     */
+    _metaPath(key){
+        return this._filePath(key) + '.meta';
+    }
+}
+
+/**
+ * The interval in milliseconds between attempts to acquire a lock that's held
+ * by someone else.
+ * @type {number}
+ */
+FileCacheStore.lockRetryInterval = 25;
+
+/**
+ * A cache store that keeps all values in memory. The cache does not survive
+ * the process exiting, so this store is best suited to testing and
+ * short-lived scripts.
+ */
+class MemoryCacheStore extends CacheStore{
+    constructor(){
+        super();
         
         /**
-         * The time the request was submitted to the bridge at.
+         * The stored values indexed by key.
          * @private
-         * @type {ISO8601}
+         * @type {Map<string, {value: Buffer, meta: (PlainObject|undefined), modified: string, accessed: string}>}
          */
-        this._timestamp = args.timestamp;
+        this._values = new Map();
     }
     
     /**
-     * A read-only accessor for a reference to the databridge the request was
-     * submitted to.
-     * @returns {Databridge}
+     * Get the value stored with a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to a copy of the stored
+     * value, or `undefined`.
      */
-    databridge(){
-        return this._bridge;
+    get(key){
+        let record = this._values.get(key);
+        if(!record) return Promise.resolve(undefined);
+        record.accessed = new Date(this._now()).toISOString();
+        return Promise.resolve(Buffer.from(record.value));
     }
     
     /**
-     * A read-only accessor for a reference to the datasource the request was
-     * submitted to.
-     * @returns {Datasource}
-     */
-    datasource(){
-        return this._source;
+     * Store a copy of a value and its metadata with a given key.
+     *
+     * @param {string} key
+     * @param {Buffer} value
+     * @param {PlainObject} [meta]
+     * @returns {Promise} a promise that resolves to the location of the value.
+     */
+    put(key, value, meta){
+        let now = new Date(this._now()).toISOString();
+        this._values.set(key, {
+            value: Buffer.from(value),
+            meta: meta ? JSON.parse(JSON.stringify(meta)) : undefined,
+            modified: now,
+            accessed: now
+        });
+        return Promise.resolve(this.location(key));
     }
     
     /**
-     * A read-only accessor for a reference to the options passed to the
-     * databridge's fetch function.
-     * @returns {Object}
+     * Remove the value stored with a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to `true` if a value was
+     * removed.
      */
-    fetchOptions(){
-        return this._fetchOptions;
+    delete(key){
+        return Promise.resolve(this._values.delete(key));
     }
-	
-	/**
-     * A read-only accessor for a reference to the data fethcher path within
-     * the datasource for use within this request.
-     * @returns {Array}
+    
+    /**
+     * List the stored values.
+     *
+     * @returns {Promise} a promise that resolves to an array of
+     * {@link CacheStoreRecordInfo} objects.
      */
-    fetcherPath(){
-        return this._fetcherPath;
+    list(){
+        let ans = [];
+        for(let [key, record] of this._values){
+            let info = {
+                key: key,
+                location: this.location(key),
+                size: record.value.length,
+                lastModified: record.modified,
+                lastAccessed: record.accessed
+            };
+            if(record.meta) info.meta = JSON.parse(JSON.stringify(record.meta));
+            ans.push(info);
+        }
+        return Promise.resolve(ans);
     }
     
     /**
-     * A read-only accessor for a reference to the parameters passed to the
-     * data fetcher callback.
-     * @returns {Array}
+     * Check whether or not a value is stored with a given key.
+     *
+     * @param {string} key
+     * @returns {Promise} a promise that resolves to a boolean.
      */
-    fetcherParams(){
-        return this._fetcherParams;
+    has(key){
+        return Promise.resolve(this._values.has(key));
     }
     
     /**
-     * A read-only accessor for the time the request was made at as an ISO8601
-     * string.
-     * @returns {ISO8601}
+     * Get the location of the value with a given key, i.e. the key prefixed
+     * with `memory:`.
+     *
+     * @param {string} key
+     * @returns {string}
      */
-    timestamp(){
-        return this._timestamp;
+    location(key){
+        return 'memory:' + key;
     }
 }
 
-/**
- * An alias for `.databridge()`.
- * @returns {Databridge}
- * @see {FetchRequest#databridge}
- */
-FetchRequest.prototype.bridge = FetchRequest.prototype.databridge;
-
-/**
- * An alias for `.datasource()`.
- * @returns {Datasource}
- * @see {FetchRequest#datasource}
- */
-FetchRequest.prototype.source = FetchRequest.prototype.datasource;
-
-/**
- * An alias for `.fetchOptions()`.
- * @returns {Object}
- * @see {FetchRequest#fetchOptions}
- */
-FetchRequest.prototype.options = FetchRequest.prototype.fetchOptions;
-
-/**
- * An alias for `.fetcherPath()`.
- * @returns {Array}
- * @see {FetchRequest#fetcherPath}
- */
-FetchRequest.prototype.path = FetchRequest.prototype.fetcherPath;
+//
+//=== Define the Error classes =================================================
+//
 
 /**
- * An alias for `.fetcherParams()`.
- * @returns {Array}
- * @see {FetchRequest#fetcherParams}
+ * An error thrown when a data fetcher call can't be queued because the
+ * datasource's queue is full.
+ *
+ * @extends Error
+ * @see Datasource#fetchDataPromise
  */
-FetchRequest.prototype.params = FetchRequest.prototype.fetcherParams;
-
-//
-//=== Define the FetchResponse class ===========================================
-//
+class QueueFullError extends Error{
+    /**
+     * @param {string} message
+     */
+    constructor(message){
+        super(message);
+        this.name = 'QueueFullError';
+    }
+}
 
 /**
- * A class representing both data returned from a request to a datasource, and
- * its matching metadata.
+ * An error thrown when a data fetcher call is rejected because the
+ * datasource's rate limit is exhausted.
  *
- * The metadata consists of name-value pairs, and may include the following:
- * * `streamName` - the passed or generated stream name used for the request as
- *   a string.
- * * `cacheRead` - only present if the data in the response was read from a
- *   cache. If present, will be a plain object indexed by:
- *   * `path` - the path to the file the cache was read from as a string.
- *   * `timestamp` - the time the cached data was written to the cache as an
- *     ISO8601 string.
- * * `cacheWrite` - only present if the response was written to a cache file. If
- *   present, will be a plain object indexed by:
- *   * `path` - the file the data was cached to
- *   * `timestamp` - the time the data was cached at as an ISO8601 string.
+ * @extends Error
+ * @see RateLimiter
  */
-class FetchResponse{
+class RateLimitError extends Error{
     /**
-     * @param {FetchRequest} request - A reference to the data fetch
-     * request object this response answers.
-     * @param {Object} [meta] - an object contaning metadata
-     * @throws {external:validateParams.ValidationError} a validation error is
-     * thrown if parameter validation fails.
+     * @param {string} message
+     * @param {number} retryAfter - the time in milliseconds until the rate
+     * limiter will next allow a call.
      */
-    constructor(){
-        let args = validateParams.a(arguments, [
-            {
-                vpopt_name: 'request',
-                defined: true,
-                isInstanceof: [FetchRequest]
-            },
-            {
-                paramOptions: {
-                    name: 'meta',
-                    defaultWhenUndefined: {}
-                },
-                defined: true,
-                dictionary: true
-            }
-        ]);
-        
-        /**
-         * The request this response is a reply to.
-         * @private
-         * @type {FetchRequest}
-         */
-        this._request = args.request;
-        
-        /**
-         * A promise of the data returned from the datasource.
-         * @private
-         * @type {Promise}
-         */
-        this._dataPromise = undefined;
+    constructor(message, retryAfter){
+        super(message);
+        this.name = 'RateLimitError';
         
         /**
-         * The metadata associated with this response
-         * @private
-         * @type {Object}
+         * The time in milliseconds until the rate limiter will next allow a
+         * call.
+         * @type {number}
          */
-        this._meta = args.meta;
-    }
-    
-    /**
-     * A read-only accessor for the request this response is related to.
-     * @returns {FetchRequest}
-     */
-    request(){
-        return this._request;
+        this.retryAfter = retryAfter;
     }
-    
+}
+
+/**
+ * An error thrown when a data fetcher call does not complete within its
+ * timeout.
+ *
+ * @extends Error
+ */
+class TimeoutError extends Error{
     /**
-     * A read/write accessor for the promise of the data associated with this
-     * response.
-     * @param {Promise} [dataPromise] - if present, this function will behave as
-     * a setter.
-     * @returns {Promise} Regardless of whether or not a new promise was passed,
-     * if there is a current data promise it will be returned, otherwise,
-     * `undefined` will be returned.
-     * @throws {TypeError} a type error is thrown if a parameter is passed and
-     * it's not a promise.
+     * @param {string} message
+     * @param {number} timeout - the timeout that passed in milliseconds.
      */
-    dataPromise(dataPromise){
-        if(validate.isDefined(dataPromise) && !validate.isPromise(dataPromise)){
-            throw new TypeError('if present, the first parameter must be a promise');
-        }
+    constructor(message, timeout){
+        super(message);
+        this.name = 'TimeoutError';
         
-        // set if needed
-        if(arguments.length >= 1){
-            this._dataPromise = dataPromise;
-        }
-        
-        // return current value
-        return this._dataPromise;
+        /**
+         * The timeout that passed in milliseconds.
+         * @type {number}
+         */
+        this.timeout = timeout;
     }
-    
+}
+
+/**
+ * An error thrown when a data fetcher call is short-circuited because the
+ * datasource's circuit breaker is open.
+ *
+ * @extends Error
+ */
+class CircuitOpenError extends Error{
     /**
-     * A read/write accessor for individual pieces of metadata associated with
-     * this response.
-     * @param {string} metaName - the name of desired piece of metadata.
-     * @param {*} [newVal] - if present, will set the value of the requested
-     * piece of metadata to this value.
-     * @returns - always returns the current value for a given metadata name,
-     * which could be `undefined`.
-     * @throws {external:validateParams.ValidationError} a validation error is
-     * thrown if parameter validation fails.
+     * @param {string} message
+     * @param {number} retryAfter - the time in milliseconds until the circuit
+     * half-opens, zero if it's half-open and already being probed.
      */
-    meta(){
-        let args = validateParams.a(arguments, [
-            {
-                vpopt_name: 'metaName',
-                presence: true,
-                hasTypeof: 'string'
-            },
-            {
-                vpopt_name: 'newVal'
-            }
-        ]);
-        
-        // set of needed
-        if(arguments.length >= 2){
-            this._meta[args.metaName] = args.newVal;
-        }
+    constructor(message, retryAfter){
+        super(message);
+        this.name = 'CircuitOpenError';
         
-        // always return
-        return this._meta[args.metaName];
-    }
-    
-    /**
-     * A read-only accessor method to get all metadata. A shallow copy is
-     * returned.
-     * @returns {Object}
-     * @see external:validateParams.shallowCopy
-     */
-    allMeta(){
-        return validateParams.shallowCopy(this._meta);
+        /**
+         * The time in milliseconds until the circuit half-opens, zero if it's
+         * half-open and already being probed.
+         * @type {number}
+         */
+        this.retryAfter = retryAfter;
     }
 }
 
 //
-//=== Define the Private (not exported) DataCache class ========================
+//=== Define the RateLimiter class =============================================
 //
 
 /**
- * A private class to represent cached data.
- * 
- * @private
+ * A token bucket rate limiter for data fetcher calls. The bucket holds up to
+ * `burst` tokens, and is refilled continuously at a rate of `limit` tokens per
+ * `interval`. Each call takes one token.
+ *
+ * A single rate limiter can be shared between datasources that access the
+ * same provider by passing it to each as their `rateLimiter` option.
+ *
+ * @example
+ * const cjdb = require('@maynoothuniversity/caching-json-databridge');
+ * let providerLimit = new cjdb.RateLimiter({ limit: 60, interval: 'PT1M' });
+ * let usersDS = new cjdb.Datasource(fetchUsers, { rateLimiter: providerLimit });
+ * let groupsDS = new cjdb.Datasource(fetchGroups, { rateLimiter: providerLimit });
  */
-class DataCache{
+class RateLimiter{
     /**
-     * @param {DatabridgeNamePath} sourcePath
-     * @param {DatabridgeName} streamName
-     * @param {ISO8601} timestamp
-     * @param {PlainObject} data
-     * @param {string} [filePath]
+     * @param {PlainObject} options
+     * @param {number} options.limit - the number of calls allowed per
+     * interval.
+     * @param {Duration} [options.interval=1] - the interval, numbers are
+     * interpreted as minutes.
+     * @param {number} [options.burst] - the maximum number of calls allowed
+     * in quick succession, defaults to `options.limit`.
+     * @param {Clock} [options.clock] - the clock used to refill the bucket.
+     * Defaults to a clock reading the system time.
      * @throws {external:validateParams.ValidationError} a validation error is
      * thrown if parameter validation fails.
      */
     constructor(){
-        let args = validateParams.assert(arguments, [
-			{
-				vpopt_name: 'sourcePath',
-				presence: true,
-				namePath: true
-			},
-            validateParams.extendObject({ vpopt_name: 'streamName', presence: true }, vpCons.databridgeName),
-            {
-                vpopt_name: 'timestamp',
-                iso8601: true,
-                presence: true
-            },
-            {
-                vpopt_name: 'data',
-                defined: true
+        let args = validateParams.assert(arguments, [{
+            paramOptions: {
+                name: 'options',
+                coerce: function(v){
+                    if(validate.isObject(v)){
+                        if(typeof v.interval === 'undefined') v.interval = 1;
+                        if(typeof v.burst === 'undefined') v.burst = v.limit;
+                        if(typeof v.clock === 'undefined') v.clock = new Clock();
+                    }
+                    return v;
+                }
             },
-            {
-                vpopt_name: 'filePath',
-                hasTypeof: 'string'
+            presence: true,
+            dictionary: {
+                mapConstraints: {
+                    limit: {
+                        presence: true,
+                        hasTypeof: 'number',
+                        numericality: {
+                            greaterThan: 0
+                        }
+                    },
+                    interval: {
+                        presence: true,
+                        duration: { positive: true }
+                    },
+                    burst: {
+                        presence: true,
+                        hasTypeof: 'number',
+                        numericality: {
+                            onlyInteger: true,
+                            greaterThan: 0
+                        }
+                    },
+                    clock: {
+                        presence: true,
+                        isInstanceof: [Clock]
+                    }
+                }
             }
-        ]);
+        }]);
         
         /**
-         * The name of the datasource the cached data belongs to.
-         * @type {DatabridgeName}
+         * The clock to read the current time from.
+         * @private
+         * @type {Clock}
          */
-        this._datasourceName = validate.isString(args.sourcePath) ? args.sourcePath : args.sourcePath[0];
-		
-		/**
-		 * The path to the fetcher within the datasource the cached data
-		 * belongs to.
-		 * @type {DatabridgeName[]}
-		 */
-		this._dataFetcherPath = [];
-		if(validate.isArray(args.sourcePath)){
-			for(let i = 1; i < args.sourcePath.length; i++){
-				this._dataFetcherPath.push(args.sourcePath[i]);
-			}
-		}
+        this._clock = args.options.clock;
         
         /**
-         * The name of the datastream within the datasource the cached data
-         * belongs to.
-         * @type {DatabridgeName}
+         * The maximum number of tokens in the bucket.
+         * @private
+         * @type {number}
          */
-        this._datastreamName = args.streamName;
+        this._burst = args.options.burst;
         
         /**
-         * The time the data was cached at.
-         * @type {ISO8601}
+         * The number of tokens added to the bucket per millisecond.
+         * @private
+         * @type {number}
          */
-        this._timestamp = args.timestamp;
+        this._refillRate = args.options.limit / durationToMilliseconds(args.options.interval);
         
         /**
-         * The data to be cached.
-         * @type {*}
+         * The number of tokens in the bucket when it was last refilled.
+         * @private
+         * @type {number}
          */
-        this._data = args.data;
+        this._tokens = this._burst;
         
         /**
-         * The path to the JSON file for the cache on disk.
-         * @type {string}
+         * The time the bucket was last refilled in milliseconds since the
+         * epoch.
+         * @private
+         * @type {number}
          */
-        this._filePath = '';
-        if(!validate.isEmpty(args.filePath)){
-            this._filePath = args.filePath;
-        }
+        this._lastRefill = this._clock.now();
+        
+        /**
+         * The resolve functions of the calls waiting for tokens, in order.
+         * @private
+         * @type {function[]}
+         */
+        this._waiting = [];
+        
+        /**
+         * The timer for serving waiting calls, if running.
+         * @private
+         * @type {Object}
+         */
+        this._timer = undefined;
     }
     
     /**
-     * A read-only accessor for the datasource name.
-     * @returns {DatabridgeName}
+     * A read & write accessor for the clock used to refill the bucket. The
+     * bucket is refilled up to the current time by the old clock before the
+     * new one takes over, and setting `undefined` switches to a clock reading
+     * the system time.
+     * @returns {Clock}
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
      */
-    datasourceName(){
-        return this._datasourceName;
+    clock(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'clock',
+            isInstanceof: [Clock]
+        }]);
+        
+        // set if appropriate
+        if(arguments.length >= 1){
+            this._refill();
+            this._clock = args.clock || new Clock();
+            this._lastRefill = this._clock.now();
+        }
+        
+        // always return the current value
+        return this._clock;
     }
     
     /**
-     * A read-only accessor for the datasource name.
-     * @returns {DatabridgeName}
+     * Take a token if one is available without waiting. Calls waiting for
+     * tokens are served first.
+     *
+     * @returns {boolean} `true` if a token was taken.
      */
-    sourceName(){
-        return this._datasourceName;
+    tryAcquire(){
+        this._refill();
+        if(this._waiting.length > 0 || this._tokens < 1) return false;
+        this._tokens--;
+        return true;
     }
-	
-	/**
-	 * A read-only accessor for the data fetcher path.
-	 * @returns {DatabridgeName[]}
-	 */
-	dataFetcherPath(){
-		return this._dataFetcherPath;
-	}
-	
-	/**
-	 * A read-only accessor for the data fetcher path.
-	 * @returns {DatabridgeName[]}
-	 */
-	fetcherPath(){
-		return this._dataFetcherPath;
-	}
-	
-	/**
-	 * A utility function to return the full path to the data fetcher (source
-	 * name and fetcher path).
-	 * @returns {DatabridgeName[]}
-	 */
-	datasourcePath(){
-		return [this._datasourceName, ...this._dataFetcherPath];
-	}
     
     /**
-     * A read-only accessor for the datastream name.
-     * @returns {DatabridgeName}
+     * Take a token, waiting for one to become available if needed.
+     *
+     * Waiting calls are served as the bucket is refilled by the rate
+     * limiter's clock, so with a {@link FakeClock} they're only served once
+     * the clock has been advanced. Waiting doesn't keep the process alive, so
+     * a process with nothing else to do exits rather than wait for a token.
+     *
+     * @param {AbortSignal} [signal] - a signal to stop waiting with. If it's
+     * aborted before a token is taken, no token is taken and the promise
+     * rejects with the signal's reason.
+     * @returns {Promise} a promise that resolves once a token has been taken.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
      */
-    datastreamName(){
-        return this._datastreamName;
+    acquire(){
+        let args = validateParams.assert(arguments, [
+            validateParams.extendObject({ vpopt_name: 'signal' }, vpCons.abortSignal)
+        ]);
+        let signal = args.signal;
+        if(signal && signal.aborted) return Promise.reject(abortReason(signal));
+        if(this.tryAcquire()) return Promise.resolve();
+        let self = this;
+        return new Promise(function(resolve, reject){
+            let onAbort = undefined;
+            let waiter = function(){
+                if(signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            if(signal){
+                onAbort = function(){
+                    let i = self._waiting.indexOf(waiter);
+                    if(i !== -1) self._waiting.splice(i, 1);
+                    reject(abortReason(signal));
+                };
+                signal.addEventListener('abort', onAbort);
+            }
+            self._waiting.push(waiter);
+            self._scheduleWaiting();
+        });
     }
     
     /**
-     * A read-only accessor for the datastream name.
-     * @returns {DatabridgeName}
+     * Get the time until a token will be available for a new call, taking
+     * the calls already waiting into account.
+     *
+     * @returns {number} the time in milliseconds, zero if a token is
+     * available now.
      */
-    streamName(){
-        return this._datastreamName;
+    waitTime(){
+        this._refill();
+        let needed = this._waiting.length + 1 - this._tokens;
+        return needed <= 0 ? 0 : Math.ceil(needed / this._refillRate);
     }
     
     /**
-     * A read-only accessor for the cache's timestamp.
-     * @returns {ISO8601}
+     * Add the tokens accrued since the bucket was last refilled.
+     *
+     * @private
      */
-    timestamp(){
-        return this._timestamp;
+    _refill(){
+        let now = this._clock.now();
+        this._tokens = Math.min(this._burst, this._tokens + (now - this._lastRefill) * this._refillRate);
+        this._lastRefill = now;
     }
     
     /**
-     * A read-only accessfor for the cache's data.
-     * @returns {*}
+     * Serve waiting calls as tokens become available. The timer is set for
+     * when the next token is due by the clock and checks the bucket again
+     * then, so under a {@link FakeClock} waiting calls are served at the first
+     * check after the clock has been advanced far enough. The timer is unref'd
+     * so it doesn't keep the process alive.
+     *
+     * @private
      */
-    data(){
-        return this._data;
+    _scheduleWaiting(){
+        if(this._timer) return;
+        let self = this;
+        let delayMs = Math.max(Math.ceil((1 - this._tokens) / this._refillRate), 1);
+        this._timer = setTimeout(function(){
+            self._timer = undefined;
+            self._refill();
+            while(self._waiting.length > 0 && self._tokens >= 1){
+                self._tokens--;
+                self._waiting.shift()();
+            }
+            if(self._waiting.length > 0) self._scheduleWaiting();
+        }, delayMs);
+        if(this._timer.unref) this._timer.unref();
     }
-    
+}
+
+//
+//=== Define the Clock classes =================================================
+//
+
+/**
+ * A class representing the clock a [databridge]{@link Databridge} reads the
+ * current time from for timestamps and expiry calculations. This base class
+ * reads the system time.
+ */
+class Clock{
     /**
-     * A read & write accessor for the cache file path.
-     * @returns {string}
-     * @throws {valdiateParams.ValidationError} throws a validation error if
-     * passed invalid parameters.
+     * Get the current time.
+     *
+     * @returns {number} the current time in milliseconds since the epoch.
      */
-    filePath(){
+    now(){
+        return Date.now();
+    }
+}
+
+/**
+ * A clock that only moves when told to, for deterministic testing of time
+ * dependent behaviour like cache expiry.
+ *
+ * Note that the clock controls the time the databridge, its cache store and
+ * datasources read, not timers. Waits measured by the clock, like the delays
+ * between retries and waits for rate limiter tokens, only end once the clock
+ * has been advanced past them, so tests must advance it. Background tasks
+ * like purging, and time limits on waiting like timeouts, still run in real
+ * time.
+ *
+ * @extends Clock
+ * @example
+ * const cjdb = require('@maynoothuniversity/caching-json-databridge');
+ * let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+ * let db = new cjdb.Databridge({ clock: clock });
+ * // ... fetch some data ...
+ * clock.advance('PT2H'); // the cache is now two hours old
+ */
+class FakeClock extends Clock{
+    /**
+     * @param {Date|ISO8601|number} [time] - the time to start at, defaults to
+     * the current system time.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    constructor(){
+        super();
         let args = validateParams.assert(arguments, [{
-            vpopt_name: 'filePath',
-            hasTypeof: 'string'
+            vpopt_name: 'time',
+            clockTime: true
         }]);
         
-        // set if appropriate
-        if(arguments.length >= 1){
-            this._filePath = validate.isEmpty(args.filePath) ? '' : args.filePath;
-        }
-        
-        // always return the current value
-        return this._filePath;
+        /**
+         * The current time in milliseconds since the epoch.
+         * @private
+         * @type {number}
+         */
+        this._time = validate.isDefined(args.time) ? moment(args.time).valueOf() : Date.now();
     }
     
     /**
-     * An instance function to check if the cached data is still valid for a
-     * given TTL.
+     * Get the clock's current time.
      *
-     * @param {number} ttl - a TTL in minutes.
-     * @returns {boolean}
+     * @returns {number} the current time in milliseconds since the epoch.
      */
-    isWithinTTL(ttl){
-        var now = moment();
-        var cachedAt = moment(this.timestamp());
-        
-        // if the cached date is in the future, return false
-        if(cachedAt.isAfter(now)) return false;
-        
-        // get the age of the cache in minutes
-        var ageMin = Math.abs(now.diff(cachedAt, 'minutes'));
-        
-        // return as appropriate
-        return ageMin <= ttl ? true : false;
+    now(){
+        return this._time;
     }
     
     /**
-     * A function to return a plain object representing the cache data for
-     * serialisation to disk.
+     * Set the clock to a given time.
      *
-     * @returns {PlainObject}
+     * @param {Date|ISO8601|number} time
+     * @returns {FakeClock} a reference to self to facilitate function
+     * chaining.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
      */
-    asJsonObject(){
-        return {
-            datasourceName: this.sourceName(),
-			dataFetcherPath: this.fetcherPath(),
-            datastreamName: this.streamName(),
-            timestamp: this.timestamp(),
-            data: this.data()
-        };
+    set(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'time',
+            presence: true,
+            clockTime: true
+        }]);
+        this._time = moment(args.time).valueOf();
+        return this;
+    }
+    
+    /**
+     * Move the clock forward by a given amount.
+     *
+     * @param {Duration} amount - the amount to advance the clock by. As with
+     * all {@link Duration}s, numbers are interpreted as minutes.
+     * @returns {FakeClock} a reference to self to facilitate function
+     * chaining.
+     * @throws {external:validateParams.ValidationError} a validation error is
+     * thrown if parameter validation fails.
+     */
+    advance(){
+        let args = validateParams.assert(arguments, [{
+            vpopt_name: 'amount',
+            presence: true,
+            duration: true
+        }]);
+        this._time += durationToMilliseconds(args.amount);
+        return this;
     }
-}
-
-/**
- * An alias for `.datasourcePath()`.
- * @see DataCache#datasourcePath
- */
-DataCache.prototype.sourcePath = DataCache.prototype.datasourcePath;
-
-/**
- * An alias for `.filePath()`.
- * @see DataCache#filePath
- */
-DataCache.prototype.path = DataCache.prototype.filePath;
-
-/**
- * A static factory method to build a cache object from JSON data read from a
- * cache file on disk.
- * 
- * @param {PlainObject} cacheObj - the JSON data loaded from a cache on disk.
- * @param {string} cacheObj.datasourceName
- * @param {string[]} cacheObj.dataFetcherPath
- * @param {string} cacheObj.datastreamName
- * @param {string} cacheObj.timestamp
- * @param {*} cacheObj.data
- * @throws {external:validateParams.ValidationError} a validation error is
- * thrown if parameter validation fails.
- */
-DataCache.fromJsonObject = function(){
-    let args = validateParams.assert(arguments, [{
-        vpopt_name: 'cacheObj',
-        defined: true,
-        dictionary: {
-            mapConstraints: {
-                datasourceName: { presence: true, hasTypeof: 'string' },
-				dataFetcherPath: {
-					defined: true,
-					list: { valueConstraints: { hasTypeof: 'string' } }
-				},
-                datastreamName: { presence: true, hasTypeof: 'string' },
-                timestamp: { presence: true, iso8601: true },
-                data: { defined: true }
-            }
-        }
-    }]);
-    return new DataCache(
-        [args.cacheObj.datasourceName, ...args.cacheObj.dataFetcherPath],
-        args.cacheObj.datastreamName,
-        args.cacheObj.timestamp,
-        args.cacheObj.data
-    );
 }
 
 //
@@ -1748,5 +6734,17 @@ module.exports = {
     Databridge: Databridge,
     Datasource: Datasource,
     FetchRequest: FetchRequest,
-    FetchResponse: FetchResponse
+    FetchResponse: FetchResponse,
+    CacheDirectives: CacheDirectives,
+    CacheEntry: CacheEntry,
+    CacheStore: CacheStore,
+    FileCacheStore: FileCacheStore,
+    MemoryCacheStore: MemoryCacheStore,
+    Clock: Clock,
+    FakeClock: FakeClock,
+    RateLimiter: RateLimiter,
+    QueueFullError: QueueFullError,
+    RateLimitError: RateLimitError,
+    TimeoutError: TimeoutError,
+    CircuitOpenError: CircuitOpenError
 };
\ No newline at end of file
@@ -13,6 +13,9 @@ const validate = validateParams.validateJS();
 const fs = require('fs-extra');
 const path = require('path');
 
+// import compression support - needed for testing compressed caches
+const zlib = require('zlib');
+
 // import time handling support - needed for testing timestamps
 const moment = require('moment');
 
@@ -32,6 +35,10 @@ QUnit.begin(function(){
     fs.emptyDirSync(CACHEDIR_ABSOLUTE);
 });
 
+// time tests out so the timer keeps the process alive while tests only wait
+// on timers that don't, like those of rate limiters
+QUnit.config.testTimeout = 30000;
+
 
 //
 //=== Utility Variables & Functions ============================================
@@ -165,6 +172,29 @@ function dummyBasicTypesExcept(){
     return ans;
 }
 
+/**
+ * A function to write a cache entry for a single-fetcher datasource straight
+ * to a cache store, bypassing the databridge, e.g. to add an entry that's
+ * already expired.
+ *
+ * @param {CacheStore} store - the store to write the entry to.
+ * @param {string} datasourceName
+ * @param {string} streamName
+ * @param {string} timestamp - the time the entry claims to have been cached at
+ * as an ISO8601 string.
+ * @param {*} data - the cached data.
+ * @returns {Promise} the promise returned by the store's `.put()`.
+ */
+function putRawCache(store, datasourceName, streamName, timestamp, data){
+    return store.put(`${datasourceName}.${streamName}`, Buffer.from(JSON.stringify({
+        datasourceName: datasourceName,
+        dataFetcherPath: [],
+        datastreamName: streamName,
+        timestamp: timestamp,
+        data: data
+    })));
+}
+
 //
 //=== Define Tests =============================================================
 //
@@ -228,6 +258,32 @@ QUnit.module('custom validators', {}, function(){
 		a.ok(validate.isString(validate.validators.dataFetcher({thingys: 'whatsists'}, true)), 'a plain object with an invalid value returns an error message');
 		a.ok(validate.isString(validate.validators.dataFetcher({thingys: {whatsists: 'stuff'}}, true)), 'a plain object with a nested invalid value returns an error message');
     });
+	
+	QUnit.test('the expirySchedule validator', function(a){
+        a.expect(9);
+        a.strictEqual(typeof validate.validators.expirySchedule(undefined, true), 'undefined', 'undefined passes');
+        a.ok(!validate.isDefined(validate.validators.expirySchedule(function(){}, true)), 'a callback passes');
+        a.ok(!validate.isDefined(validate.validators.expirySchedule('0 6 * * *', true)), 'a simple cron expression passes');
+        a.ok(!validate.isDefined(validate.validators.expirySchedule('0,30 9-17 * * 1-5', true)), 'a cron expression with lists & ranges passes');
+        a.ok(!validate.isDefined(validate.validators.expirySchedule('*/15 * * * *', true)), 'a cron expression with steps passes');
+        a.ok(!validate.isDefined(validate.validators.expirySchedule('@daily', true)), 'a shortcut passes');
+        a.ok(validate.isString(validate.validators.expirySchedule('0 6 * *', true)), 'too few fields returns an error message');
+        a.ok(validate.isString(validate.validators.expirySchedule('0 24 * * *', true)), 'an out of range value returns an error message');
+        a.ok(validate.isString(validate.validators.expirySchedule(42, true)), 'a number returns an error message');
+    });
+    
+	QUnit.test('the duration validator', function(a){
+        a.expect(9);
+        a.strictEqual(typeof validate.validators.duration(undefined, true), 'undefined', 'undefined passes');
+        a.ok(!validate.isDefined(validate.validators.duration(60, true)), 'a number of minutes passes');
+        a.ok(!validate.isDefined(validate.validators.duration('PT30S', true)), 'an ISO 8601 duration passes');
+        a.ok(!validate.isDefined(validate.validators.duration({ seconds: 15, milliseconds: 500 }, true)), 'a plain object of units passes');
+        a.ok(!validate.isDefined(validate.validators.duration(0, true)), 'a zero-length duration passes');
+        a.ok(validate.isString(validate.validators.duration(0, { positive: true })), 'a zero-length duration returns an error message when positive required');
+        a.ok(validate.isString(validate.validators.duration(-1, true)), 'a negative duration returns an error message');
+        a.ok(validate.isString(validate.validators.duration('30 seconds', true)), 'a non-ISO string returns an error message');
+        a.ok(validate.isString(validate.validators.duration({ fortnights: 1 }, true)), 'an unsupported unit returns an error message');
+    });
 });
 
 QUnit.module('The Databridge class', {}, function(){
@@ -253,6 +309,23 @@ QUnit.module('The Databridge class', {}, function(){
             a.strictEqual(db._options.defaultCacheTTL, testTTL, 'default cache TTL correctly stored');
         });
         
+        QUnit.test('cache store correctly initialised', function(a){
+            a.expect(4);
+            let db1 = new cjdb.Databridge();
+            a.ok(db1.cacheStore() instanceof cjdb.FileCacheStore, 'defaults to a file cache store');
+            a.strictEqual(db1.cacheStore().cacheDir(), path.join('.', CACHEDIR_NAME), 'default file cache store uses the cache dir');
+            let store = new cjdb.MemoryCacheStore();
+            let db2 = new cjdb.Databridge({ cacheStore: store });
+            a.strictEqual(db2.cacheStore(), store, 'specified cache store correctly stored');
+            a.throws(
+                function(){
+                    new cjdb.Databridge({ cacheStore: {} });
+                },
+                validateParams.ValidationError,
+                'cache store that does not extend CacheStore rejected'
+            );
+        });
+        
         QUnit.test('._datasources correctly initialised', function(a){
             a.expect(1);
             var db = new cjdb.Databridge();
@@ -720,223 +793,2750 @@ QUnit.module('The Databridge class', {}, function(){
     );
 });
 
-QUnit.module('The Datasource class', {}, function(){
-    QUnit.test('class exists', function(a){
-        a.equal(typeof cjdb.Datasource, 'function');
+QUnit.module('non-blocking cache lookups', {}, function(){
+    QUnit.test('cache lookups do not block the response', function(a){
+        a.expect(4);
+        let store = new cjdb.MemoryCacheStore();
+        let releaseGet;
+        let realGet = store.get.bind(store);
+        store.get = function(key){
+            if(releaseGet) return realGet(key); // only hold up the first lookup
+            return new Promise(function(resolve){
+                releaseGet = function(){ resolve(realGet(key)); };
+            });
+        };
+        let fetcherCalled = false;
+        let db = new cjdb.Databridge({ cacheStore: store });
+        db.register('slowStoreDS', new cjdb.Datasource(function(){ fetcherCalled = true; return 42; }));
+        let fr = db.fetchResponse('slowStoreDS');
+        a.ok(fr instanceof cjdb.FetchResponse, 'response returned while the cache lookup is pending');
+        a.notOk(fetcherCalled, 'fetcher not called before the cache lookup completes');
+        releaseGet();
+        return fr.dataPromise().then(function(data){
+            a.ok(fetcherCalled, 'fetcher called after the cache lookup missed');
+            a.strictEqual(data, 42, 'data promise resolved to expected value');
+        });
+    });
+});
+
+QUnit.module('memory tier', {}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(3);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), memoryCache: {} });
+        a.strictEqual(db.option('memoryCache').maxEntries, 100, 'max entries defaulted');
+        a.ok(db.option('memoryCache').maxBytes > 0, 'max bytes defaulted');
+        a.throws(
+            function(){
+                new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), memoryCache: { maxEntries: -1 } });
+            },
+            validateParams.ValidationError,
+            'invalid max entries rejected'
+        );
     });
     
-    QUnit.module('constructor', {}, function(){
-        QUnit.test('defaults', function(a){
-            a.expect(5);
-            let defDS = new cjdb.Datasource();
-            a.ok(defDS, 'no error thrown when passed no parameters');
-			a.deepEqual(defDS._dataFetcher, {}, 'data fetcher defaults to empty plain object');
-            a.strictEqual(defDS._options.enableCaching, true, 'caching enabled by default');
-            a.strictEqual(typeof defDS._options.cacheTTL, 'undefined', 'no custom cache TTL set by default');
-            a.ok(new cjdb.Datasource(function(){}, {cacheTTL: 300}), 'no error thrown when passed both a callback and options');
-        });
+    QUnit.test('reads are served from memory where possible', function(a){
+        a.expect(4);
+        let store = new cjdb.MemoryCacheStore();
+        let storeReads = 0;
+        let realGet = store.get.bind(store);
+        store.get = function(key){
+            storeReads++;
+            return realGet(key);
+        };
+        let db = new cjdb.Databridge({ cacheStore: store, memoryCache: { maxEntries: 1 } });
+        db.register('tierDS', new cjdb.Datasource(function(n){ return 'I got ' + n; }));
         
-        QUnit.test('data correctly stored', function(a){
-            a.expect(3);
-            var testFn = function(){ return true; };
-            var testTTL = 500;
-            var testCacheEnable = false;
-            var ds = new cjdb.Datasource(testFn, {cacheTTL: testTTL, enableCaching: testCacheEnable});
-            a.strictEqual(ds._dataFetcher, testFn, 'data fether callback successfully stored');
-            a.strictEqual(ds._options.enableCaching, testCacheEnable, 'cache enabling option successfully stored');
-            a.strictEqual(ds._options.cacheTTL, testTTL, 'cache TTL option successfully stored');
+        // write through the bridge, then read twice
+        let readsBefore;
+        return db.fetchResponse('tierDS', {}, [1]).dataPromise().then(function(){
+            readsBefore = storeReads;
+            let fr = db.fetchResponse('tierDS', {}, [1]);
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(fr.meta('cacheRead').tier, 'memory', 'freshly written data served from memory');
+                a.strictEqual(storeReads, readsBefore, 'store not read');
+                
+                // push the first stream out of the single-entry tier
+                return db.fetchResponse('tierDS', {}, [2]).dataPromise();
+            });
+        }).then(function(){
+            let fr = db.fetchResponse('tierDS', {}, [1]);
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(fr.meta('cacheRead').tier, 'store', 'evicted data served from the store');
+                a.strictEqual(data, 'I got 1', 'correct data returned');
+            });
         });
     });
-	
-	QUnit.module('read-only accessor .dataFetcher()', {}, function(){
-		QUnit.test('function exists', function(a){
-			a.expect(1);
-			let ds = new cjdb.Datasource(function(){});
-            a.ok(validate.isFunction(ds.dataFetcher));
+    
+    QUnit.test('reads share a frozen copy of the data', function(a){
+        a.expect(5);
+        let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), memoryCache: {}, clock: clock });
+        db.register('tierDS', new cjdb.Datasource(function(){ return { days: ['mon'] }; }));
+        let firstRead = undefined;
+        return db.fetchDataPromise('tierDS').then(function(data){
+            data.days.push('fetched');
+            return db.fetchDataPromise('tierDS');
+        }).then(function(data){
+            firstRead = data;
+            a.deepEqual(data, { days: ['mon'] }, 'changes to fetched data not seen by later reads');
+            a.ok(Object.isFrozen(data) && Object.isFrozen(data.days), 'data read from memory deeply frozen');
+            a.throws(
+                function(){
+                    'use strict';
+                    data.days.push('read');
+                },
+                TypeError,
+                'data read from memory can\'t be changed'
+            );
+            clock.advance(1);
+            return db.fetchDataPromise('tierDS');
+        }).then(function(data){
+            a.strictEqual(data, firstRead, 'reads share the copy made when the entry was added');
+            a.strictEqual(db._memoryTier.lastAccessed('tierDS.main'), clock.now(), 'access time read from the databridge clock');
         });
-		
-		QUnit.module('single callback case',
-			{
-				beforeEach: function(){
-					this.df = function(){ return true; };
-					this.ds = new cjdb.Datasource(this.df, { enableCaching: false });
-				}
-			},
-			function(){
-				QUnit.test('returns expected value', function(a){
-					a.expect(2);
-					a.strictEqual(this.ds.dataFetcher(), this.df, 'expected value returned with no params');
-					a.strictEqual(this.ds.dataFetcher([]), this.df, 'expected value returned with empty array as first param');
-				});
-				
-				QUnit.test('throws Error when passed name path', function(a){
-					a.expect(4);
-					a.throws(
-						function(){ this.ds.dataFetcher('thingy'); },
-						Error,
-						'error on single string'
-					);
-					a.throws(
-						function(){ this.ds.dataFetcher('thingy', 'stuff'); },
-						Error,
-						'error on multiple strings'
-					);
-					a.throws(
-						function(){ this.ds.dataFetcher(['thingy']); },
-						Error,
-						'error on single string array'
-					);
-					a.throws(
-						function(){ this.ds.dataFetcher(['thingy', 'stuff']); },
-						Error,
-						'error on multiple string array'
-					);
-				});
-			}
-		);
-		
-		QUnit.module('flat multiple callbacks case',
-			{
-				beforeEach: function(){
-					this.dfCol = {
-						cb1: function(){ return true; },
-						cb2: function(){ return false; }
-					};
-					this.ds = new cjdb.Datasource(this.dfCol, { enableCaching: false });
-				}
-			},
-			function(){
-				QUnit.test('returns expected values', function(a){
-					a.expect(5);
-					a.strictEqual(this.ds.dataFetcher(), this.dfCol, 'returns entire datastructure when passed no params');
-					a.strictEqual(this.ds.dataFetcher('cb1'), this.dfCol.cb1, 'returns correct callback when passed single string');
-					a.strictEqual(this.ds.dataFetcher(['cb1']), this.dfCol.cb1, 'returns correct callback when passed array contianing single string');
-					a.throws(
-						() => this.ds.dataFetcher('cb3'),
-						Error,
-						'throws error when passed name that does not map to a callback as single string'
-					);
-					a.throws(
-						() => this.ds.dataFetcher(['cb3']),
-						Error,
-						'throws error when passed name that does not map to a callback as array containing single string'
-					);
-				});
-			}
-		);
-		
-		QUnit.module('nested multiple callbacks case',
-			{
-				beforeEach: function(){
-					this.dfCol = {
-						cb1: {
-							cb1a: function(){ return true; },
-							cb1b: function(){ return null; }
-						},
-						cb2: function(){ return false; }
-					};
-					this.ds = new cjdb.Datasource(this.dfCol, { enableCaching: false });
-				}
-			},
-			function(){
-				QUnit.test('returns expected values', function(a){
-					a.expect(9);
-					a.strictEqual(this.ds.dataFetcher(), this.dfCol, 'returns entire datastructure when passed no params');
-					a.strictEqual(this.ds.dataFetcher('cb1'), this.dfCol.cb1, 'returns correct sub-data-structure when passed single string');
-					a.strictEqual(this.ds.dataFetcher(['cb1']), this.dfCol.cb1, 'returns correct sub-data-structure when passed array contianing single string');
-					a.strictEqual(this.ds.dataFetcher('cb1', 'cb1a'), this.dfCol.cb1.cb1a, 'returns correct callback when passed two strings');
-					a.strictEqual(this.ds.dataFetcher(['cb1', 'cb1a']), this.dfCol.cb1.cb1a, 'returns correct callback when passed array contianing two strings');
-					a.throws(
-						() => this.ds.dataFetcher('cb3'),
-						Error,
-						'throws error when passed name that does not map to a callback at the top level as a single string'
-					);
-					a.throws(
-						() => this.ds.dataFetcher(['cb3']),
-						Error,
-						'throws error when passed name that does not map to a callback at the top level as array containing single string'
-					);
-					a.throws(
-						() => this.ds.dataFetcher('cb1', 'cb1c'),
-						Error,
-						'throws error when passed name that does not map to a callback at the second level as a single string'
-					);
-					a.throws(
-						() => this.ds.dataFetcher(['cb1', 'cb1c']),
-						Error,
-						'throws error when passed name that does not map to a callback at the second level as array containing single string'
-					);
-				});
-			}
-		);
-	});
-	
-	QUnit.test('.hasSingleDataFetcher() utility function', function(a){
-		a.expect(3);
-		let ds1 = new cjdb.Datasource(function(){});
-		a.ok(validate.isFunction(ds1.hasSingleDataFetcher), 'function exists');
-		a.strictEqual(ds1.hasSingleDataFetcher(), true, 'returns true on datasource with single data fetcher');
-		let ds2 = new cjdb.Datasource({ cb1: function(){}, cb2: function(){} });
-		a.strictEqual(ds2.hasSingleDataFetcher(), false, 'returns false on datasource with multiple data fetchers');
-	});
+    });
     
-    QUnit.module(
-        'read-only accessor .option()',
-        {
-            beforeEach: function(){
-                this.df = function(){ return true; };
-                this.ds = new cjdb.Datasource(this.df, { enableCaching: true, cacheTTL: 300 });
-            }
-        },
-        function(){
-            
-            QUnit.test('function exists', function(a){
-                a.ok(validate.isFunction(this.ds.option));
-            });
-            
-            QUnit.test('returns expected values', function(a){
-                a.expect(2);
-                a.strictEqual(this.ds.option('cacheTTL'), 300, 'expected value returned for defined option');
-                a.strictEqual(typeof this.ds.option('thingy'), 'undefined', 'undefined returned for un-specified option');
+    QUnit.test('refreshes by other processes seen once the lock is held', function(a){
+        a.expect(3);
+        let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+        let dbA = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE, memoryCache: {}, clock: clock, defaultCacheTTL: 1 });
+        let dbB = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE, memoryCache: {}, clock: clock, defaultCacheTTL: 1 });
+        let calls = 0;
+        let fetcher = function(){
+            calls++;
+            let n = calls;
+            return new Promise(function(resolve){ setTimeout(function(){ resolve(n); }, 50); });
+        };
+        dbA.register('sharedTierDS', new cjdb.Datasource(fetcher));
+        dbB.register('sharedTierDS', new cjdb.Datasource(fetcher));
+        let streamName = 'sharedTier' + Date.now();
+        return dbA.fetchDataPromise('sharedTierDS', { streamName: streamName }).then(function(){
+            return dbB.fetchDataPromise('sharedTierDS', { streamName: streamName });
+        }).then(function(){
+            clock.advance(2);
+            let refreshed = dbB.fetchDataPromise('sharedTierDS', { streamName: streamName });
+            return new Promise(function(resolve){ setTimeout(resolve, 10); }).then(function(){
+                let fr = dbA.fetchResponse('sharedTierDS', { streamName: streamName });
+                return Promise.all([refreshed, fr.dataPromise(), fr]);
             });
-        }
-    );
+        }).then(function(results){
+            a.strictEqual(calls, 2, 'fetcher not called again after the other process refreshed');
+            a.strictEqual(results[1], 2, 'refreshed data returned');
+            a.strictEqual(results[2].meta('cacheRead').tier, 'store', 'refreshed data read from the store');
+        });
+    });
     
-    QUnit.test('data fetching', function(a){
-        a.expect(1);
-        
-        //var db = new Databridge();
-        var dummyData = { a: 'b', c: 'd' };
-        var ds = new cjdb.Datasource(function(){ return dummyData; });
-        var done = a.async();
-        var dp = ds.fetchDataPromise();
-        dp.then(
-            function(d){
-                a.deepEqual(d, dummyData, 'promise resolved to expected value');
-                done();
+    QUnit.test('byte limit respected', function(a){
+        a.expect(2);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), memoryCache: { maxBytes: 10 } });
+        db.register('bigTierDS', new cjdb.Datasource(function(){ return 'a string much too large for the memory tier'; }));
+        return db.fetchResponse('bigTierDS').dataPromise().then(function(){
+            let fr = db.fetchResponse('bigTierDS');
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(fr.meta('cacheRead').tier, 'store', 'oversized data served from the store');
+                a.strictEqual(db._memoryTier.size(), 0, 'oversized data not held in memory');
+            });
+        });
+    });
+});
+
+QUnit.module('cache compression', {
+    beforeEach: function(){
+        this.suffix = moment().valueOf();
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(3);
+        a.strictEqual(new cjdb.Databridge().option('compression'), 'none', 'databridge compression defaults to none');
+        a.throws(
+            function(){
+                new cjdb.Databridge({ compression: 'zip' });
             },
+            validateParams.ValidationError,
+            'unsupported databridge compression rejected'
+        );
+        a.throws(
             function(){
-                done();
-            }
+                new cjdb.Datasource(function(){}, { compression: 'zip' });
+            },
+            validateParams.ValidationError,
+            'unsupported datasource compression rejected'
         );
     });
-	
-	QUnit.test('defaultStreamNameGenerator() static function', function(a){
-		a.expect(10);
-		a.ok(validate.isFunction(cjdb.Datasource.defaultStreamNameGenerator), 'function exists');
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(), 'main', "calling with no params returns 'main'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([true]), 'true', "calling with single boolean true returns 'true'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([false]), 'false', "calling with single boolean false returns 'false'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([42]), 'n_42', "calling with single number without -, ., or e returns number pre-fixed with 'n_'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([-42.6]), 'n_96e1a1514a86153f31480dc745808772', "calling with single number with a -, ., or e returns the MD5 of the number as a string pre-fixed with 'n_'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(['boogers']), 's_boogers', "calling with single string that is a valid name returns the string prefixed with 's_'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(['$']), 's_c3e97dd6e97fb5125688c97f36720cbe', "calling with single string that's not a valid name returns the MD5 hash of the string prefixed with 's_'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([{a: 'b'}]), 'o_92eff9dda44cb8003ee13990782580ff', "calling with single plain object returns the MD5 hash of the JSON version of object prefixed with 'o_'");
-		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(['thingys', 42]), 'p2_aed9d8d35ce236895dbdd1e061a5f369', "calling with multiple values returns the MD5 hash of the JSON version of all params pre-fixed with 'pN_' where N is num params");
-	});
-});
-
-QUnit.module('The FetchRequest class', {}, function(){
+    
+    QUnit.test('compressed caches written & read', function(a){
+        a.expect(6);
+        let db = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE, compression: 'gzip' });
+        let gzName = 'gzipDS' + this.suffix;
+        let brName = 'brotliDS' + this.suffix;
+        let dummyData = { movies: ['Alien', 'Aliens'] };
+        db.register(gzName, new cjdb.Datasource(function(){ return dummyData; }));
+        db.register(brName, new cjdb.Datasource(function(){ return dummyData; }, { compression: 'brotli' }));
+        let checkStream = function(dsName, desc, checkRaw){
+            let fr1 = db.fetchResponse(dsName);
+            return fr1.dataPromise().then(function(){
+                checkRaw(fs.readFileSync(fr1.meta('cacheWrite').path));
+                let fr2 = db.fetchResponse(dsName);
+                return fr2.dataPromise().then(function(data){
+                    a.ok(fr2.meta('cacheRead'), `${desc} cache read`);
+                    a.deepEqual(data, dummyData, `${desc} cache correctly decompressed`);
+                });
+            });
+        };
+        return checkStream(gzName, 'gzip', function(raw){
+            a.ok(raw[0] === 0x1f && raw[1] === 0x8b, 'bridge-level gzip compression applied');
+        }).then(function(){
+            return checkStream(brName, 'brotli', function(raw){
+                a.deepEqual(JSON.parse(zlib.brotliDecompressSync(raw).toString()).data, dummyData, 'datasource-level brotli compression applied');
+            });
+        });
+    });
+    
+    QUnit.test('existing uncompressed caches still read', function(a){
+        a.expect(2);
+        let dsName = 'plainDS' + this.suffix;
+        fs.writeJsonSync(path.join(CACHEDIR_ABSOLUTE, dsName + '.main.json'), {
+            datasourceName: dsName,
+            dataFetcherPath: [],
+            datastreamName: 'main',
+            timestamp: moment().toISOString(),
+            data: 'from plain cache'
+        });
+        let db = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE, compression: 'brotli' });
+        db.register(dsName, new cjdb.Datasource(function(){ return 'from fetcher'; }));
+        let fr = db.fetchResponse(dsName);
+        return fr.dataPromise().then(function(data){
+            a.ok(fr.meta('cacheRead'), 'plain cache read');
+            a.strictEqual(data, 'from plain cache', 'correct data read');
+        });
+    });
+});
+
+QUnit.module('cache encryption', {
+    beforeEach: function(){
+        this.dsName = 'secretDS' + moment().valueOf();
+        this.key = Buffer.alloc(32, 7);
+        this.secret = { student: 'Jane Doe', grade: 'A' };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(3);
+        a.ok(new cjdb.Databridge({ encryptionKey: 'ab'.repeat(32) }).option('encryptionKey').equals(Buffer.alloc(32, 0xab)), 'hex key converted to buffer');
+        a.throws(
+            function(){
+                new cjdb.Databridge({ encryptionKey: Buffer.alloc(16) });
+            },
+            validateParams.ValidationError,
+            'short key rejected'
+        );
+        a.strictEqual(new cjdb.Datasource(function(){}).option('encryptCache'), false, 'encryption disabled by default');
+    });
+    
+    QUnit.test('encrypted caches written & read', function(a){
+        a.expect(4);
+        let secret = this.secret;
+        let dsName = this.dsName;
+        let db = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE, encryptionKey: this.key });
+        db.register(dsName, new cjdb.Datasource(function(){ return secret; }, { encryptCache: true }));
+        let fr1 = db.fetchResponse(dsName);
+        return fr1.dataPromise().then(function(){
+            let raw = fs.readFileSync(fr1.meta('cacheWrite').path);
+            a.strictEqual(raw.slice(0, 8).toString(), 'CJDBAES1', 'cache file encrypted');
+            a.strictEqual(raw.indexOf('Jane Doe'), -1, 'plain text not present in cache file');
+            let fr2 = db.fetchResponse(dsName);
+            return fr2.dataPromise().then(function(data){
+                a.ok(fr2.meta('cacheRead'), 'encrypted cache read');
+                a.deepEqual(data, secret, 'encrypted cache correctly decrypted');
+            });
+        });
+    });
+    
+    QUnit.test('wrong keys & tampering treated as a cache miss', function(a){
+        a.expect(4);
+        let secret = this.secret;
+        let dsName = this.dsName;
+        let key = this.key;
+        let providerArgs;
+        let makeBridge = function(k){
+            let db = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE, encryptionKeyProvider: function(sourcePath, streamName){
+                providerArgs = [sourcePath, streamName];
+                return Promise.resolve(k);
+            }});
+            db.register(dsName, new cjdb.Datasource(function(){ return secret; }, { encryptCache: true }));
+            return db;
+        };
+        let cachePath;
+        let fr1 = makeBridge(key).fetchResponse(dsName, { bypassCache: true });
+        return fr1.dataPromise().then(function(){
+            cachePath = fr1.meta('cacheWrite').path;
+            a.deepEqual(providerArgs, [[dsName], 'main'], 'key provider called with source path and stream name');
+            let fr2 = makeBridge(Buffer.alloc(32, 8)).fetchResponse(dsName);
+            return fr2.dataPromise().then(function(){
+                a.notOk(fr2.meta('cacheRead'), 'cache with wrong key not read');
+                a.ok(fr2.meta('cacheReadError'), 'decryption failure reported in metadata');
+            });
+        }).then(function(){
+            // flip a bit in the cipher text
+            let raw = fs.readFileSync(cachePath);
+            raw[raw.length - 1] ^= 1;
+            fs.writeFileSync(cachePath, raw);
+            let fr3 = makeBridge(key).fetchResponse(dsName);
+            return fr3.dataPromise().then(function(){
+                a.notOk(fr3.meta('cacheRead'), 'tampered cache not read');
+            });
+        });
+    });
+    
+    QUnit.test('unencrypted caches rejected', function(a){
+        a.expect(3);
+        let dsName = this.dsName;
+        let db = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE, encryptionKey: this.key });
+        db.register(dsName, new cjdb.Datasource(function(){ return 'fetched'; }, { encryptCache: true }));
+        let fr1 = db.fetchResponse(dsName);
+        return fr1.dataPromise().then(function(){
+            fs.writeFileSync(fr1.meta('cacheWrite').path, JSON.stringify({
+                datasourceName: dsName,
+                dataFetcherPath: [],
+                datastreamName: 'main',
+                timestamp: moment().toISOString(),
+                data: 'planted'
+            }));
+            let fr2 = db.fetchResponse(dsName);
+            return fr2.dataPromise().then(function(data){
+                a.notOk(fr2.meta('cacheRead'), 'plain text cache not read');
+                a.ok(fr2.meta('cacheReadError'), 'unencrypted cache reported in metadata');
+                a.strictEqual(data, 'fetched', 'data fetched instead');
+            });
+        });
+    });
+});
+
+QUnit.module('cache invalidation', {
+    beforeEach: function(){
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), memoryCache: {} });
+        db.register('moviesDS', new cjdb.Datasource({
+            byYear: function(y){ return 'movies from ' + y; },
+            byGenre: { live: function(g){ return 'live ' + g; } }
+        }));
+        db.register('daysDS', new cjdb.Datasource(function(){ return ['mon']; }));
+        this.db = db;
+        return Promise.all([
+            db.fetchDataPromise(['moviesDS', 'byYear'], {}, [1980]),
+            db.fetchDataPromise(['moviesDS', 'byYear'], {}, [1982]),
+            db.fetchDataPromise(['moviesDS', 'byGenre', 'live'], {}, ['horror']),
+            db.fetchDataPromise('daysDS')
+        ]);
+    }
+}, function(){
+    QUnit.test('methods exist', function(a){
+        a.expect(3);
+        a.ok(validate.isFunction(this.db.invalidateStream), '.invalidateStream() exists');
+        a.ok(validate.isFunction(this.db.invalidateDatasource), '.invalidateDatasource() exists');
+        a.ok(validate.isFunction(this.db.invalidateAll), '.invalidateAll() exists');
+    });
+    
+    QUnit.test('.invalidateStream()', function(a){
+        a.expect(5);
+        let db = this.db;
+        return db.invalidateStream(['moviesDS', 'byYear'], {}, [1980]).then(function(removed){
+            a.deepEqual(removed, [{ datasourcePath: ['moviesDS', 'byYear'], streamName: 'n_1980', path: 'memory:moviesDS.byYear.n_1980' }], 'stream identified by fetcher args removed');
+            let fr = db.fetchResponse(['moviesDS', 'byYear'], {}, [1980]);
+            return fr.dataPromise().then(function(){
+                a.notOk(fr.meta('cacheRead'), 'removed stream not served from cache');
+            });
+        }).then(function(){
+            return db.invalidateStream('daysDS', { streamName: 'main' });
+        }).then(function(removed){
+            a.strictEqual(removed.length, 1, 'stream identified by name removed');
+            return db.invalidateStream('daysDS', { streamName: 'main' });
+        }).then(function(removed){
+            a.deepEqual(removed, [], 'nothing returned when stream not cached');
+            a.throws(
+                function(){
+                    db.invalidateStream('thingysDS', {}, [42]);
+                },
+                Error,
+                'generating stream names for unregistered datasources rejected'
+            );
+        });
+    });
+    
+    QUnit.test('.invalidateDatasource()', function(a){
+        a.expect(3);
+        let db = this.db;
+        return db.invalidateDatasource(['moviesDS', 'byYear']).then(function(removed){
+            a.deepEqual(removed.map(function(r){ return r.streamName; }).sort(), ['n_1980', 'n_1982'], 'streams under fetcher path removed');
+            return db.invalidateDatasource('moviesDS');
+        }).then(function(removed){
+            a.deepEqual(removed.map(function(r){ return r.datasourcePath.join('.'); }), ['moviesDS.byGenre.live'], 'remaining streams under datasource removed');
+            return db.cacheStore().list();
+        }).then(function(infos){
+            a.deepEqual(infos.map(function(i){ return i.key; }), ['daysDS.main'], 'other datasources untouched');
+        });
+    });
+    
+    QUnit.test('.invalidateAll()', function(a){
+        a.expect(3);
+        let db = this.db;
+        return db.invalidateAll().then(function(removed){
+            a.strictEqual(removed.length, 4, 'all streams removed');
+            a.strictEqual(db._memoryTier.size(), 0, 'memory tier emptied');
+            return db.cacheStore().list();
+        }).then(function(infos){
+            a.strictEqual(infos.length, 0, 'cache store emptied');
+        });
+    });
+});
+
+QUnit.module('cache introspection', {
+    beforeEach: function(){
+        let store = new cjdb.MemoryCacheStore();
+        let db = new cjdb.Databridge({ cacheStore: store, defaultCacheTTL: 10 });
+        db.register('moviesDS', new cjdb.Datasource({ byYear: function(y){ return 'movies from ' + y; } }, { cacheTTL: 30 }));
+        db.register('daysDS', new cjdb.Datasource(function(){ return ['mon']; }));
+        this.db = db;
+        
+        // add an expired entry directly to the store
+        return putRawCache(store, 'daysDS', 'old', moment().subtract(2, 'hours').toISOString(), []).then(function(){
+            return Promise.all([
+                db.fetchDataPromise(['moviesDS', 'byYear'], {}, [1980]),
+                db.fetchDataPromise('daysDS')
+            ]);
+        });
+    }
+}, function(){
+    QUnit.test('CacheEntry class exists', function(a){
+        a.equal(typeof cjdb.CacheEntry, 'function');
+    });
+    
+    QUnit.test('all entries listed', function(a){
+        a.expect(12);
+        return this.db.cacheEntries().then(function(entries){
+            a.strictEqual(entries.length, 3, 'expected number of entries');
+            a.ok(entries.every(function(e){ return e instanceof cjdb.CacheEntry; }), 'entries are CacheEntry objects');
+            let byKey = {};
+            for(let e of entries) byKey[e.datasourcePath().join('.') + '.' + e.streamName()] = e;
+            let movies = byKey['moviesDS.byYear.n_1980'];
+            a.deepEqual(movies.datasourcePath(), ['moviesDS', 'byYear'], 'datasource path reported');
+            a.deepEqual(movies.fetcherPath(), ['byYear'], 'fetcher path reported');
+            a.notOk(validate.single(movies.timestamp(), { presence: true, iso8601: true }), 'timestamp is an ISO8601 string');
+            a.strictEqual(movies.ttl(), 30 * 60 * 1000, 'datasource TTL applied');
+            a.ok(movies.isWithinTTL(), 'fresh entry within TTL');
+            a.ok(movies.size() > 0, 'size reported');
+            a.strictEqual(movies.path(), 'memory:moviesDS.byYear.n_1980', 'location reported');
+            let old = byKey['daysDS.old'];
+            a.strictEqual(old.ttl(), 10 * 60 * 1000, 'default TTL applied');
+            a.ok(old.age() >= 2 * 60 * 60 * 1000, 'age reported in milliseconds');
+            a.notOk(old.isWithinTTL(), 'expired entry not within TTL');
+        });
+    });
+    
+    QUnit.test('entries filtered by datasource path', function(a){
+        a.expect(2);
+        let db = this.db;
+        return db.cacheEntries('daysDS').then(function(entries){
+            a.deepEqual(entries.map(function(e){ return e.streamName(); }).sort(), ['main', 'old'], 'filtered by datasource name');
+            return db.cacheEntries(['moviesDS', 'byYear']);
+        }).then(function(entries){
+            a.strictEqual(entries.length, 1, 'filtered by fetcher path');
+        });
+    });
+    
+    QUnit.test('entries described without decoding their data', function(a){
+        a.expect(4);
+        let keyRequests = 0;
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), encryptionKeyProvider: function(){
+            keyRequests++;
+            return Buffer.alloc(32, 7);
+        }});
+        db.register('secretDS', new cjdb.Datasource(function(){
+            return new cjdb.CacheDirectives('secret', { tags: ['grades'] });
+        }, { encryptCache: true, pinCache: true }));
+        return db.fetchDataPromise('secretDS').then(function(){
+            keyRequests = 0;
+            return db.cacheEntries();
+        }).then(function(entries){
+            a.deepEqual(entries[0].tags(), ['grades'], 'tags reported');
+            a.ok(entries[0].isPinned(), 'pinned state reported');
+            return db.invalidateTag('grades');
+        }).then(function(removed){
+            a.strictEqual(removed.length, 1, 'tagged entry invalidated');
+            a.strictEqual(keyRequests, 0, 'no entries decrypted');
+        });
+    });
+});
+
+QUnit.module('purging expired cache entries', {
+    beforeEach: function(){
+        let store = new cjdb.MemoryCacheStore();
+        let db = new cjdb.Databridge({ cacheStore: store, defaultCacheTTL: 60 });
+        db.register('daysDS', new cjdb.Datasource(function(){ return ['mon']; }));
+        this.db = db;
+        this.store = store;
+        return putRawCache(store, 'daysDS', 'old', moment().subtract(2, 'hours').toISOString(), []).then(function(){
+            return db.fetchDataPromise('daysDS');
+        });
+    },
+    afterEach: function(){
+        this.db.stopPurging();
+    }
+}, function(){
+    QUnit.test('.purgeExpired()', function(a){
+        a.expect(5);
+        let db = this.db;
+        return db.purgeExpired({ gracePeriod: 90 }).then(function(res){
+            a.strictEqual(res.entries, 0, 'entries within grace period kept');
+            return db.purgeExpired();
+        }).then(function(res){
+            a.strictEqual(res.entries, 1, 'expired entry removed');
+            a.strictEqual(res.bytes, Buffer.byteLength(JSON.stringify({ datasourceName: 'daysDS', dataFetcherPath: [], datastreamName: 'old', timestamp: moment().toISOString(), data: [] })), 'bytes freed reported');
+            a.deepEqual(res.removed.map(function(r){ return r.streamName; }), ['old'], 'removed entries reported');
+            return db.cacheStore().list();
+        }).then(function(infos){
+            a.deepEqual(infos.map(function(i){ return i.key; }), ['daysDS.main'], 'fresh entry kept');
+        });
+    });
+    
+    QUnit.test('unreadable entries purged & stored metadata used', function(a){
+        a.expect(2);
+        let db = this.db;
+        let store = this.store;
+        let loadedKeys = [];
+        return store.put('daysDS.corruptOld', Buffer.from('not a cache')).then(function(){
+            return store.put('daysDS.corruptNew', Buffer.from('not a cache'));
+        }).then(function(){
+            store._values.get('daysDS.corruptOld').modified = moment().subtract(2, 'hours').toISOString();
+            let storeGet = store.get;
+            store.get = function(key){
+                loadedKeys.push(key);
+                return storeGet.call(store, key);
+            };
+            return db.purgeExpired();
+        }).then(function(res){
+            a.deepEqual(res.removed.map(function(r){ return r.streamName; }).sort(), ['corruptOld', 'old'], 'unreadable entry aged from when it was written');
+            a.deepEqual(Array.from(new Set(loadedKeys)).sort(), ['daysDS.corruptNew', 'daysDS.corruptOld', 'daysDS.old'], 'entries with metadata not loaded');
+        });
+    });
+    
+    QUnit.test('unreadable entries aged by the store\'s clock', function(a){
+        a.expect(2);
+        let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+        let store = new cjdb.MemoryCacheStore();
+        let db = new cjdb.Databridge({ cacheStore: store, clock: clock, defaultCacheTTL: 60 });
+        return store.put('daysDS.corrupt', Buffer.from('not a cache')).then(function(){
+            clock.advance('PT59M');
+            return db.purgeExpired();
+        }).then(function(res){
+            a.strictEqual(res.entries, 0, 'unreadable entry within its TTL on the clock kept');
+            clock.advance('PT2M');
+            return db.purgeExpired();
+        }).then(function(res){
+            a.strictEqual(res.entries, 1, 'unreadable entry expired on the clock purged');
+        });
+    });
+    
+    QUnit.test('entries rewritten while waiting for the lock kept', function(a){
+        a.expect(3);
+        let db = this.db;
+        let store = this.store;
+        let locked = [];
+        let storeLock = store.lock;
+        store.lock = function(key){
+            locked.push(key);
+            return putRawCache(store, 'daysDS', 'old', moment().toISOString(), ['rewritten']).then(function(){
+                return storeLock.call(store, key);
+            });
+        };
+        return db.purgeExpired().then(function(res){
+            a.deepEqual(locked, ['daysDS.old'], 'expired entry locked');
+            a.strictEqual(res.entries, 0, 'rewritten entry not purged');
+            return store.has('daysDS.old');
+        }).then(function(present){
+            a.ok(present, 'rewritten entry kept');
+        });
+    });
+    
+    QUnit.test('background purging', function(a){
+        a.expect(3);
+        let db = this.db;
+        let store = this.store;
+        a.strictEqual(db.startPurging(0.001), db, 'function chaining supported');
+        return new Promise(function(resolve){ setTimeout(resolve, 200); }).then(function(){
+            return store.has('daysDS.old');
+        }).then(function(present){
+            a.notOk(present, 'expired entry purged in the background');
+            a.strictEqual(db.stopPurging(), db, 'purging stopped');
+        });
+    });
+    
+    QUnit.test('durations accepted', function(a){
+        a.expect(4);
+        let db = this.db;
+        a.throws(
+            function(){
+                new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), purgeInterval: 'often' });
+            },
+            validateParams.ValidationError,
+            'invalid purge interval rejected'
+        );
+        a.throws(
+            function(){
+                db.startPurging({ hours: 0 });
+            },
+            validateParams.ValidationError,
+            'zero-length purge interval rejected'
+        );
+        return db.purgeExpired({ gracePeriod: 'PT90M' }).then(function(res){
+            a.strictEqual(res.entries, 0, 'ISO 8601 grace period applied');
+            return db.purgeExpired({ gracePeriod: { minutes: 30 } });
+        }).then(function(res){
+            a.strictEqual(res.entries, 1, 'object grace period applied');
+        });
+    });
+    
+    QUnit.test('background purging configured via options', function(a){
+        a.expect(1);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), purgeInterval: 60 });
+        a.ok(db._purgeTimer, 'purge timer started');
+        db.stopPurging();
+    });
+});
+
+QUnit.module('cache size quotas', {
+    beforeEach: function(){
+        this.store = new cjdb.MemoryCacheStore();
+        this.pause = function(){
+            return new Promise(function(resolve){ setTimeout(resolve, 10); });
+        };
+        this.keys = function(){
+            return this.store.list().then(function(infos){
+                return infos.map(function(i){ return i.key; }).sort();
+            });
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(4);
+        a.strictEqual(new cjdb.Databridge().option('evictionPolicy'), 'lru', 'eviction policy defaults to lru');
+        a.throws(
+            function(){
+                new cjdb.Databridge({ evictionPolicy: 'random' });
+            },
+            validateParams.ValidationError,
+            'unsupported databridge eviction policy rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Databridge({ maxCacheSize: 0 });
+            },
+            validateParams.ValidationError,
+            'non-positive databridge quota rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { maxCacheSize: -1 });
+            },
+            validateParams.ValidationError,
+            'non-positive datasource quota rejected'
+        );
+    });
+    
+    QUnit.test('least recently used entries evicted by default', function(a){
+        a.expect(2);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store, maxCacheSize: 500 });
+        for(let n of [1, 2, 3]) db.register(`ds${n}`, new cjdb.Datasource(function(){ return 'x'.repeat(100); }));
+        return db.fetchDataPromise('ds1').then(self.pause).then(function(){
+            return db.fetchDataPromise('ds2');
+        }).then(self.pause).then(function(){
+            return db.fetchDataPromise('ds1');
+        }).then(self.pause).then(function(){
+            return db.fetchDataPromise('ds3');
+        }).then(function(){
+            return self.keys();
+        }).then(function(keys){
+            a.deepEqual(keys, ['ds1.main', 'ds3.main'], 'least recently used entry evicted');
+            return self.store.list();
+        }).then(function(infos){
+            a.ok(infos.reduce(function(sum, i){ return sum + i.size; }, 0) <= 500, 'cache within quota');
+        });
+    });
+    
+    QUnit.test('entries evicted in one batch', function(a){
+        a.expect(2);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store, maxCacheSize: 500 });
+        db.register('smallDS', new cjdb.Datasource(function(){ return 'x'.repeat(100); }));
+        db.register('bigDS', new cjdb.Datasource(function(){ return 'x'.repeat(300); }));
+        let batches = [];
+        let invalidateKeys = db._invalidateKeys;
+        return Promise.all([1, 2, 3].map(function(n){ return db.fetchDataPromise('smallDS', {}, [n]); })).then(function(){
+            db._invalidateKeys = function(cacheKeys){
+                batches.push(cacheKeys.slice());
+                return invalidateKeys.call(db, cacheKeys);
+            };
+            return db.fetchDataPromise('bigDS');
+        }).then(function(){
+            a.deepEqual(batches.map(function(keys){ return keys.length; }), [2], 'entries evicted with a single invalidation');
+            return self.keys();
+        }).then(function(keys){
+            a.deepEqual(keys, ['bigDS.main'], 'evicted entries removed');
+        });
+    });
+    
+    QUnit.test('oldest & largest first policies', function(a){
+        a.expect(2);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store, maxCacheSize: 500, evictionPolicy: 'oldest' });
+        for(let n of [1, 2, 3]) db.register(`ds${n}`, new cjdb.Datasource(function(){ return 'x'.repeat(100); }));
+        let largeStore = new cjdb.MemoryCacheStore();
+        let largeDB = new cjdb.Databridge({ cacheStore: largeStore, maxCacheSize: 700, evictionPolicy: 'largest' });
+        largeDB.register('ds1', new cjdb.Datasource(function(){ return 'x'.repeat(50); }));
+        largeDB.register('ds2', new cjdb.Datasource(function(){ return 'x'.repeat(300); }));
+        largeDB.register('ds3', new cjdb.Datasource(function(){ return 'x'.repeat(50); }));
+        return db.fetchDataPromise('ds1').then(self.pause).then(function(){
+            return db.fetchDataPromise('ds2');
+        }).then(self.pause).then(function(){
+            return db.fetchDataPromise('ds1');
+        }).then(self.pause).then(function(){
+            return db.fetchDataPromise('ds3');
+        }).then(function(){
+            return self.keys();
+        }).then(function(keys){
+            a.deepEqual(keys, ['ds2.main', 'ds3.main'], 'oldest entry evicted despite recent use');
+            return largeDB.fetchDataPromise('ds1');
+        }).then(function(){
+            return largeDB.fetchDataPromise('ds2');
+        }).then(function(){
+            return largeDB.fetchDataPromise('ds3');
+        }).then(function(){
+            return largeStore.list();
+        }).then(function(infos){
+            a.deepEqual(infos.map(function(i){ return i.key; }).sort(), ['ds1.main', 'ds3.main'], 'largest entry evicted');
+        });
+    });
+    
+    QUnit.test('datasource quotas & pinned entries', function(a){
+        a.expect(5);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store });
+        let data = { a: 'x'.repeat(100), b: 'x'.repeat(100), c: 'x'.repeat(100) };
+        let fetcher = function(k){ return data[k]; };
+        fetcher.streamNameGenerator = function(fParams){ return 'key_' + fParams[0]; };
+        db.register('quotaDS', new cjdb.Datasource(fetcher, { maxCacheSize: 500 }));
+        db.register('pinnedDS', new cjdb.Datasource(function(){ return 'x'.repeat(400); }, { pinCache: true }));
+        return db.fetchResponse('pinnedDS').dataPromise().then(function(){
+            return db.fetchResponse('quotaDS', { pinCache: true }, ['a']).dataPromise();
+        }).then(function(){
+            return db.fetchDataPromise('quotaDS', {}, ['b']);
+        }).then(self.pause).then(function(){
+            return db.fetchDataPromise('quotaDS', {}, ['c']);
+        }).then(function(){
+            return self.keys();
+        }).then(function(keys){
+            a.deepEqual(keys, ['pinnedDS.main', 'quotaDS.key_a', 'quotaDS.key_c'], 'unpinned entry evicted within datasource quota only');
+            return db.cacheEntries();
+        }).then(function(entries){
+            let pinned = entries.filter(function(e){ return e.isPinned(); }).map(function(e){ return e.streamName(); }).sort();
+            a.deepEqual(pinned, ['key_a', 'main'], 'pinned entries reported');
+            data.d = 'x'.repeat(400);
+            let fr = db.fetchResponse('quotaDS', {}, ['d']);
+            return fr.dataPromise().then(function(d){
+                a.strictEqual(d, data.d, 'data returned when it cannot be cached');
+                a.notOk(fr.meta('cacheWrite'), 'data that cannot fit not cached');
+                return self.keys();
+            });
+        }).then(function(keys){
+            a.ok(keys.indexOf('quotaDS.key_a') !== -1, 'pinned entry never evicted');
+        });
+    });
+    
+    QUnit.test('concurrent writes kept within quota', function(a){
+        a.expect(2);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store, maxCacheSize: 500 });
+        for(let n of [1, 2, 3]) db.register(`ds${n}`, new cjdb.Datasource(function(){ return 'x'.repeat(100); }));
+        return Promise.all([1, 2, 3].map(function(n){
+            return db.fetchDataPromise(`ds${n}`);
+        })).then(function(){
+            return self.store.list();
+        }).then(function(infos){
+            a.strictEqual(infos.length, 2, 'entry evicted to make room');
+            a.ok(infos.reduce(function(sum, i){ return sum + i.size; }, 0) <= 500, 'cache within quota');
+        });
+    });
+    
+    QUnit.test('pinned state read from metadata & unknown entries kept', function(a){
+        a.expect(3);
+        let self = this;
+        let store = this.store;
+        let db = new cjdb.Databridge({ cacheStore: store, maxCacheSize: 500 });
+        for(let n of [1, 2]) db.register(`ds${n}`, new cjdb.Datasource(function(){ return 'x'.repeat(100); }));
+        let loadedKeys = [];
+        return store.put('junkDS.main', Buffer.from('x'.repeat(150))).then(self.pause).then(function(){
+            return db.fetchDataPromise('ds1');
+        }).then(self.pause).then(function(){
+            let storeGet = store.get;
+            store.get = function(key){
+                loadedKeys.push(key);
+                return storeGet.call(store, key);
+            };
+            return db.fetchDataPromise('ds2');
+        }).then(function(){
+            return self.keys();
+        }).then(function(keys){
+            a.deepEqual(keys, ['ds2.main', 'junkDS.main'], 'entry with unknown pinned state not evicted');
+            a.deepEqual(loadedKeys.filter(function(k){ return k !== 'ds2.main'; }), ['junkDS.main'], 'only entries without metadata loaded');
+            return store.list();
+        }).then(function(infos){
+            let info = infos.find(function(i){ return i.key === 'ds2.main'; });
+            a.strictEqual(info.meta.pinned, false, 'pinned state stored as metadata');
+        });
+    });
+});
+
+QUnit.module('stale-while-revalidate', {
+    beforeEach: function(){
+        let store = new cjdb.MemoryCacheStore();
+        this.store = store;
+        this.putStale = function(dsName){
+            return store.put(dsName + '.main', Buffer.from(JSON.stringify({
+                datasourceName: dsName,
+                dataFetcherPath: [],
+                datastreamName: 'main',
+                timestamp: moment().subtract(90, 'minutes').toISOString(),
+                data: 'stale'
+            })));
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(3);
+        a.strictEqual(new cjdb.Databridge().option('staleWhileRevalidate'), 0, 'window defaults to zero');
+        a.throws(
+            function(){
+                new cjdb.Databridge({ staleWhileRevalidate: -1 });
+            },
+            validateParams.ValidationError,
+            'negative databridge window rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { staleWhileRevalidate: 'soon' });
+            },
+            validateParams.ValidationError,
+            'non-numeric datasource window rejected'
+        );
+    });
+    
+    QUnit.test('stale data returned while refreshing', function(a){
+        a.expect(6);
+        let db = new cjdb.Databridge({ cacheStore: this.store, staleWhileRevalidate: 60 });
+        let calls = 0;
+        db.register('swrDS', new cjdb.Datasource(function(){ calls++; return 'fresh'; }));
+        return this.putStale('swrDS').then(function(){
+            let fr = db.fetchResponse('swrDS');
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'stale', 'expired data returned immediately');
+                a.strictEqual(fr.meta('stale'), true, 'data flagged as stale');
+                a.ok(fr.meta('cacheRead'), 'cache read recorded');
+                return fr.meta('refreshPromise');
+            });
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'refresh promise resolves to refreshed data');
+            let fr = db.fetchResponse('swrDS');
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'fresh', 'cache rewritten by refresh');
+                a.ok(!fr.meta('stale') && calls === 1, 'fresh cache served without refetching');
+            });
+        });
+    });
+    
+    QUnit.test('window precedence', function(a){
+        a.expect(3);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store, staleWhileRevalidate: 60 });
+        db.register('noSwrDS', new cjdb.Datasource(function(){ return 'fresh'; }, { staleWhileRevalidate: 0 }));
+        db.register('shortSwrDS', new cjdb.Datasource(function(){ return 'fresh'; }, { staleWhileRevalidate: 0 }));
+        db.register('expiredDS', new cjdb.Datasource(function(){ return 'fresh'; }, { staleWhileRevalidate: 10 }));
+        return Promise.all(['noSwrDS', 'shortSwrDS', 'expiredDS'].map(function(n){ return self.putStale(n); })).then(function(){
+            return db.fetchDataPromise('noSwrDS');
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'datasource window overrides databridge window');
+            let fr = db.fetchResponse('shortSwrDS', { staleWhileRevalidate: 60 });
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'stale', 'request window overrides datasource window');
+                return fr.meta('refreshPromise');
+            });
+        }).then(function(){
+            return db.fetchDataPromise('expiredDS');
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'data older than the window fetched as normal');
+        });
+    });
+});
+
+QUnit.module('stale-if-error', {
+    beforeEach: function(){
+        let store = new cjdb.MemoryCacheStore();
+        this.store = store;
+        this.putStale = function(dsName){
+            return store.put(dsName + '.main', Buffer.from(JSON.stringify({
+                datasourceName: dsName,
+                dataFetcherPath: [],
+                datastreamName: 'main',
+                timestamp: moment().subtract(90, 'minutes').toISOString(),
+                data: 'stale'
+            })));
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(2);
+        a.strictEqual(new cjdb.Databridge().option('staleIfError'), 0, 'limit defaults to zero');
+        a.throws(
+            function(){
+                new cjdb.Databridge({ staleIfError: -1 });
+            },
+            validateParams.ValidationError,
+            'negative limit rejected'
+        );
+    });
+    
+    QUnit.test('stale data returned when the fetcher fails', function(a){
+        a.expect(7);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store, staleIfError: 60 });
+        db.register('throwDS', new cjdb.Datasource(function(){ throw new Error('upstream down'); }));
+        db.register('rejectDS', new cjdb.Datasource(function(){ return Promise.reject(new Error('upstream down')); }));
+        return Promise.all([this.putStale('throwDS'), this.putStale('rejectDS')]).then(function(){
+            let fr = db.fetchResponse('throwDS');
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'stale', 'stale data returned when the fetcher throws');
+                a.strictEqual(fr.meta('stale'), true, 'data flagged as stale');
+                a.ok(fr.meta('fetchError') instanceof Error, 'original error recorded');
+                a.ok(fr.meta('cacheAge') >= 90 * 60 * 1000, 'cache age recorded');
+            });
+        }).then(function(){
+            let fr = db.fetchResponse('rejectDS');
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'stale', 'stale data returned when the fetcher rejects');
+                a.strictEqual(fr.meta('fetchError').message, 'upstream down', 'rejection recorded');
+            });
+        }).then(function(){
+            return db.fetchDataPromise('rejectDS', { staleIfError: 10 });
+        }).then(
+            function(){
+                a.ok(false, 'data older than the limit returned');
+            },
+            function(){
+                a.ok(true, 'error surfaced when the cache is older than the limit');
+            }
+        );
+    });
+});
+
+QUnit.module('duration TTLs', {}, function(){
+    QUnit.test('TTL options accept durations', function(a){
+        a.expect(4);
+        a.strictEqual(new cjdb.Databridge({ defaultCacheTTL: 'P1D' }).option('defaultCacheTTL'), 'P1D', 'ISO 8601 default TTL accepted');
+        a.strictEqual(new cjdb.Databridge({ defaultCacheTTL: '15' }).option('defaultCacheTTL'), 15, 'numeric strings still coerced to minutes');
+        a.deepEqual(new cjdb.Datasource(function(){}, { cacheTTL: { seconds: 15 } }).option('cacheTTL'), { seconds: 15 }, 'object datasource TTL accepted');
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { cacheTTL: 'PT0S' });
+            },
+            validateParams.ValidationError,
+            'zero-length TTL rejected'
+        );
+    });
+    
+    QUnit.test('sub-minute TTLs applied', function(a){
+        a.expect(4);
+        let store = new cjdb.MemoryCacheStore();
+        let db = new cjdb.Databridge({ cacheStore: store });
+        let calls = 0;
+        db.register('shortDS', new cjdb.Datasource(function(){ return ++calls; }, { cacheTTL: { milliseconds: 50 } }));
+        db.register('isoDS', new cjdb.Datasource(function(){ return 'fresh'; }, { cacheTTL: 'PT30S' }));
+        return db.fetchDataPromise('shortDS').then(function(){
+            return db.fetchDataPromise('shortDS');
+        }).then(function(data){
+            a.strictEqual(data, 1, 'data cached within a millisecond TTL');
+            return new Promise(function(resolve){ setTimeout(resolve, 100); });
+        }).then(function(){
+            return db.fetchDataPromise('shortDS');
+        }).then(function(data){
+            a.strictEqual(data, 2, 'data refetched after a millisecond TTL');
+            return store.put('isoDS.main', Buffer.from(JSON.stringify({
+                datasourceName: 'isoDS',
+                dataFetcherPath: [],
+                datastreamName: 'main',
+                timestamp: moment().subtract(45, 'seconds').toISOString(),
+                data: 'old'
+            })));
+        }).then(function(){
+            return db.fetchDataPromise('isoDS');
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'data older than an ISO 8601 TTL refetched');
+            return db.cacheEntries('isoDS');
+        }).then(function(entries){
+            a.strictEqual(entries[0].ttl(), 30 * 1000, 'entry TTL reported in milliseconds');
+        });
+    });
+});
+
+QUnit.module('per-fetcher & per-request TTLs', {
+    beforeEach: function(){
+        let store = new cjdb.MemoryCacheStore();
+        this.store = store;
+        this.putAged = function(sourcePath, minutes){
+            return store.put(sourcePath.join('.') + '.main', Buffer.from(JSON.stringify({
+                datasourceName: sourcePath[0],
+                dataFetcherPath: sourcePath.slice(1),
+                datastreamName: 'main',
+                timestamp: moment().subtract(minutes, 'minutes').toISOString(),
+                data: 'cached'
+            })));
+        };
+    }
+}, function(){
+    QUnit.test('fetcher TTLs validated', function(a){
+        a.expect(2);
+        let fetcher = function(){};
+        fetcher.cacheTTL = 'soon';
+        a.throws(
+            function(){
+                new cjdb.Datasource(fetcher);
+            },
+            validateParams.ValidationError,
+            'invalid TTL on a single fetcher rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Datasource({ nested: { feed: fetcher } });
+            },
+            validateParams.ValidationError,
+            'invalid TTL on a nested fetcher rejected'
+        );
+    });
+    
+    QUnit.test('fetcher TTLs take precedence over the datasource TTL', function(a){
+        a.expect(3);
+        let db = new cjdb.Databridge({ cacheStore: this.store });
+        let feed = function(){ return 'fresh'; };
+        feed.cacheTTL = 5;
+        db.register('mixedDS', new cjdb.Datasource({ lookup: function(){ return 'fresh'; }, feeds: { live: feed } }, { cacheTTL: 'P1D' }));
+        return Promise.all([this.putAged(['mixedDS', 'lookup'], 30), this.putAged(['mixedDS', 'feeds', 'live'], 30)]).then(function(){
+            return db.fetchDataPromise(['mixedDS', 'lookup']);
+        }).then(function(data){
+            a.strictEqual(data, 'cached', 'datasource TTL applied to fetcher without its own TTL');
+            return db.fetchDataPromise(['mixedDS', 'feeds', 'live']);
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'fetcher TTL applied to nested fetcher');
+            return db.cacheEntries(['mixedDS', 'feeds']);
+        }).then(function(entries){
+            a.strictEqual(entries[0].ttl(), 5 * 60 * 1000, 'fetcher TTL reported by cache entries');
+        });
+    });
+    
+    QUnit.test('maxAge & minFresh request options', function(a){
+        a.expect(4);
+        let db = new cjdb.Databridge({ cacheStore: this.store, defaultCacheTTL: 60 });
+        db.register('agedDS', new cjdb.Datasource(function(){ return 'fresh'; }));
+        a.throws(
+            function(){
+                db.fetchResponse('agedDS', { maxAge: 'old' });
+            },
+            validateParams.ValidationError,
+            'invalid maxAge rejected'
+        );
+        let self = this;
+        return this.putAged(['agedDS'], 30).then(function(){
+            return db.fetchDataPromise('agedDS', { maxAge: 45 });
+        }).then(function(data){
+            a.strictEqual(data, 'cached', 'cache younger than maxAge returned');
+            return db.fetchDataPromise('agedDS', { minFresh: 'PT20M' });
+        }).then(function(data){
+            a.strictEqual(data, 'cached', 'cache fresh for longer than minFresh returned');
+            return self.putAged(['agedDS'], 30);
+        }).then(function(){
+            return db.fetchDataPromise('agedDS', { maxAge: 45, minFresh: 'PT40M' });
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'cache not fresh for long enough re-fetched');
+        });
+    });
+    
+    QUnit.test('minFresh doesn\'t shrink the stale windows', function(a){
+        a.expect(4);
+        let db = new cjdb.Databridge({ cacheStore: this.store, defaultCacheTTL: 60, staleWhileRevalidate: 30 });
+        db.register('agedDS', new cjdb.Datasource(function(){ return 'fresh'; }));
+        let self = this;
+        return this.putAged(['agedDS'], 80).then(function(){
+            let fr = db.fetchResponse('agedDS', { minFresh: 'PT20M' });
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'cached', 'expired cache within the stale-while-revalidate window returned');
+                a.strictEqual(fr.meta('stale'), true, 'data flagged as stale');
+                return fr.meta('refreshPromise');
+            });
+        }).then(function(){
+            return self.putAged(['agedDS'], 50);
+        }).then(function(){
+            let fr = db.fetchResponse('agedDS', { minFresh: 'PT2H' });
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'cached', 'minFresh longer than the TTL leaves the stale window intact');
+                a.strictEqual(fr.meta('stale'), true, 'cache not fresh enough flagged as stale');
+                return fr.meta('refreshPromise');
+            });
+        });
+    });
+});
+
+QUnit.module('expiry schedules', {
+    beforeEach: function(){
+        let store = new cjdb.MemoryCacheStore();
+        this.store = store;
+        this.putCached = function(dsName, timestamp){
+            return store.put(dsName + '.main', Buffer.from(JSON.stringify({
+                datasourceName: dsName,
+                dataFetcherPath: [],
+                datastreamName: 'main',
+                timestamp: timestamp.toISOString(),
+                data: 'cached'
+            })));
+        };
+    }
+}, function(){
+    QUnit.test('invalid schedules rejected', function(a){
+        a.expect(2);
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { expirySchedule: 'daily at six' });
+            },
+            validateParams.ValidationError,
+            'invalid datasource schedule rejected'
+        );
+        let fetcher = function(){};
+        fetcher.expirySchedule = '61 * * * *';
+        a.throws(
+            function(){
+                new cjdb.Datasource(fetcher);
+            },
+            validateParams.ValidationError,
+            'invalid fetcher schedule rejected'
+        );
+    });
+    
+    QUnit.test('cron schedules used in place of TTLs', function(a){
+        a.expect(3);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store });
+        db.register('hourlyDS', new cjdb.Datasource(function(){ return 'fresh'; }, { cacheTTL: 'P1D', expirySchedule: '@hourly' }));
+        db.register('yearlyDS', new cjdb.Datasource(function(){ return 'fresh'; }, { cacheTTL: 1, expirySchedule: '0 0 1 1 *' }));
+        let writtenAt = moment().subtract(2, 'hours');
+        return Promise.all([this.putCached('hourlyDS', writtenAt), this.putCached('yearlyDS', moment().subtract(5, 'minutes'))]).then(function(){
+            return db.fetchDataPromise('hourlyDS');
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'cache past its scheduled expiry re-fetched despite a longer TTL');
+            return db.fetchDataPromise('yearlyDS');
+        }).then(function(data){
+            a.strictEqual(data, 'cached', 'cache before its scheduled expiry returned despite a shorter TTL');
+            return self.putCached('hourlyDS', writtenAt);
+        }).then(function(){
+            return db.cacheEntries('hourlyDS');
+        }).then(function(entries){
+            let expected = moment(writtenAt).startOf('hour').add(1, 'hour').diff(moment(writtenAt));
+            a.strictEqual(entries[0].ttl(), expected, 'TTL reported up to the scheduled expiry');
+        });
+    });
+    
+    QUnit.test('expires at callbacks', function(a){
+        a.expect(3);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: this.store });
+        let receivedTimestamp;
+        let fetcher = function(){ return 'fresh'; };
+        fetcher.expirySchedule = function(timestamp){
+            receivedTimestamp = timestamp;
+            return moment(timestamp).add(30, 'minutes').toDate();
+        };
+        db.register('callbackDS', new cjdb.Datasource(fetcher, { cacheTTL: 'P1D' }));
+        let writtenAt = moment().subtract(20, 'minutes');
+        return this.putCached('callbackDS', writtenAt).then(function(){
+            return db.fetchDataPromise('callbackDS');
+        }).then(function(data){
+            a.strictEqual(data, 'cached', 'cache before its expiry returned');
+            a.strictEqual(receivedTimestamp, writtenAt.toISOString(), 'callback passed the cache timestamp');
+            return self.putCached('callbackDS', moment().subtract(40, 'minutes'));
+        }).then(function(){
+            return db.fetchDataPromise('callbackDS');
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'cache past its expiry re-fetched');
+        });
+    });
+});
+
+QUnit.module('fetcher cache directives', {
+    beforeEach: function(){
+        this.db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore() });
+    }
+}, function(){
+    QUnit.test('CacheDirectives class', function(a){
+        a.expect(6);
+        a.equal(typeof cjdb.CacheDirectives, 'function', 'class exported');
+        let expiry = new Date(Date.now() + 60000);
+        let cd = new cjdb.CacheDirectives({ a: 1 }, { expiresAt: expiry, tags: ['rates'] });
+        a.deepEqual(cd.data(), { a: 1 }, 'data stored');
+        a.strictEqual(cd.expiresAt(), expiry.toISOString(), 'dates converted to ISO 8601 strings');
+        a.strictEqual(cd.noStore(), false, 'no-store defaults to false');
+        a.deepEqual(cd.tags(), ['rates'], 'tags stored');
+        a.throws(
+            function(){
+                new cjdb.CacheDirectives({}, { ttl: 'forever' });
+            },
+            validateParams.ValidationError,
+            'invalid TTL rejected'
+        );
+    });
+    
+    QUnit.test('wrapped data unwrapped', function(a){
+        a.expect(2);
+        let db = this.db;
+        db.register('wrappedDS', new cjdb.Datasource(function(){ return new cjdb.CacheDirectives('data', { ttl: 'PT1H' }); }));
+        db.register('uncachedDS', new cjdb.Datasource(function(){ return Promise.resolve(new cjdb.CacheDirectives('data')); }, { enableCaching: false }));
+        return db.fetchDataPromise('wrappedDS').then(function(data){
+            a.strictEqual(data, 'data', 'data unwrapped when caching');
+            return db.fetchDataPromise('uncachedDS');
+        }).then(function(data){
+            a.strictEqual(data, 'data', 'data unwrapped when not caching');
+        });
+    });
+    
+    QUnit.test('directives honoured', function(a){
+        a.expect(6);
+        let db = this.db;
+        let calls = { ttl: 0, expired: 0, noStore: 0 };
+        db.register('ttlDS', new cjdb.Datasource(function(){
+            calls.ttl++;
+            return new cjdb.CacheDirectives('data', { ttl: 'P1D', tags: ['daily'] });
+        }, { cacheTTL: { milliseconds: 1 } }));
+        db.register('expiredDS', new cjdb.Datasource(function(){
+            calls.expired++;
+            return new cjdb.CacheDirectives('data', { expiresAt: moment().subtract(1, 'minute').toISOString() });
+        }));
+        db.register('noStoreDS', new cjdb.Datasource(function(){
+            calls.noStore++;
+            return new cjdb.CacheDirectives('data', { noStore: true });
+        }));
+        let fetchTwice = function(dsName){
+            return db.fetchDataPromise(dsName).then(function(){
+                return new Promise(function(resolve){ setTimeout(resolve, 10); });
+            }).then(function(){
+                return db.fetchDataPromise(dsName);
+            });
+        };
+        return fetchTwice('ttlDS').then(function(){
+            a.strictEqual(calls.ttl, 1, 'fetcher TTL directive overrides the datasource TTL');
+            return fetchTwice('expiredDS');
+        }).then(function(){
+            a.strictEqual(calls.expired, 2, 'expiry directive honoured');
+            let fr = db.fetchResponse('noStoreDS');
+            return fr.dataPromise().then(function(){
+                a.ok(fr.meta('noStore') && !fr.meta('cacheWrite'), 'no-store directive honoured');
+                return db.cacheStore().has('noStoreDS.main');
+            });
+        }).then(function(present){
+            a.notOk(present, 'nothing written to the store');
+            return db.cacheEntries('ttlDS');
+        }).then(function(entries){
+            a.deepEqual(entries[0].tags(), ['daily'], 'tags stored with the cache');
+            return db.invalidateTag('daily');
+        }).then(function(removed){
+            a.deepEqual(removed.map(function(r){ return r.datasourcePath[0]; }), ['ttlDS'], 'tagged caches invalidated');
+        });
+    });
+});
+
+QUnit.module('clocks', {}, function(){
+    QUnit.test('classes exported', function(a){
+        a.expect(3);
+        a.equal(typeof cjdb.Clock, 'function', 'Clock exported');
+        a.equal(typeof cjdb.FakeClock, 'function', 'FakeClock exported');
+        a.ok(new cjdb.FakeClock() instanceof cjdb.Clock, 'FakeClock extends Clock');
+    });
+    
+    QUnit.test('FakeClock', function(a){
+        a.expect(6);
+        let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+        a.strictEqual(clock.now(), Date.parse('2020-01-01T06:00:00Z'), 'starts at the given time');
+        a.strictEqual(clock.advance(5), clock, 'function chaining supported');
+        a.strictEqual(clock.now(), Date.parse('2020-01-01T06:05:00Z'), 'numbers advance the clock in minutes');
+        clock.advance('PT1H');
+        a.strictEqual(clock.now(), Date.parse('2020-01-01T07:05:00Z'), 'durations advance the clock');
+        clock.set(new Date('2021-06-01T00:00:00Z'));
+        a.strictEqual(clock.now(), Date.parse('2021-06-01T00:00:00Z'), 'clock set to a given time');
+        a.throws(
+            function(){
+                clock.set('tomorrow');
+            },
+            validateParams.ValidationError,
+            'invalid times rejected'
+        );
+    });
+    
+    QUnit.test('databridge timestamps & expiry use the clock', function(a){
+        a.expect(6);
+        a.throws(
+            function(){
+                new cjdb.Databridge({ clock: { now: Date.now } });
+            },
+            validateParams.ValidationError,
+            'clocks must be Clock objects'
+        );
+        let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), clock: clock, defaultCacheTTL: 60 });
+        let calls = 0;
+        db.register('clockDS', new cjdb.Datasource(function(){ return ++calls; }));
+        let fr = db.fetchResponse('clockDS');
+        a.strictEqual(fr.request().timestamp(), '2020-01-01T06:00:00.000Z', 'request timestamped by the clock');
+        return fr.dataPromise().then(function(){
+            a.strictEqual(fr.meta('cacheWrite').timestamp, '2020-01-01T06:00:00.000Z', 'cache write timestamped by the clock');
+            clock.advance('PT59M');
+            return db.fetchDataPromise('clockDS');
+        }).then(function(data){
+            a.strictEqual(data, 1, 'cache within TTL on the clock');
+            return db.cacheEntries();
+        }).then(function(entries){
+            a.strictEqual(entries[0].age(), 59 * 60 * 1000, 'entry ages measured by the clock');
+            clock.advance('PT2M');
+            return db.fetchDataPromise('clockDS');
+        }).then(function(data){
+            a.strictEqual(data, 2, 'cache expired on the clock');
+        });
+    });
+    
+    QUnit.test('cache stores record times by the clock', function(a){
+        a.expect(5);
+        let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+        let memoryStore = new cjdb.MemoryCacheStore();
+        let fileStore = new cjdb.FileCacheStore({ cacheDir: CACHEDIR_ABSOLUTE });
+        a.strictEqual(new cjdb.Databridge({ cacheStore: memoryStore, clock: clock }).cacheStore().clock(), clock, 'clock shared with the cache store');
+        new cjdb.Databridge({ cacheStore: fileStore, clock: clock });
+        let key = 'clockTest' + Date.now() + '.main';
+        return Promise.all([memoryStore.put(key, Buffer.from('42')), fileStore.put(key, Buffer.from('42'))]).then(function(){
+            clock.advance(5);
+            return Promise.all([memoryStore.get(key), fileStore.get(key)]);
+        }).then(function(){
+            return Promise.all([memoryStore.list(), fileStore.list()]);
+        }).then(function(lists){
+            let infos = lists.map(function(infos){
+                return infos.find(function(info){ return info.key === key; });
+            });
+            a.deepEqual(infos.map(function(info){ return info.lastModified; }), ['2020-01-01T06:00:00.000Z', '2020-01-01T06:00:00.000Z'], 'modification times read from the clock');
+            a.deepEqual(infos.map(function(info){ return info.lastAccessed; }), ['2020-01-01T06:05:00.000Z', '2020-01-01T06:05:00.000Z'], 'access times read from the clock');
+            let otherClock = new cjdb.FakeClock();
+            let store = new cjdb.MemoryCacheStore();
+            store.clock(otherClock);
+            a.strictEqual(new cjdb.Databridge({ cacheStore: store, clock: clock }).cacheStore().clock(), otherClock, 'store\'s own clock kept');
+            return fileStore.delete(key);
+        }).then(function(removed){
+            a.ok(removed, 'test file removed');
+        });
+    });
+});
+
+QUnit.module('fetch coalescing', {}, function(){
+    QUnit.test('concurrent fetches of a stream share one fetcher call', function(a){
+        a.expect(4);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore() });
+        let calls = 0;
+        let fetcher = function(n){
+            calls++;
+            return new Promise(function(resolve){ setTimeout(function(){ resolve('n is ' + n); }, 20); });
+        };
+        fetcher.streamNameGenerator = function(fParams){ return 'n_' + fParams[0]; };
+        db.register('slowDS', new cjdb.Datasource(fetcher));
+        let responses = [];
+        for(let i = 0; i < 10; i++) responses.push(db.fetchResponse('slowDS', {}, [1]));
+        responses.push(db.fetchResponse('slowDS', {}, [2]));
+        return Promise.all(responses.map(function(fr){ return fr.dataPromise(); })).then(function(results){
+            a.strictEqual(calls, 2, 'fetcher called once per stream');
+            a.ok(results.slice(0, 10).every(function(r){ return r === 'n is 1'; }), 'all callers received the data');
+            let joined = responses.filter(function(fr){ return fr.meta('joinedInFlight'); });
+            a.strictEqual(joined.length, 9, 'joined responses flagged');
+            a.strictEqual(responses.filter(function(fr){ return fr.meta('cacheWrite'); }).length, 2, 'cache written once per stream');
+        });
+    });
+    
+    QUnit.test('concurrent fetches joined with a file cache store', function(a){
+        a.expect(3);
+        let db = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE });
+        let calls = 0;
+        db.register('fileCoalesceDS', new cjdb.Datasource(function(){
+            calls++;
+            return new Promise(function(resolve){ setTimeout(function(){ resolve('slow'); }, 20); });
+        }));
+        let streamName = 'coalesce' + Date.now();
+        let responses = [];
+        for(let i = 0; i < 5; i++) responses.push(db.fetchResponse('fileCoalesceDS', { streamName: streamName }));
+        return Promise.all(responses.map(function(fr){ return fr.dataPromise(); })).then(function(results){
+            a.strictEqual(calls, 1, 'fetcher called once');
+            a.ok(results.every(function(r){ return r === 'slow'; }), 'all callers received the data');
+            a.strictEqual(responses.filter(function(fr){ return fr.meta('joinedInFlight'); }).length, 4, 'requests waiting for the lock joined the fetch');
+        });
+    });
+    
+    QUnit.test('uncached fetches coalesced & failures shared', function(a){
+        a.expect(3);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore() });
+        let calls = 0;
+        db.register('failingDS', new cjdb.Datasource(function(){
+            calls++;
+            return new Promise(function(resolve, reject){ setTimeout(function(){ reject(new Error('upstream down')); }, 20); });
+        }, { enableCaching: false }));
+        let settle = function(p){
+            return p.then(function(){ return 'resolved'; }, function(err){ return err.message; });
+        };
+        return Promise.all([settle(db.fetchDataPromise('failingDS')), settle(db.fetchDataPromise('failingDS'))]).then(function(results){
+            a.strictEqual(calls, 1, 'fetcher called once');
+            a.deepEqual(results, ['upstream down', 'upstream down'], 'failure shared by all callers');
+            return settle(db.fetchDataPromise('failingDS'));
+        }).then(function(){
+            a.strictEqual(calls, 2, 'completed fetches not joined');
+        });
+    });
+    
+    (typeof AbortController === 'undefined' ? QUnit.skip : QUnit.test)('joining requests race their own timeout & signal', function(a){
+        a.expect(6);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore() });
+        let calls = 0;
+        db.register('slowDS', new cjdb.Datasource(function(){
+            calls++;
+            return new Promise(function(resolve){ setTimeout(function(){ resolve('slow'); }, 40); });
+        }));
+        let settle = function(p){
+            return p.then(function(data){ return data; }, function(err){ return err; });
+        };
+        let leader = db.fetchResponse('slowDS', { bypassCache: true });
+        let timedOut = db.fetchResponse('slowDS', { bypassCache: true, timeout: 10 });
+        let controller = new AbortController();
+        let aborted = db.fetchResponse('slowDS', { bypassCache: true, signal: controller.signal });
+        controller.abort(new Error('no longer needed'));
+        return Promise.all([
+            settle(leader.dataPromise()),
+            settle(timedOut.dataPromise()),
+            settle(aborted.dataPromise())
+        ]).then(function(results){
+            a.strictEqual(calls, 1, 'fetcher called once');
+            a.strictEqual(results[0], 'slow', 'request that started the fetch unaffected');
+            a.ok(timedOut.meta('joinedInFlight') && results[1] instanceof cjdb.TimeoutError, 'joined request timed out on its own timeout');
+            a.strictEqual(timedOut.meta('timedOut'), true, 'timeout recorded in the joined response');
+            a.strictEqual(results[2].message, 'no longer needed', 'joined request cancelled with its own signal');
+            a.strictEqual(aborted.meta('joinedInFlight'), true, 'request with a signal joined the in-flight fetch');
+        });
+    });
+    
+    (typeof AbortController === 'undefined' ? QUnit.skip : QUnit.test)('waiting for the lock limited by timeout & signal', function(a){
+        a.expect(5);
+        let holder = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE });
+        let waiter = new cjdb.Databridge({ cacheDir: CACHEDIR_ABSOLUTE });
+        let fetcher = function(){
+            return new Promise(function(resolve){ setTimeout(function(){ resolve('slow'); }, 300); });
+        };
+        holder.register('lockWaitDS', new cjdb.Datasource(fetcher));
+        waiter.register('lockWaitDS', new cjdb.Datasource(fetcher));
+        let streamName = 'lockWait' + Date.now();
+        let settle = function(p){
+            return p.then(function(data){ return data; }, function(err){ return err; });
+        };
+        let held = holder.fetchDataPromise('lockWaitDS', { streamName: streamName });
+        let started = Date.now();
+        let timedOut = undefined;
+        let controller = new AbortController();
+        return new Promise(function(resolve){ setTimeout(resolve, 20); }).then(function(){
+            timedOut = waiter.fetchResponse('lockWaitDS', { streamName: streamName, timeout: 50 });
+            let aborted = waiter.fetchResponse('lockWaitDS', { streamName: streamName, signal: controller.signal });
+            setTimeout(function(){ controller.abort(new Error('no longer needed')); }, 50);
+            return Promise.all([settle(timedOut.dataPromise()), settle(aborted.dataPromise())]);
+        }).then(function(results){
+            a.ok(results[0] instanceof cjdb.TimeoutError, 'lock wait timed out');
+            a.ok(timedOut.meta('timedOut'), 'timeout recorded in the metadata');
+            a.strictEqual(results[1].message, 'no longer needed', 'lock wait aborted');
+            a.ok(Date.now() - started < 250, 'requests gave up before the lock was released');
+            return held;
+        }).then(function(data){
+            a.strictEqual(data, 'slow', 'lock holder unaffected');
+        });
+    });
+});
+
+QUnit.module('datasource concurrency limits', {
+    beforeEach: function(){
+        let self = this;
+        this.running = 0;
+        this.maxRunning = 0;
+        this.started = [];
+        this.fetcher = function(n){
+            self.started.push(n);
+            self.running++;
+            self.maxRunning = Math.max(self.maxRunning, self.running);
+            return new Promise(function(resolve){
+                setTimeout(function(){
+                    self.running--;
+                    resolve(n);
+                }, 20);
+            });
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(2);
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { maxConcurrency: 0 });
+            },
+            validateParams.ValidationError,
+            'non-positive concurrency limit rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { maxQueueLength: 1.5 });
+            },
+            validateParams.ValidationError,
+            'non-integer queue length rejected'
+        );
+    });
+    
+    QUnit.test('calls beyond the limit queued in priority order', function(a){
+        a.expect(5);
+        let self = this;
+        let ds = new cjdb.Datasource(this.fetcher, { maxConcurrency: 2 });
+        let metas = [{}, {}, {}, {}, {}];
+        let promises = [
+            ds.fetchDataPromise([1], [], { meta: metas[0] }),
+            ds.fetchDataPromise([2], [], { meta: metas[1] }),
+            ds.fetchDataPromise([3], [], { meta: metas[2] }),
+            ds.fetchDataPromise([4], [], { meta: metas[3], priority: 5 }),
+            ds.fetchDataPromise([5], [], { meta: metas[4] })
+        ];
+        a.strictEqual(ds.queueLength(), 3, 'calls beyond the limit queued');
+        return Promise.all(promises).then(function(results){
+            a.deepEqual(results, [1, 2, 3, 4, 5], 'all calls resolved');
+            a.strictEqual(self.maxRunning, 2, 'concurrency limit respected');
+            a.deepEqual(self.started, [1, 2, 4, 3, 5], 'higher priority calls run first');
+            a.ok(metas[0].queueWait < 10 && metas[4].queueWait >= 15, 'queue wait recorded');
+        });
+    });
+    
+    QUnit.test('queue length cap', function(a){
+        a.expect(2);
+        let ds = new cjdb.Datasource(this.fetcher, { maxConcurrency: 1, maxQueueLength: 1 });
+        let first = ds.fetchDataPromise([1]);
+        let second = ds.fetchDataPromise([2]);
+        return ds.fetchDataPromise([3]).then(
+            function(){
+                a.ok(false, 'call beyond the queue cap accepted');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.QueueFullError, 'call beyond the queue cap rejected with a QueueFullError');
+                return Promise.all([first, second]);
+            }
+        ).then(function(results){
+            a.deepEqual(results, [1, 2], 'queued calls unaffected');
+        });
+    });
+    
+    QUnit.test('queue wait timed with the datasource\'s clock', function(a){
+        a.expect(3);
+        let clock = new cjdb.FakeClock();
+        let finishFirst;
+        let ds = new cjdb.Datasource(function(n){
+            if(n === 1) return new Promise(function(resolve){ finishFirst = resolve; });
+            return n;
+        }, { maxConcurrency: 1, clock: clock });
+        let meta = {};
+        let first = ds.fetchDataPromise([1]);
+        let second = ds.fetchDataPromise([2], [], { meta: meta });
+        clock.advance(2);
+        finishFirst(1);
+        return Promise.all([first, second]).then(function(){
+            a.strictEqual(meta.queueWait, 2 * 60 * 1000, 'queue wait read from the clock');
+            let bridgeClock = new cjdb.FakeClock();
+            let unclocked = new cjdb.Datasource(function(){});
+            new cjdb.Databridge({ clock: bridgeClock }).register('clockedDS', unclocked);
+            a.strictEqual(unclocked.clock(), bridgeClock, 'databridge\'s clock adopted');
+            new cjdb.Databridge().register('clockedDS', ds);
+            a.strictEqual(ds.clock(), clock, 'own clock kept');
+        });
+    });
+    
+    QUnit.test('priority & queue wait passed through the databridge', function(a){
+        a.expect(3);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore() });
+        db.register('limitedDS', new cjdb.Datasource(this.fetcher, { maxConcurrency: 1, enableCaching: false }));
+        let responses = [
+            db.fetchResponse('limitedDS', {}, [1]),
+            db.fetchResponse('limitedDS', {}, [2]),
+            db.fetchResponse('limitedDS', { priority: 1 }, [3])
+        ];
+        return Promise.all(responses.map(function(fr){ return fr.dataPromise(); })).then(function(){
+            a.deepEqual(self.started, [1, 3, 2], 'request priority applied');
+            a.strictEqual(typeof responses[0].meta('queueWait'), 'number', 'queue wait recorded in response metadata');
+            a.ok(responses[1].meta('queueWait') >= 30, 'queue wait reflects time spent queued');
+        });
+    });
+});
+
+QUnit.module('datasource rate limiting', {
+    beforeEach: function(){
+        let self = this;
+        this.calls = [];
+        this.fetcher = function(n){
+            self.calls.push(n);
+            return n;
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(4);
+        a.throws(
+            function(){
+                new cjdb.RateLimiter({ limit: 0 });
+            },
+            validateParams.ValidationError,
+            'non-positive limit rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { rateLimiter: { limit: 10 }, rateLimitMode: 'ignore' });
+            },
+            validateParams.ValidationError,
+            'invalid mode rejected'
+        );
+        a.ok(new cjdb.Datasource(function(){}, { rateLimiter: { limit: 10 } }).option('rateLimiter') instanceof cjdb.RateLimiter, 'rate limiter created from plain object');
+        a.strictEqual(new cjdb.Datasource(function(){}).option('rateLimitMode'), 'delay', 'mode defaults to delay');
+    });
+    
+    QUnit.test('calls delayed when the budget is exhausted', function(a){
+        a.expect(3);
+        let self = this;
+        let ds = new cjdb.Datasource(this.fetcher, { rateLimiter: { limit: 1, interval: { milliseconds: 20 }, burst: 2 } });
+        let metas = [{}, {}, {}];
+        return Promise.all([
+            ds.fetchDataPromise([1], [], { meta: metas[0] }),
+            ds.fetchDataPromise([2], [], { meta: metas[1] }),
+            ds.fetchDataPromise([3], [], { meta: metas[2] })
+        ]).then(function(results){
+            a.deepEqual(results, [1, 2, 3], 'all calls resolved');
+            a.deepEqual(self.calls, [1, 2, 3], 'calls made in order');
+            a.ok(metas[0].rateLimitWait === 0 && metas[2].rateLimitWait >= 10, 'rate limit wait recorded');
+        });
+    });
+    
+    QUnit.test('calls rejected when the budget is exhausted', function(a){
+        a.expect(3);
+        let ds = new cjdb.Datasource(this.fetcher, { rateLimiter: { limit: 1, interval: 'PT1M' }, rateLimitMode: 'reject' });
+        return ds.fetchDataPromise([1]).then(function(data){
+            a.strictEqual(data, 1, 'call within the budget allowed');
+            return ds.fetchDataPromise([2]);
+        }).then(
+            function(){
+                a.ok(false, 'call beyond the budget accepted');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.RateLimitError, 'call beyond the budget rejected with a RateLimitError');
+                a.ok(err.retryAfter > 50000, 'time until the next call allowed recorded');
+            }
+        );
+    });
+    
+    QUnit.test('bucket refilled by the clock', function(a){
+        a.expect(5);
+        let clock = new cjdb.FakeClock();
+        let ds = new cjdb.Datasource(this.fetcher, { rateLimiter: { limit: 1, interval: 1 }, rateLimitMode: 'reject', clock: clock });
+        let limiter = ds.option('rateLimiter');
+        a.notOk(limiter.tryAcquire() && limiter.tryAcquire(), 'budget exhausted');
+        a.strictEqual(limiter.waitTime(), 60 * 1000, 'wait time read from the clock');
+        clock.advance(1);
+        a.ok(limiter.tryAcquire(), 'bucket refilled once the clock advances');
+        let meta = {};
+        let delayed = new cjdb.Datasource(this.fetcher, { rateLimiter: { limit: 1, interval: { milliseconds: 20 } }, clock: clock });
+        return delayed.fetchDataPromise([1]).then(function(){
+            let second = delayed.fetchDataPromise([2], [], { meta: meta });
+            setTimeout(function(){ clock.advance({ milliseconds: 20 }); }, 5);
+            return second;
+        }).then(function(data){
+            a.strictEqual(data, 2, 'delayed call made once the clock advances');
+            a.strictEqual(meta.rateLimitWait, 20, 'rate limit wait read from the clock');
+        });
+    });
+    
+    QUnit.test('rate limiters follow the datasource clock', function(a){
+        a.expect(5);
+        let clock = new cjdb.FakeClock();
+        let shared = new cjdb.RateLimiter({ limit: 1 });
+        let ownDS = new cjdb.Datasource(this.fetcher, { rateLimiter: { limit: 1 }, rateLimitMode: 'reject' });
+        let sharedDS = new cjdb.Datasource(this.fetcher, { rateLimiter: shared });
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), clock: clock });
+        db.register('ownDS', ownDS);
+        db.register('sharedDS', sharedDS);
+        a.strictEqual(ownDS.clock(), clock, "databridge's clock adopted");
+        a.strictEqual(ownDS.option('rateLimiter').clock(), clock, "datasource's own rate limiter follows its clock");
+        a.notStrictEqual(shared.clock(), clock, 'shared rate limiter keeps its own clock');
+        a.throws(
+            function(){
+                ownDS.clock(Date.now());
+            },
+            validateParams.ValidationError,
+            'invalid clock rejected'
+        );
+        let limiter = ownDS.option('rateLimiter');
+        limiter.tryAcquire();
+        clock.advance(1);
+        a.ok(limiter.tryAcquire(), "bucket refilled by the databridge's clock");
+    });
+    
+    QUnit.test('waiting calls served as the clock advances', function(a){
+        a.expect(3);
+        let clock = new cjdb.FakeClock('2020-01-01T06:00:00Z');
+        let limiter = new cjdb.RateLimiter({ limit: 1, interval: { milliseconds: 20 }, clock: clock });
+        limiter.tryAcquire();
+        let served = false;
+        let waiting = limiter.acquire().then(function(){ served = true; });
+        a.ok(limiter._timer && (!limiter._timer.hasRef || !limiter._timer.hasRef()), "waiting doesn't keep the process alive");
+        return new Promise(function(resolve){ setTimeout(resolve, 50); }).then(function(){
+            a.notOk(served, 'call not served while the clock stands still');
+            clock.advance({ milliseconds: 20 });
+            return waiting;
+        }).then(function(){
+            a.ok(served, 'call served once the clock advanced');
+        });
+    });
+    
+    QUnit.test('rate limiter shared between datasources', function(a){
+        a.expect(2);
+        let limiter = new cjdb.RateLimiter({ limit: 1, interval: 'PT1M' });
+        let ds1 = new cjdb.Datasource(this.fetcher, { rateLimiter: limiter, rateLimitMode: 'reject' });
+        let ds2 = new cjdb.Datasource(this.fetcher, { rateLimiter: limiter, rateLimitMode: 'reject' });
+        a.strictEqual(ds1.option('rateLimiter'), limiter, 'same rate limiter used');
+        return ds1.fetchDataPromise([1]).then(function(){
+            return ds2.fetchDataPromise([2]);
+        }).then(
+            function(){
+                a.ok(false, 'second datasource not limited');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.RateLimitError, 'budget shared between datasources');
+            }
+        );
+    });
+    
+    QUnit.test('cached data returned instead of waiting', function(a){
+        a.expect(6);
+        let self = this;
+        let store = new cjdb.MemoryCacheStore();
+        let db = new cjdb.Databridge({ cacheStore: store });
+        this.fetcher.streamNameGenerator = function(fParams){ return 'num_' + fParams[0]; };
+        db.register('limitedDS', new cjdb.Datasource(this.fetcher, {
+            rateLimiter: { limit: 1, interval: 'PT1M' },
+            rateLimitFallback: true
+        }));
+        return store.put('limitedDS.num_1', Buffer.from(JSON.stringify({
+            datasourceName: 'limitedDS',
+            dataFetcherPath: [],
+            datastreamName: 'num_1',
+            timestamp: moment().subtract(90, 'minutes').toISOString(),
+            data: 'cached'
+        }))).then(function(){
+            return db.fetchDataPromise('limitedDS', {}, [2]);
+        }).then(function(data){
+            a.strictEqual(data, 2, 'call within the budget fetched');
+            let fr = db.fetchResponse('limitedDS', {}, [1]);
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'cached', 'expired cached data returned');
+                a.strictEqual(fr.meta('stale'), true, 'data flagged as stale');
+                a.strictEqual(fr.meta('rateLimited'), true, 'data flagged as rate limited');
+                a.ok(fr.meta('fetchError') instanceof cjdb.RateLimitError, 'rate limit error recorded');
+                a.deepEqual(self.calls, [2], 'fetcher not called beyond the budget');
+            });
+        });
+    });
+});
+
+QUnit.module('timeouts & cancellation', {
+    beforeEach: function(){
+        let self = this;
+        this.signals = [];
+        this.contexts = [];
+        this.slowFetcher = function(){
+            self.contexts.push(this);
+            self.signals.push(arguments[arguments.length - 1]);
+            return new Promise(function(resolve){
+                setTimeout(function(){ resolve('slow'); }, 50);
+            });
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(3);
+        a.strictEqual(new cjdb.Databridge().option('timeout'), 0, 'timeout defaults to zero');
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { timeout: -1 });
+            },
+            validateParams.ValidationError,
+            'negative timeout rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Databridge().register('testDS', new cjdb.Datasource(function(){})).fetchResponse('testDS', { signal: 'abort' });
+            },
+            validateParams.ValidationError,
+            'invalid signal rejected'
+        );
+    });
+    
+    QUnit.test('calls time out', function(a){
+        a.expect(6);
+        let self = this;
+        let ds = new cjdb.Datasource(this.slowFetcher, { timeout: { milliseconds: 10 } });
+        return ds.fetchDataPromise().then(
+            function(){
+                a.ok(false, 'timed out call resolved');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.TimeoutError, 'rejected with a TimeoutError');
+                a.strictEqual(err.timeout, 10, 'timeout recorded on the error');
+                a.ok(self.signals[0] && typeof self.signals[0].addEventListener === 'function', 'signal passed to the fetcher');
+                a.strictEqual(self.contexts[0], ds, 'fetcher invoked with the datasource as this');
+                a.ok(self.signals[0].aborted, 'signal aborted when the call timed out');
+                return ds.fetchDataPromise([], [], { timeout: 0 });
+            }
+        ).then(function(data){
+            a.strictEqual(data, 'slow', 'timeout overridden per call');
+        });
+    });
+    
+    QUnit.test('plain number timeouts are milliseconds', function(a){
+        a.expect(2);
+        let ds = new cjdb.Datasource(this.slowFetcher, { timeout: 10 });
+        return ds.fetchDataPromise().then(
+            function(){
+                a.ok(false, 'timed out call resolved');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.TimeoutError, 'rejected with a TimeoutError');
+                a.strictEqual(err.timeout, 10, 'timeout taken as milliseconds');
+            }
+        );
+    });
+    
+    QUnit.test('fetchers that throw reject in every configuration', function(a){
+        let configs = [{}, { maxConcurrency: 1 }, { timeout: 100 }, { retry: { maxAttempts: 1 } }];
+        a.expect(configs.length);
+        let thrower = function(){ throw new Error('boom'); };
+        return Promise.all(configs.map(function(options){
+            let dataPromise;
+            try{
+                dataPromise = new cjdb.Datasource(thrower, options).fetchDataPromise();
+            }catch(err){
+                a.ok(false, `error thrown synchronously with options ${JSON.stringify(options)}`);
+                return;
+            }
+            return dataPromise.then(
+                function(){
+                    a.ok(false, 'call to a throwing fetcher resolved');
+                },
+                function(err){
+                    a.ok(/boom/.test(err.message), `rejected with options ${JSON.stringify(options)}`);
+                }
+            );
+        }));
+    });
+    
+    QUnit.test('timeout precedence through the databridge', function(a){
+        a.expect(4);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore(), timeout: { milliseconds: 10 } });
+        db.register('bridgeDS', new cjdb.Datasource(this.slowFetcher));
+        db.register('sourceDS', new cjdb.Datasource(this.slowFetcher, { timeout: 0 }));
+        let fr = db.fetchResponse('bridgeDS');
+        return fr.dataPromise().then(
+            function(){
+                a.ok(false, 'timed out request resolved');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.TimeoutError, 'databridge timeout applied');
+                a.strictEqual(fr.meta('timedOut'), true, 'timeout recorded in response metadata');
+                return db.fetchDataPromise('sourceDS');
+            }
+        ).then(function(data){
+            a.strictEqual(data, 'slow', 'datasource timeout takes precedence');
+            return db.fetchDataPromise('bridgeDS', { timeout: 0, bypassCache: true });
+        }).then(function(data){
+            a.strictEqual(data, 'slow', 'request timeout takes precedence');
+        });
+    });
+    
+    QUnit.test('timed out calls hold their concurrency slots until settled', function(a){
+        a.expect(6);
+        let settleHung;
+        let calls = 0;
+        let ds = new cjdb.Datasource(function(){
+            calls++;
+            if(calls === 1) return new Promise(function(resolve){ settleHung = resolve; });
+            return 'data';
+        }, { maxConcurrency: 1, maxQueueLength: 1, timeout: { milliseconds: 20 } });
+        let hung = ds.fetchDataPromise([1]);
+        let queued = ds.fetchDataPromise([2], [], { timeout: { milliseconds: 10 } });
+        return Promise.all([
+            hung.catch(function(err){ return err; }),
+            queued.catch(function(err){ return err; })
+        ]).then(function(errs){
+            a.ok(errs[0] instanceof cjdb.TimeoutError, 'hung call timed out');
+            a.ok(errs[1] instanceof cjdb.TimeoutError, 'queued call timed out');
+            a.strictEqual(ds.queueLength(), 0, 'timed out call removed from the queue');
+            let later = ds.fetchDataPromise([3]);
+            return new Promise(function(resolve){ setTimeout(resolve, 10); }).then(function(){
+                a.strictEqual(calls, 1, 'no further calls started while the hung fetcher runs');
+                settleHung('late');
+                return later;
+            });
+        }).then(function(data){
+            a.strictEqual(data, 'data', 'queued call run once the hung fetcher settled');
+            a.strictEqual(ds._activeFetches, 0, 'slots freed');
+        });
+    });
+    
+    QUnit.test('aborted calls take no rate limiter tokens', function(a){
+        a.expect(2);
+        let limiter = new cjdb.RateLimiter({ limit: 1, interval: { milliseconds: 40 } });
+        let ds = new cjdb.Datasource(function(){ return 'data'; }, { rateLimiter: limiter });
+        limiter.tryAcquire();
+        return ds.fetchDataPromise([], [], { timeout: { milliseconds: 5 } }).catch(function(err){
+            a.ok(err instanceof cjdb.TimeoutError, 'call waiting for a token timed out');
+            return new Promise(function(resolve){ setTimeout(resolve, 45); });
+        }).then(function(){
+            a.ok(limiter.tryAcquire(), 'token not taken by the aborted call');
+        });
+    });
+    
+    (typeof AbortController === 'undefined' ? QUnit.skip : QUnit.test)('calls cancelled with an abort signal', function(a){
+        a.expect(4);
+        let self = this;
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore() });
+        db.register('slowDS', new cjdb.Datasource(this.slowFetcher));
+        let controller = new AbortController();
+        let cancelled = db.fetchDataPromise('slowDS', { signal: controller.signal, bypassCache: true });
+        let other = db.fetchDataPromise('slowDS', { bypassCache: true });
+        controller.abort(new Error('no longer needed'));
+        return cancelled.then(
+            function(){
+                a.ok(false, 'cancelled request resolved');
+            },
+            function(err){
+                a.strictEqual(err.message, 'no longer needed', 'rejected with the signal\'s reason');
+                a.ok(self.signals[0].aborted, 'signal forwarded to the fetcher aborted');
+                return other;
+            }
+        ).then(function(data){
+            a.strictEqual(data, 'slow', 'other requests for the stream unaffected');
+            return db.datasource('slowDS').fetchDataPromise([], [], { signal: controller.signal });
+        }).then(
+            function(){
+                a.ok(false, 'call with an already aborted signal resolved');
+            },
+            function(err){
+                a.strictEqual(self.signals.length, 2, 'fetcher not invoked with an already aborted signal');
+            }
+        );
+    });
+});
+
+QUnit.module('datasource retries', {
+    beforeEach: function(){
+        let self = this;
+        this.attempts = 0;
+        this.flakyFetcher = function(){
+            self.attempts++;
+            if(self.attempts < 3) return Promise.reject(new Error(`attempt ${self.attempts} failed`));
+            return 'data';
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(3);
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { retry: { maxAttempts: 0 } });
+            },
+            validateParams.ValidationError,
+            'non-positive attempt count rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { retry: { factor: 0.5 } });
+            },
+            validateParams.ValidationError,
+            'shrinking backoff factor rejected'
+        );
+        let retry = new cjdb.Datasource(function(){}, { retry: {} }).option('retry');
+        a.deepEqual(
+            [retry.maxAttempts, retry.factor, retry.jitter, retry.retryable],
+            [3, 2, true, cjdb.Datasource.defaultRetryablePredicate],
+            'defaults applied'
+        );
+    });
+    
+    QUnit.test('failed calls retried', function(a){
+        a.expect(4);
+        let self = this;
+        let ds = new cjdb.Datasource(this.flakyFetcher, { retry: { initialDelay: { milliseconds: 1 } } });
+        let meta = {};
+        return ds.fetchDataPromise([], [], { meta: meta }).then(function(data){
+            a.strictEqual(data, 'data', 'data returned once an attempt succeeds');
+            a.strictEqual(self.attempts, 3, 'fetcher called until it succeeded');
+            a.strictEqual(meta.attempts, 3, 'attempt count recorded');
+            a.deepEqual(meta.attemptErrors.map(function(err){ return err.message; }), ['attempt 1 failed', 'attempt 2 failed'], 'attempt errors recorded');
+        });
+    });
+    
+    QUnit.test('attempts limited', function(a){
+        a.expect(3);
+        let self = this;
+        let ds = new cjdb.Datasource(this.flakyFetcher, { retry: { maxAttempts: 2, initialDelay: { milliseconds: 1 } } });
+        let meta = {};
+        return ds.fetchDataPromise([], [], { meta: meta }).then(
+            function(){
+                a.ok(false, 'call resolved');
+            },
+            function(err){
+                a.strictEqual(err.message, 'attempt 2 failed', 'last error returned');
+                a.strictEqual(self.attempts, 2, 'no attempts beyond the maximum');
+                a.strictEqual(meta.attemptErrors.length, 2, 'all attempt errors recorded');
+            }
+        );
+    });
+    
+    QUnit.test('retryable predicate', function(a){
+        a.expect(3);
+        let self = this;
+        let predicateArgs = [];
+        let ds = new cjdb.Datasource(this.flakyFetcher, { retry: {
+            initialDelay: { milliseconds: 1 },
+            retryable: function(err, attempt){
+                predicateArgs.push([err.message, attempt]);
+                return false;
+            }
+        } });
+        a.notOk(cjdb.Datasource.defaultRetryablePredicate(new cjdb.RateLimitError('limited', 100)), 'rate limit errors not retried by default');
+        return ds.fetchDataPromise().then(
+            function(){
+                a.ok(false, 'call resolved');
+            },
+            function(){
+                a.strictEqual(self.attempts, 1, 'non-retryable error not retried');
+                a.deepEqual(predicateArgs, [['attempt 1 failed', 1]], 'predicate passed the error and attempt number');
+            }
+        );
+    });
+    
+    QUnit.test('backoff delays', function(a){
+        a.expect(3);
+        let ds = new cjdb.Datasource(function(){}, { retry: { initialDelay: { milliseconds: 100 }, maxDelay: { milliseconds: 300 }, jitter: false } });
+        a.deepEqual([1, 2, 3].map(function(n){ return ds._retryDelay(n); }), [100, 200, 300], 'delays grow exponentially up to the maximum');
+        let jittered = new cjdb.Datasource(function(){}, { retry: { initialDelay: { milliseconds: 100 } } });
+        let delays = [];
+        for(let i = 0; i < 20; i++) delays.push(jittered._retryDelay(2));
+        a.ok(delays.every(function(d){ return d >= 0 && d <= 200; }), 'jittered delays within range');
+        a.ok(delays.some(function(d){ return d !== delays[0]; }), 'jittered delays vary');
+    });
+    
+    QUnit.test('backoff measured on the datasource clock', function(a){
+        a.expect(2);
+        let self = this;
+        let clock = new cjdb.FakeClock();
+        let ds = new cjdb.Datasource(this.flakyFetcher, { retry: { initialDelay: { milliseconds: 20 }, jitter: false }, clock: clock });
+        let dataPromise = ds.fetchDataPromise();
+        return new Promise(function(resolve){ setTimeout(resolve, 50); }).then(function(){
+            a.strictEqual(self.attempts, 1, 'no retry while the clock stands still');
+            clock.advance({ milliseconds: 20 });
+            return new Promise(function(resolve){ setTimeout(resolve, 50); });
+        }).then(function(){
+            clock.advance({ milliseconds: 40 });
+            return dataPromise;
+        }).then(function(data){
+            a.strictEqual(data, 'data', 'retried as the clock advanced');
+        });
+    });
+    
+    QUnit.test('backoff cancelled by timeouts', function(a){
+        a.expect(3);
+        let self = this;
+        let ds = new cjdb.Datasource(this.flakyFetcher, { retry: { initialDelay: { seconds: 10 }, jitter: false }, timeout: 20 });
+        let startedAt = Date.now();
+        return ds.fetchDataPromise().then(
+            function(){
+                a.ok(false, 'call resolved');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.TimeoutError, 'rejected with a TimeoutError');
+                a.ok(Date.now() - startedAt < 1000, 'rejected without waiting out the backoff');
+                a.strictEqual(self.attempts, 1, 'no retry after the timeout');
+            }
+        );
+    });
+    
+    QUnit.test('attempts recorded in response metadata', function(a){
+        a.expect(2);
+        let db = new cjdb.Databridge({ cacheStore: new cjdb.MemoryCacheStore() });
+        db.register('flakyDS', new cjdb.Datasource(this.flakyFetcher, { retry: { initialDelay: { milliseconds: 1 } } }));
+        let fr = db.fetchResponse('flakyDS');
+        return fr.dataPromise().then(function(){
+            a.strictEqual(fr.meta('attempts'), 3, 'attempt count recorded');
+            a.strictEqual(fr.meta('attemptErrors').length, 2, 'attempt errors recorded');
+        });
+    });
+});
+
+QUnit.module('circuit breakers', {
+    beforeEach: function(){
+        let self = this;
+        this.calls = 0;
+        this.upstreamDown = true;
+        this.fetcher = function(){
+            self.calls++;
+            return self.upstreamDown ? Promise.reject(new Error('upstream down')) : 'fresh';
+        };
+        this.failTimes = function(ds, n){
+            let attempts = [];
+            for(let i = 0; i < n; i++) attempts.push(ds.fetchDataPromise().catch(function(err){ return err; }));
+            return Promise.all(attempts);
+        };
+    }
+}, function(){
+    QUnit.test('options validated', function(a){
+        a.expect(3);
+        a.throws(
+            function(){
+                new cjdb.Datasource(function(){}, { circuitBreaker: { failureThreshold: 0 } });
+            },
+            validateParams.ValidationError,
+            'non-positive failure threshold rejected'
+        );
+        a.strictEqual(new cjdb.Datasource(function(){}).circuitState(), undefined, 'no state without a circuit breaker');
+        a.deepEqual(
+            new cjdb.Datasource(function(){}, { circuitBreaker: {} }).circuitState(),
+            { state: 'closed', failures: 0, openedAt: undefined },
+            'circuit starts closed'
+        );
+    });
+    
+    QUnit.test('circuit opens after consecutive failures', function(a){
+        a.expect(5);
+        let self = this;
+        let ds = new cjdb.Datasource(this.fetcher, { circuitBreaker: { failureThreshold: 3 } });
+        return this.failTimes(ds, 2).then(function(){
+            a.strictEqual(ds.circuitState().state, 'closed', 'circuit closed below the threshold');
+            return self.failTimes(ds, 1);
+        }).then(function(){
+            let state = ds.circuitState();
+            a.strictEqual(state.state, 'open', 'circuit open at the threshold');
+            a.strictEqual(state.failures, 3, 'failures counted');
+            return ds.fetchDataPromise();
+        }).then(
+            function(){
+                a.ok(false, 'call through an open circuit resolved');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.CircuitOpenError && err.retryAfter > 0, 'call short-circuited with a CircuitOpenError');
+                a.strictEqual(self.calls, 3, 'fetcher not called while the circuit is open');
+            }
+        );
+    });
+    
+    QUnit.test('circuit half-opens after the cooldown', function(a){
+        a.expect(8);
+        let self = this;
+        let clock = new cjdb.FakeClock();
+        let ds = new cjdb.Datasource(this.fetcher, { circuitBreaker: { failureThreshold: 1, cooldown: 'PT1M' }, clock: clock });
+        return this.failTimes(ds, 1).then(function(){
+            clock.advance({ seconds: 59 });
+            a.strictEqual(ds.circuitState().state, 'open', 'circuit open during the cooldown');
+            clock.advance({ seconds: 1 });
+            a.strictEqual(ds.circuitState().state, 'half-open', 'circuit half-open after the cooldown');
+            return self.failTimes(ds, 2);
+        }).then(function(results){
+            a.strictEqual(results[1] instanceof cjdb.CircuitOpenError, true, 'only one probe let through');
+            a.strictEqual(ds.circuitState().state, 'open', 'circuit re-opened by a failed probe');
+            a.strictEqual(ds.circuitState().openedAt, new Date(clock.now()).toISOString(), 'open time read from the clock');
+            clock.advance(1);
+            self.upstreamDown = false;
+            return ds.fetchDataPromise();
+        }).then(function(data){
+            a.strictEqual(data, 'fresh', 'probe data returned');
+            a.strictEqual(ds.circuitState().state, 'closed', 'circuit closed by a successful probe');
+            a.strictEqual(ds.circuitState().failures, 0, 'failures reset');
+        });
+    });
+    
+    QUnit.test('circuit checked before each retry', function(a){
+        a.expect(3);
+        let self = this;
+        let ds = new cjdb.Datasource(this.fetcher, { retry: { maxAttempts: 5, initialDelay: { milliseconds: 1 } }, circuitBreaker: { failureThreshold: 2 } });
+        return ds.fetchDataPromise().then(
+            function(){
+                a.ok(false, 'call resolved');
+            },
+            function(err){
+                a.ok(err instanceof cjdb.CircuitOpenError, 'retries stopped by the open circuit');
+                a.strictEqual(self.calls, 2, 'no attempts made through the open circuit');
+                a.strictEqual(ds.circuitState().failures, 2, 'each failed attempt counted');
+            }
+        );
+    });
+    
+    QUnit.test('slow successes don\'t close an open circuit', function(a){
+        a.expect(3);
+        let calls = 0;
+        let ds = new cjdb.Datasource(function(){
+            calls++;
+            if(calls === 1) return new Promise(function(resolve){ setTimeout(function(){ resolve('slow'); }, 30); });
+            return Promise.reject(new Error('upstream down'));
+        }, { circuitBreaker: { failureThreshold: 1 } });
+        let slow = ds.fetchDataPromise([1]);
+        return ds.fetchDataPromise([2]).catch(function(){
+            a.strictEqual(ds.circuitState().state, 'open', 'circuit opened while the slow call was in flight');
+            return slow;
+        }).then(function(data){
+            a.strictEqual(data, 'slow', 'slow call succeeded');
+            a.strictEqual(ds.circuitState().state, 'open', 'circuit still open');
+        });
+    });
+    
+    QUnit.test('cached data served & state queryable from the databridge', function(a){
+        a.expect(6);
+        let self = this;
+        let store = new cjdb.MemoryCacheStore();
+        let db = new cjdb.Databridge({ cacheStore: store });
+        db.register('brokenDS', new cjdb.Datasource(this.fetcher, { circuitBreaker: { failureThreshold: 1 } }));
+        a.throws(
+            function(){
+                db.circuitState('missingDS');
+            },
+            Error,
+            'unregistered datasource rejected'
+        );
+        return this.failTimes(db.datasource('brokenDS'), 1).then(function(){
+            a.strictEqual(db.circuitState('brokenDS').state, 'open', 'state queryable from the databridge');
+            return store.put('brokenDS.main', Buffer.from(JSON.stringify({
+                datasourceName: 'brokenDS',
+                dataFetcherPath: [],
+                datastreamName: 'main',
+                timestamp: moment().subtract(90, 'minutes').toISOString(),
+                data: 'cached'
+            })));
+        }).then(function(){
+            let fr = db.fetchResponse('brokenDS');
+            return fr.dataPromise().then(function(data){
+                a.strictEqual(data, 'cached', 'expired cached data returned');
+                a.strictEqual(fr.meta('circuitOpen'), true, 'data flagged as served from an open circuit');
+                a.ok(fr.meta('fetchError') instanceof cjdb.CircuitOpenError, 'circuit open error recorded');
+                a.strictEqual(self.calls, 1, 'fetcher not called');
+            });
+        });
+    });
+});
+
+QUnit.module('background refreshing', {
+    beforeEach: function(){
+        let self = this;
+        this.calls = [];
+        this.failing = false;
+        this.fetcher = function(n){
+            self.calls.push(n);
+            if(self.failing) throw new Error('upstream down');
+            return 'data_' + n;
+        };
+        this.store = new cjdb.MemoryCacheStore();
+        this.db = new cjdb.Databridge({ cacheStore: this.store });
+        this.db.register('warmDS', new cjdb.Datasource(this.fetcher));
+        this.wait = function(ms){
+            return new Promise(function(resolve){ setTimeout(resolve, ms); });
+        };
+    },
+    afterEach: function(){
+        this.db.stopRefreshing();
+    }
+}, function(){
+    QUnit.test('refreshes scheduled & validated', function(a){
+        a.expect(5);
+        let db = this.db;
+        a.throws(
+            function(){
+                db.scheduleRefresh('warmDS', {});
+            },
+            validateParams.ValidationError,
+            'interval required'
+        );
+        a.throws(
+            function(){
+                db.scheduleRefresh('missingDS', { interval: 1 });
+            },
+            Error,
+            'unregistered datasource rejected'
+        );
+        let id = db.scheduleRefresh('warmDS', { interval: 5 }, [42]);
+        a.strictEqual(typeof id, 'string', 'ID returned');
+        a.deepEqual(
+            db.scheduledRefreshes().map(function(r){ return [r.id, r.datasourcePath, r.streamName, r.fetcherArgs, r.refreshes]; }),
+            [[id, ['warmDS'], 'n_42', [42], 0]],
+            'scheduled refresh described'
+        );
+        a.ok(db.unscheduleRefresh(id) && db.scheduledRefreshes().length === 0, 'refresh unscheduled');
+    });
+    
+    QUnit.test('streams refreshed while running', function(a){
+        a.expect(5);
+        let self = this;
+        let db = this.db;
+        db.scheduleRefresh('warmDS', { interval: { milliseconds: 20 } }, [1]);
+        return this.wait(50).then(function(){
+            a.deepEqual(self.calls, [], 'nothing refreshed before starting');
+            db.startRefreshing({ immediate: true });
+            return self.wait(50);
+        }).then(function(){
+            a.ok(self.calls.length >= 2, 'stream refreshed at the interval');
+            a.ok(db.scheduledRefreshes()[0].lastRefreshed, 'last refresh time recorded');
+            return self.store.get('warmDS.n_1');
+        }).then(function(buf){
+            db.stopRefreshing();
+            let callCount = self.calls.length;
+            a.strictEqual(JSON.parse(buf.toString()).data, 'data_1', 'cache rewritten');
+            return self.wait(50).then(function(){
+                a.strictEqual(self.calls.length, callCount, 'no refreshes once stopped');
+            });
+        });
+    });
+    
+    QUnit.test('errors reported without throwing', function(a){
+        a.expect(4);
+        let self = this;
+        let reported = [];
+        let db = new cjdb.Databridge({
+            cacheStore: this.store,
+            refreshErrorHandler: function(err, refresh){
+                reported.push([err.message, refresh.failures]);
+                throw new Error('handler failed');
+            }
+        });
+        db.register('brokenDS', new cjdb.Datasource(this.fetcher));
+        this.failing = true;
+        db.scheduleRefresh('brokenDS', { interval: { milliseconds: 20 } }, [1]);
+        let warn = console.warn;
+        let warnings = 0;
+        console.warn = function(){ warnings++; };
+        db.startRefreshing({ immediate: true });
+        return this.wait(30).then(function(){
+            db.stopRefreshing();
+            console.warn = warn;
+            a.ok(reported.length >= 1, 'error handler notified');
+            a.ok(/upstream down/.test(reported[0][0]) && reported[0][1] === 1, 'error & refresh details passed');
+            a.ok(warnings >= 1, 'handler errors logged as warnings');
+            a.ok(db.scheduledRefreshes()[0].lastError instanceof Error, 'last error recorded');
+        });
+    });
+    
+    QUnit.test('refreshes lock the stream & time out', function(a){
+        a.expect(3);
+        let store = this.store;
+        let locked = [];
+        let storeLock = store.lock;
+        store.lock = function(key){
+            locked.push(key);
+            return storeLock.call(store, key);
+        };
+        let errors = [];
+        let db = new cjdb.Databridge({
+            cacheStore: store,
+            refreshErrorHandler: function(err){ errors.push(err); }
+        });
+        let calls = 0;
+        db.register('hangingDS', new cjdb.Datasource(function(){
+            calls++;
+            if(calls === 1) return new Promise(function(){});
+            return 'data';
+        }));
+        db.scheduleRefresh('hangingDS', { interval: { milliseconds: 20 } });
+        db.startRefreshing({ immediate: true });
+        return this.wait(70).then(function(){
+            db.stopRefreshing();
+            a.ok(errors[0] instanceof cjdb.TimeoutError, 'hung refresh timed out after the interval');
+            a.ok(calls >= 2 && db.scheduledRefreshes()[0].refreshes >= 1, 'stream refreshed again after the hung refresh');
+            a.ok(locked.length >= 2 && locked.every(function(k){ return k === 'hangingDS.main'; }), 'stream locked for each refresh');
+        });
+    });
+    
+    QUnit.test('requests made while a refresh waits for the lock join it', function(a){
+        a.expect(3);
+        let self = this;
+        let store = this.store;
+        let storeLock = store.lock;
+        store.lock = function(key){
+            return self.wait(30).then(function(){
+                return storeLock.call(store, key);
+            });
+        };
+        let db = this.db;
+        db.scheduleRefresh('warmDS', { interval: 5 }, [1]);
+        db.startRefreshing({ immediate: true });
+        let fr = db.fetchResponse('warmDS', {}, [1]);
+        return fr.dataPromise().then(function(data){
+            a.strictEqual(data, 'data_1', 'data returned');
+            a.strictEqual(fr.meta('joinedInFlight'), true, 'request joined the refresh');
+            a.deepEqual(self.calls, [1], 'fetcher called once');
+        });
+    });
+});
+
+QUnit.module('cache warming', {
+    beforeEach: function(){
+        let self = this;
+        this.running = 0;
+        this.maxRunning = 0;
+        this.calls = [];
+        this.fetcher = function(year){
+            self.calls.push(year);
+            self.running++;
+            self.maxRunning = Math.max(self.maxRunning, self.running);
+            return new Promise(function(resolve, reject){
+                setTimeout(function(){
+                    self.running--;
+                    if(year === 1999) reject(new Error('no data for 1999'));
+                    else resolve({ year: year });
+                }, 5);
+            });
+        };
+        this.store = new cjdb.MemoryCacheStore();
+        this.db = new cjdb.Databridge({ cacheStore: this.store });
+        this.db.register('yearDS', new cjdb.Datasource(this.fetcher));
+    }
+}, function(){
+    QUnit.test('arguments validated', function(a){
+        a.expect(2);
+        let db = this.db;
+        a.throws(
+            function(){
+                db.warm('yearDS', [2000], { concurrency: 0 });
+            },
+            validateParams.ValidationError,
+            'non-positive concurrency rejected'
+        );
+        a.throws(
+            function(){
+                db.warm('missingDS', [2000]);
+            },
+            Error,
+            'unregistered datasource rejected'
+        );
+    });
+    
+    QUnit.test('streams warmed with bounded parallelism', function(a){
+        a.expect(6);
+        let self = this;
+        let years = [];
+        for(let y = 1995; y <= 2004; y++) years.push(y);
+        return this.db.fetchDataPromise('yearDS', {}, [2000]).then(function(){
+            self.calls = [];
+            return self.db.warm('yearDS', years, { concurrency: 3 });
+        }).then(function(summary){
+            a.deepEqual(
+                [summary.total, summary.hits, summary.refreshed, summary.failed],
+                [10, 1, 8, 1],
+                'summary counts correct'
+            );
+            a.deepEqual(summary.failures[0].fetcherArgs, [1999], 'failed arguments recorded');
+            a.strictEqual(summary.failures[0].error.message, 'no data for 1999', 'failure error recorded');
+            a.notOk(self.calls.indexOf(2000) >= 0, 'fresh stream skipped');
+            a.strictEqual(self.maxRunning, 3, 'parallelism bounded');
+            return self.store.get('yearDS.n_2004');
+        }).then(function(buf){
+            a.deepEqual(JSON.parse(buf.toString()).data, { year: 2004 }, 'streams cached');
+        });
+    });
+    
+    QUnit.test('argument sets as arrays', function(a){
+        a.expect(2);
+        let self = this;
+        return this.db.warm('yearDS', [[2001], [2002]]).then(function(summary){
+            a.strictEqual(summary.refreshed, 2, 'array argument sets fetched');
+            a.deepEqual(self.calls, [2001, 2002], 'arguments passed through');
+        });
+    });
+    
+    QUnit.test('joined fetches counted separately', function(a){
+        a.expect(2);
+        let self = this;
+        let inFlight = this.db.fetchDataPromise('yearDS', { bypassCache: true }, [2001]);
+        return this.db.warm('yearDS', [2001, 2002]).then(function(summary){
+            a.deepEqual(
+                [summary.hits, summary.refreshed, summary.joined, summary.stale, summary.failed],
+                [0, 1, 1, 0, 0],
+                'joined fetch not counted as refreshed'
+            );
+            a.deepEqual(self.calls, [2001, 2002], 'in-flight fetch joined');
+            return inFlight;
+        });
+    });
+    
+    QUnit.test('stale fallbacks counted separately', function(a){
+        a.expect(2);
+        let store = this.store;
+        let db = this.db;
+        let limiter = new cjdb.RateLimiter({ limit: 1, interval: 'PT1H' });
+        db.register('limitedDS', new cjdb.Datasource(this.fetcher, { rateLimiter: limiter, rateLimitFallback: true }));
+        db.register('brokenDS', new cjdb.Datasource(function(){ return Promise.reject(new Error('upstream down')); }, { circuitBreaker: { failureThreshold: 1 } }));
+        let putExpired = function(dsName, streamName){
+            return store.put(`${dsName}.${streamName}`, Buffer.from(JSON.stringify({
+                datasourceName: dsName,
+                dataFetcherPath: [],
+                datastreamName: streamName,
+                timestamp: moment().subtract(90, 'minutes').toISOString(),
+                data: 'cached'
+            })));
+        };
+        limiter.tryAcquire();
+        return Promise.all([putExpired('limitedDS', 'n_2001'), putExpired('brokenDS', 'n_2001')]).then(function(){
+            return db.datasource('brokenDS').fetchDataPromise().catch(function(){});
+        }).then(function(){
+            return Promise.all([db.warm('limitedDS', [2001]), db.warm('brokenDS', [2001])]);
+        }).then(function(summaries){
+            a.deepEqual(
+                summaries.map(function(summary){ return [summary.refreshed, summary.stale, summary.failed]; }),
+                [[0, 1, 0], [0, 1, 0]],
+                'rate limited & circuit open fallbacks counted as stale'
+            );
+            a.deepEqual(summaries[0].failures.concat(summaries[1].failures), [], 'no failures recorded');
+        });
+    });
+});
+
+QUnit.module('The Datasource class', {}, function(){
+    QUnit.test('class exists', function(a){
+        a.equal(typeof cjdb.Datasource, 'function');
+    });
+    
+    QUnit.module('constructor', {}, function(){
+        QUnit.test('defaults', function(a){
+            a.expect(5);
+            let defDS = new cjdb.Datasource();
+            a.ok(defDS, 'no error thrown when passed no parameters');
+			a.deepEqual(defDS._dataFetcher, {}, 'data fetcher defaults to empty plain object');
+            a.strictEqual(defDS._options.enableCaching, true, 'caching enabled by default');
+            a.strictEqual(typeof defDS._options.cacheTTL, 'undefined', 'no custom cache TTL set by default');
+            a.ok(new cjdb.Datasource(function(){}, {cacheTTL: 300}), 'no error thrown when passed both a callback and options');
+        });
+        
+        QUnit.test('data correctly stored', function(a){
+            a.expect(3);
+            var testFn = function(){ return true; };
+            var testTTL = 500;
+            var testCacheEnable = false;
+            var ds = new cjdb.Datasource(testFn, {cacheTTL: testTTL, enableCaching: testCacheEnable});
+            a.strictEqual(ds._dataFetcher, testFn, 'data fether callback successfully stored');
+            a.strictEqual(ds._options.enableCaching, testCacheEnable, 'cache enabling option successfully stored');
+            a.strictEqual(ds._options.cacheTTL, testTTL, 'cache TTL option successfully stored');
+        });
+    });
+	
+	QUnit.module('read-only accessor .dataFetcher()', {}, function(){
+		QUnit.test('function exists', function(a){
+			a.expect(1);
+			let ds = new cjdb.Datasource(function(){});
+            a.ok(validate.isFunction(ds.dataFetcher));
+        });
+		
+		QUnit.module('single callback case',
+			{
+				beforeEach: function(){
+					this.df = function(){ return true; };
+					this.ds = new cjdb.Datasource(this.df, { enableCaching: false });
+				}
+			},
+			function(){
+				QUnit.test('returns expected value', function(a){
+					a.expect(2);
+					a.strictEqual(this.ds.dataFetcher(), this.df, 'expected value returned with no params');
+					a.strictEqual(this.ds.dataFetcher([]), this.df, 'expected value returned with empty array as first param');
+				});
+				
+				QUnit.test('throws Error when passed name path', function(a){
+					a.expect(4);
+					a.throws(
+						function(){ this.ds.dataFetcher('thingy'); },
+						Error,
+						'error on single string'
+					);
+					a.throws(
+						function(){ this.ds.dataFetcher('thingy', 'stuff'); },
+						Error,
+						'error on multiple strings'
+					);
+					a.throws(
+						function(){ this.ds.dataFetcher(['thingy']); },
+						Error,
+						'error on single string array'
+					);
+					a.throws(
+						function(){ this.ds.dataFetcher(['thingy', 'stuff']); },
+						Error,
+						'error on multiple string array'
+					);
+				});
+			}
+		);
+		
+		QUnit.module('flat multiple callbacks case',
+			{
+				beforeEach: function(){
+					this.dfCol = {
+						cb1: function(){ return true; },
+						cb2: function(){ return false; }
+					};
+					this.ds = new cjdb.Datasource(this.dfCol, { enableCaching: false });
+				}
+			},
+			function(){
+				QUnit.test('returns expected values', function(a){
+					a.expect(5);
+					a.strictEqual(this.ds.dataFetcher(), this.dfCol, 'returns entire datastructure when passed no params');
+					a.strictEqual(this.ds.dataFetcher('cb1'), this.dfCol.cb1, 'returns correct callback when passed single string');
+					a.strictEqual(this.ds.dataFetcher(['cb1']), this.dfCol.cb1, 'returns correct callback when passed array contianing single string');
+					a.throws(
+						() => this.ds.dataFetcher('cb3'),
+						Error,
+						'throws error when passed name that does not map to a callback as single string'
+					);
+					a.throws(
+						() => this.ds.dataFetcher(['cb3']),
+						Error,
+						'throws error when passed name that does not map to a callback as array containing single string'
+					);
+				});
+			}
+		);
+		
+		QUnit.module('nested multiple callbacks case',
+			{
+				beforeEach: function(){
+					this.dfCol = {
+						cb1: {
+							cb1a: function(){ return true; },
+							cb1b: function(){ return null; }
+						},
+						cb2: function(){ return false; }
+					};
+					this.ds = new cjdb.Datasource(this.dfCol, { enableCaching: false });
+				}
+			},
+			function(){
+				QUnit.test('returns expected values', function(a){
+					a.expect(9);
+					a.strictEqual(this.ds.dataFetcher(), this.dfCol, 'returns entire datastructure when passed no params');
+					a.strictEqual(this.ds.dataFetcher('cb1'), this.dfCol.cb1, 'returns correct sub-data-structure when passed single string');
+					a.strictEqual(this.ds.dataFetcher(['cb1']), this.dfCol.cb1, 'returns correct sub-data-structure when passed array contianing single string');
+					a.strictEqual(this.ds.dataFetcher('cb1', 'cb1a'), this.dfCol.cb1.cb1a, 'returns correct callback when passed two strings');
+					a.strictEqual(this.ds.dataFetcher(['cb1', 'cb1a']), this.dfCol.cb1.cb1a, 'returns correct callback when passed array contianing two strings');
+					a.throws(
+						() => this.ds.dataFetcher('cb3'),
+						Error,
+						'throws error when passed name that does not map to a callback at the top level as a single string'
+					);
+					a.throws(
+						() => this.ds.dataFetcher(['cb3']),
+						Error,
+						'throws error when passed name that does not map to a callback at the top level as array containing single string'
+					);
+					a.throws(
+						() => this.ds.dataFetcher('cb1', 'cb1c'),
+						Error,
+						'throws error when passed name that does not map to a callback at the second level as a single string'
+					);
+					a.throws(
+						() => this.ds.dataFetcher(['cb1', 'cb1c']),
+						Error,
+						'throws error when passed name that does not map to a callback at the second level as array containing single string'
+					);
+				});
+			}
+		);
+	});
+	
+	QUnit.test('.hasSingleDataFetcher() utility function', function(a){
+		a.expect(3);
+		let ds1 = new cjdb.Datasource(function(){});
+		a.ok(validate.isFunction(ds1.hasSingleDataFetcher), 'function exists');
+		a.strictEqual(ds1.hasSingleDataFetcher(), true, 'returns true on datasource with single data fetcher');
+		let ds2 = new cjdb.Datasource({ cb1: function(){}, cb2: function(){} });
+		a.strictEqual(ds2.hasSingleDataFetcher(), false, 'returns false on datasource with multiple data fetchers');
+	});
+    
+    QUnit.module(
+        'read-only accessor .option()',
+        {
+            beforeEach: function(){
+                this.df = function(){ return true; };
+                this.ds = new cjdb.Datasource(this.df, { enableCaching: true, cacheTTL: 300 });
+            }
+        },
+        function(){
+            
+            QUnit.test('function exists', function(a){
+                a.ok(validate.isFunction(this.ds.option));
+            });
+            
+            QUnit.test('returns expected values', function(a){
+                a.expect(2);
+                a.strictEqual(this.ds.option('cacheTTL'), 300, 'expected value returned for defined option');
+                a.strictEqual(typeof this.ds.option('thingy'), 'undefined', 'undefined returned for un-specified option');
+            });
+        }
+    );
+    
+    QUnit.test('data fetching', function(a){
+        a.expect(1);
+        
+        //var db = new Databridge();
+        var dummyData = { a: 'b', c: 'd' };
+        var ds = new cjdb.Datasource(function(){ return dummyData; });
+        var done = a.async();
+        var dp = ds.fetchDataPromise();
+        dp.then(
+            function(d){
+                a.deepEqual(d, dummyData, 'promise resolved to expected value');
+                done();
+            },
+            function(){
+                done();
+            }
+        );
+    });
+	
+	QUnit.test('defaultStreamNameGenerator() static function', function(a){
+		a.expect(10);
+		a.ok(validate.isFunction(cjdb.Datasource.defaultStreamNameGenerator), 'function exists');
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(), 'main', "calling with no params returns 'main'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([true]), 'true', "calling with single boolean true returns 'true'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([false]), 'false', "calling with single boolean false returns 'false'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([42]), 'n_42', "calling with single number without -, ., or e returns number pre-fixed with 'n_'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([-42.6]), 'n_96e1a1514a86153f31480dc745808772', "calling with single number with a -, ., or e returns the MD5 of the number as a string pre-fixed with 'n_'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(['boogers']), 's_boogers', "calling with single string that is a valid name returns the string prefixed with 's_'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(['$']), 's_c3e97dd6e97fb5125688c97f36720cbe', "calling with single string that's not a valid name returns the MD5 hash of the string prefixed with 's_'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator([{a: 'b'}]), 'o_92eff9dda44cb8003ee13990782580ff', "calling with single plain object returns the MD5 hash of the JSON version of object prefixed with 'o_'");
+		a.strictEqual(cjdb.Datasource.defaultStreamNameGenerator(['thingys', 42]), 'p2_aed9d8d35ce236895dbdd1e061a5f369', "calling with multiple values returns the MD5 hash of the JSON version of all params pre-fixed with 'pN_' where N is num params");
+	});
+});
+
+QUnit.module('The FetchRequest class', {}, function(){
     QUnit.test('class exists', function(a){
         a.equal(typeof cjdb.FetchRequest, 'function');
     });
@@ -1162,4 +3762,338 @@ QUnit.module('The FetchResponse class', {}, function(){
             });
         }
     );
-});
\ No newline at end of file
+});
+QUnit.module('The cache store classes', {}, function(){
+    QUnit.test('classes exist', function(a){
+        a.expect(3);
+        a.equal(typeof cjdb.CacheStore, 'function', 'CacheStore exists');
+        a.ok(new cjdb.FileCacheStore({ cacheDir: CACHEDIR_ABSOLUTE }) instanceof cjdb.CacheStore, 'FileCacheStore extends CacheStore');
+        a.ok(new cjdb.MemoryCacheStore() instanceof cjdb.CacheStore, 'MemoryCacheStore extends CacheStore');
+    });
+    
+    QUnit.test('the base class does not implement storage', function(a){
+        a.expect(4);
+        let store = new cjdb.CacheStore();
+        let done = a.async();
+        let expectRejection = function(p, desc){
+            return p.then(
+                function(){ a.ok(false, desc); },
+                function(err){ a.ok(err instanceof Error, desc); }
+            );
+        };
+        Promise.all([
+            expectRejection(store.get('testDS.main'), '.get() rejects'),
+            expectRejection(store.put('testDS.main', Buffer.from('42')), '.put() rejects'),
+            expectRejection(store.delete('testDS.main'), '.delete() rejects'),
+            expectRejection(store.list(), '.list() rejects')
+        ]).then(done);
+    });
+    
+    QUnit.test('FileCacheStore constructor', function(a){
+        a.expect(3);
+        a.strictEqual(new cjdb.FileCacheStore().cacheDir(), path.join('.', CACHEDIR_NAME), 'cache dir defaulted to expected value');
+        a.throws(
+            function(){
+                new cjdb.FileCacheStore({ cacheDir: '/thingys' });
+            },
+            validateParams.ValidationError,
+            'non-existent cache dir rejected'
+        );
+        a.throws(
+            function(){
+                new cjdb.FileCacheStore({ cacheDir: CACHEDIR_ABSOLUTE, lockTimeout: 'ten seconds' });
+            },
+            validateParams.ValidationError,
+            'invalid lock timeout rejected'
+        );
+    });
+    
+    QUnit.module('FileCacheStore atomic writes & locking', {
+        beforeEach: function(){
+            this.store = new cjdb.FileCacheStore({ cacheDir: CACHEDIR_ABSOLUTE, lockTimeout: { milliseconds: 100 }, lockStaleAge: { minutes: 1 } });
+            this.key = 'lockTest' + moment().valueOf() + '.main';
+        }
+    }, function(){
+        QUnit.test('writes leave no temporary files behind', function(a){
+            a.expect(2);
+            let store = this.store;
+            let key = this.key;
+            return store.put(key, Buffer.from('42')).then(function(){
+                let leftovers = fs.readdirSync(CACHEDIR_ABSOLUTE).filter(function(f){
+                    return f.startsWith(key) && f.endsWith('.tmp');
+                });
+                a.strictEqual(leftovers.length, 0, 'no temporary files remain');
+                a.strictEqual(fs.readFileSync(path.join(CACHEDIR_ABSOLUTE, key + '.json'), 'utf8'), '42', 'cache file written');
+            });
+        });
+        
+        QUnit.test('metadata ignored once its value is replaced', function(a){
+            a.expect(2);
+            let store = this.store;
+            let key = this.key;
+            let filePath = path.join(CACHEDIR_ABSOLUTE, key + '.json');
+            let findInfo = function(infos){
+                return infos.find(function(i){ return i.key === key; });
+            };
+            return store.put(key, Buffer.from('42'), { pinned: true }).then(function(){
+                return store.list();
+            }).then(function(infos){
+                a.deepEqual(findInfo(infos).meta, { pinned: true }, 'metadata listed with its value');
+                
+                // replace the value as a write that failed before its
+                // metadata was written would
+                fs.writeFileSync(filePath + '.replacement', '43');
+                fs.renameSync(filePath + '.replacement', filePath);
+                return store.list();
+            }).then(function(infos){
+                a.strictEqual(typeof findInfo(infos).meta, 'undefined', 'metadata not listed with another value');
+                return store.delete(key);
+            });
+        });
+        
+        QUnit.test('reads tracked without touching files', function(a){
+            a.expect(2);
+            let store = this.store;
+            let key = this.key;
+            let filePath = path.join(CACHEDIR_ABSOLUTE, key + '.json');
+            let longAgo = new Date(Date.now() - 60 * 60 * 1000);
+            let readAt;
+            return store.put(key, Buffer.from('42')).then(function(){
+                fs.utimesSync(filePath, longAgo, longAgo);
+                readAt = Date.now();
+                return store.get(key);
+            }).then(function(){
+                return store.list();
+            }).then(function(infos){
+                let info = infos.find(function(i){ return i.key === key; });
+                a.ok(Date.parse(info.lastAccessed) >= readAt - 1, 'read reported as the last access');
+                a.strictEqual(Math.round(fs.statSync(filePath).mtimeMs), longAgo.getTime(), 'file not modified');
+                return store.delete(key);
+            });
+        });
+        
+        QUnit.test('locks are exclusive and time out', function(a){
+            a.expect(5);
+            let store = this.store;
+            let key = this.key;
+            let lockPath = path.join(CACHEDIR_ABSOLUTE, key + '.json.lock');
+            let release1;
+            return store.lock(key).then(function(release){
+                release1 = release;
+                a.ok(fs.existsSync(lockPath), 'lock created');
+                return store.list();
+            }).then(function(infos){
+                a.notOk(infos.some(function(i){ return i.key.startsWith(key); }), 'locks not listed');
+                return store.lock(key).then(
+                    function(){ a.ok(false, 'second lock acquired while first held'); },
+                    function(err){ a.ok(err instanceof Error, 'second lock times out while first held'); }
+                );
+            }).then(function(){
+                return release1();
+            }).then(function(){
+                a.notOk(fs.existsSync(lockPath), 'lock removed on release');
+                return store.lock(key);
+            }).then(function(release){
+                a.ok(true, 'lock acquired after release');
+                return release();
+            });
+        });
+        
+        QUnit.test('stale locks are removed', function(a){
+            a.expect(1);
+            let store = this.store;
+            let key = this.key;
+            let lockPath = path.join(CACHEDIR_ABSOLUTE, key + '.json.lock');
+            let longAgo = new Date(Date.now() - 120000);
+            fs.mkdirSync(lockPath);
+            fs.writeFileSync(path.join(lockPath, 'abandoned'), 'abandoned');
+            fs.utimesSync(path.join(lockPath, 'abandoned'), longAgo, longAgo);
+            return store.lock(key).then(function(release){
+                a.ok(true, 'lock acquired despite stale lock');
+                return release();
+            });
+        });
+        
+        QUnit.test('stale locks taken by one waiter only', function(a){
+            a.expect(3);
+            let store = new cjdb.FileCacheStore({ cacheDir: CACHEDIR_ABSOLUTE, lockTimeout: 'PT1S', lockStaleAge: 1 });
+            let key = this.key;
+            let lockPath = path.join(CACHEDIR_ABSOLUTE, key + '.json.lock');
+            let longAgo = new Date(Date.now() - 120000);
+            fs.mkdirSync(lockPath);
+            fs.writeFileSync(path.join(lockPath, 'abandoned'), 'abandoned');
+            fs.utimesSync(path.join(lockPath, 'abandoned'), longAgo, longAgo);
+            let held = 0;
+            let maxHeld = 0;
+            let holdLock = function(){
+                return store.lock(key).then(function(release){
+                    held++;
+                    maxHeld = Math.max(maxHeld, held);
+                    return new Promise(function(resolve){ setTimeout(resolve, 50); }).then(function(){
+                        held--;
+                        return release();
+                    });
+                });
+            };
+            return Promise.all([holdLock(), holdLock(), holdLock()]).then(function(){
+                a.strictEqual(maxHeld, 1, 'lock never held by two waiters at once');
+                a.notOk(fs.existsSync(lockPath), 'lock removed');
+                a.strictEqual(fs.readdirSync(CACHEDIR_ABSOLUTE).filter(function(f){ return f.startsWith(key) && f.endsWith('.tmp'); }).length, 0, 'no temporary lock folders left behind');
+            });
+        });
+        
+        QUnit.test('held locks kept fresh', function(a){
+            a.expect(1);
+            let store = new cjdb.FileCacheStore({ cacheDir: CACHEDIR_ABSOLUTE, lockTimeout: { milliseconds: 150 }, lockStaleAge: { milliseconds: 60 } });
+            let key = this.key;
+            return store.lock(key).then(function(release){
+                return store.lock(key).then(
+                    function(release2){
+                        a.ok(false, 'held lock treated as stale');
+                        return release2();
+                    },
+                    function(){
+                        a.ok(true, 'held lock not treated as stale');
+                    }
+                ).then(release);
+            });
+        });
+    });
+    
+    // run the same tests against every shipped store
+    let storeFactories = {
+        FileCacheStore: function(){ return new cjdb.FileCacheStore({ cacheDir: CACHEDIR_ABSOLUTE }); },
+        MemoryCacheStore: function(){ return new cjdb.MemoryCacheStore(); }
+    };
+    for(let storeName in storeFactories){
+        QUnit.module(storeName, {
+            beforeEach: function(){
+                this.store = storeFactories[storeName]();
+                this.key = 'storeTest' + storeName + '.main';
+                return this.store.delete(this.key);
+            }
+        }, function(){
+            QUnit.test('.put() & .get()', function(a){
+                a.expect(3);
+                let store = this.store;
+                let key = this.key;
+                return store.get(key).then(function(val){
+                    a.strictEqual(typeof val, 'undefined', 'missing key resolves to undefined');
+                    return store.put(key, Buffer.from('{"a":"b"}'));
+                }).then(function(loc){
+                    a.ok(validate.isString(loc) && !validate.isEmpty(loc), 'location returned');
+                    return store.get(key);
+                }).then(function(val){
+                    a.strictEqual(val.toString('utf8'), '{"a":"b"}', 'stored value returned');
+                });
+            });
+            
+            QUnit.test('.has() & .delete()', function(a){
+                a.expect(4);
+                let store = this.store;
+                let key = this.key;
+                return store.put(key, Buffer.from('42')).then(function(){
+                    return store.has(key);
+                }).then(function(present){
+                    a.strictEqual(present, true, 'stored key present');
+                    return store.delete(key);
+                }).then(function(deleted){
+                    a.strictEqual(deleted, true, 'deleting stored key resolves to true');
+                    return store.has(key);
+                }).then(function(present){
+                    a.strictEqual(present, false, 'deleted key not present');
+                    return store.delete(key);
+                }).then(function(deleted){
+                    a.strictEqual(deleted, false, 'deleting missing key resolves to false');
+                });
+            });
+            
+            QUnit.test('.list()', function(a){
+                a.expect(3);
+                let store = this.store;
+                let key = this.key;
+                return store.put(key, Buffer.from('42')).then(function(){
+                    return store.list();
+                }).then(function(infos){
+                    let info = infos.find(function(i){ return i.key === key; });
+                    a.ok(validateParams.isPlainObject(info), 'stored key listed');
+                    a.strictEqual(info.size, 2, 'size correctly reported');
+                    a.strictEqual(info.location, store.location(key), 'location correctly reported');
+                });
+            });
+            
+            QUnit.test('metadata', function(a){
+                a.expect(3);
+                let store = this.store;
+                let key = this.key;
+                let findInfo = function(infos){
+                    return infos.find(function(i){ return i.key === key; });
+                };
+                return store.put(key, Buffer.from('42'), { pinned: true }).then(function(){
+                    return store.list();
+                }).then(function(infos){
+                    a.deepEqual(findInfo(infos).meta, { pinned: true }, 'metadata listed');
+                    return store.put(key, Buffer.from('43'));
+                }).then(function(){
+                    return store.list();
+                }).then(function(infos){
+                    a.strictEqual(typeof findInfo(infos).meta, 'undefined', 'metadata replaced along with the value');
+                    return store.put(key, Buffer.from('44'), { pinned: false });
+                }).then(function(){
+                    return store.delete(key);
+                }).then(function(){
+                    return store.put(key, Buffer.from('45'));
+                }).then(function(){
+                    return store.list();
+                }).then(function(infos){
+                    a.strictEqual(typeof findInfo(infos).meta, 'undefined', 'metadata deleted along with the value');
+                });
+            });
+        });
+    }
+    
+    QUnit.test('caching with a memory store', function(a){
+        a.expect(3);
+        let store = new cjdb.MemoryCacheStore();
+        let db = new cjdb.Databridge({ cacheStore: store });
+        db.register('memoryDS', new cjdb.Datasource(function(){ return ['thingys']; }));
+        let done = a.async();
+        let fr1 = db.fetchResponse('memoryDS');
+        fr1.dataPromise().then(function(){
+            a.strictEqual(fr1.meta('cacheWrite').path, 'memory:memoryDS.main', 'data written to the memory store');
+            let fr2 = db.fetchResponse('memoryDS');
+            return fr2.dataPromise().then(function(data){
+                a.strictEqual(fr2.meta('cacheRead').path, 'memory:memoryDS.main', 'data read from the memory store');
+                a.deepEqual(data, ['thingys'], 'correct data read from the memory store');
+            });
+        }).catch(function(err){
+            console.error('data promise rejected with error', err);
+        }).then(done);
+    });
+    
+    QUnit.test('streams are refreshed while holding a lock', function(a){
+        a.expect(3);
+        let store = new cjdb.MemoryCacheStore();
+        let events = [];
+        store.lock = function(key){
+            events.push('lock ' + key);
+            return Promise.resolve(function(){
+                events.push('release ' + key);
+                return Promise.resolve();
+            });
+        };
+        let db = new cjdb.Databridge({ cacheStore: store });
+        db.register('lockedDS', new cjdb.Datasource(function(){
+            events.push('fetch');
+            return 42;
+        }));
+        let fr = db.fetchResponse('lockedDS');
+        return fr.dataPromise().then(function(data){
+            a.strictEqual(data, 42, 'data promise resolved to expected value');
+            a.deepEqual(events, ['lock lockedDS.main', 'fetch', 'release lockedDS.main'], 'fetcher called while lock held');
+            return db.fetchResponse('lockedDS').dataPromise();
+        }).then(function(){
+            a.strictEqual(events.length, 3, 'no lock taken for cache hits');
+        });
+    });
+});